@@ -2,11 +2,35 @@
 
 const FAP_BASE_URL = 'https://fap.fpt.edu.vn';
 const TIMETABLE_URL = 'https://fap.fpt.edu.vn/Report/ScheduleOfWeek.aspx';
+const ACTIVITY_DETAIL_URL = 'https://fap.fpt.edu.vn/Schedule/ActivityDetail.aspx';
+const EXAM_SCHEDULE_URL = 'https://fap.fpt.edu.vn/Exam/ScheduleExams.aspx';
+const ATTENDANCE_REPORT_URL = 'https://fap.fpt.edu.vn/Report/ViewAttendstudent.aspx';
 const LOGIN_CHECK_SELECTOR = '#ctl00_divUser';
 const MAX_RETRIES = 3;
+const RETRY_BACKOFF_FACTOR = 2; // Each retry of a week waits twice as long as the previous one
 const LOGIN_CACHE_KEY = 'fptu_calendar_login_state';
 const LOGIN_CACHE_DURATION = 30 * 60 * 1000; // 30 minutes in milliseconds
+const LOGIN_WAIT_TIMEOUT = 10 * 60 * 1000; // How long the login wall waits for the user before giving up
 const FIRST_RUN_COMPLETED_KEY = 'fptu_calendar_first_run_completed';
+const AUTO_SYNC_ALARM_NAME = 'fptu_calendar_auto_sync';
+const CHANGE_LOG_KEY = 'scheduleChangeLog';
+const MAX_CHANGE_LOG_ENTRIES = 30; // Oldest sync runs are dropped beyond this
+const SCRAPE_JOB_KEY = 'scrapeJobState';
+const SCRAPE_JOB_MAX_AGE = 24 * 60 * 60 * 1000; // Unfinished jobs older than 24 hours are discarded
+const SCRAPE_JOB_MAX_RESUMES = 3; // Give up if the worker keeps dying on the same job
+const OFFSCREEN_DOCUMENT_PATH = 'offscreen.html';
+const YEAR_SELECT_FIELD = 'ctl00$mainContent$drpYear'; // ASP.NET postback target / form field name
+const WEEK_SELECT_FIELD = 'ctl00$mainContent$drpSelectWeek';
+const FAILED_WEEKS_KEY = 'lastFailedWeeks';
+const BACKUP_FORMAT = 'fptu-study-calendar-backup';
+const BACKUP_VERSION = 1; // Bump when the backup layout changes; backups of newer versions are refused
+
+// Default auto sync settings (stored in chrome.storage.local)
+const AUTO_SYNC_DEFAULTS = {
+  autoSyncEnabled: false,
+  autoSyncIntervalHours: 24,           // Re-sync once a day by default
+  autoSyncWeeksAhead: 4                // Rolling window: today + N weeks
+};
 
 // Timing constants to replace magic numbers
 const WAIT_TIMES = {
@@ -14,7 +38,15 @@ const WAIT_TIMES = {
   POLLING_INTERVAL: 100,               // Interval for checking page/table readiness (ms)
   CONTENT_SCRIPT_INIT: 1500,           // Delay for content script initialization (ms)
   OVERLAY_INIT: 100,                   // Delay for overlay initialization (ms)
-  DATA_READY_TIMEOUT: 10000            // Timeout for dataReady message (ms)
+  DATA_READY_TIMEOUT: 10000,           // Timeout for dataReady message (ms)
+  PAUSE_POLL_INTERVAL: 1000,           // Interval for checking if a paused run was resumed (ms)
+  LOGIN_POLL_INTERVAL: 1000,           // Interval for checking if the user has logged in at the login wall (ms)
+  WEEK_DURATION_ESTIMATE: 4000,        // Time per week used for ETA before any week is measured (ms)
+  FETCH_RETRY_DELAY: 1000,             // Delay before retrying a failed week in the fetch engine (ms)
+  ACTIVITY_DETAIL_DELAY: 200,          // Pause between ActivityDetail requests so FAP isn't flooded (ms)
+  ATTENDANCE_COURSE_DELAY: 200,        // Pause between attendance report course requests (ms)
+  PAGE_READY_TIMEOUT: 30000,           // Upper bound when waiting for a page load or postback to finish (ms)
+  DEFAULT_WAIT_TIME: 3000              // Fallback wait time when none is saved (ms)
 };
 
 // Log when service worker starts
@@ -219,19 +251,42 @@ async function checkLogin(tabId, forceCheck = false) {
   }
 }
 
+// Wait until a tab has finished loading, polling its status instead of sleeping a fixed time
+async function waitForTabComplete(tabId, timeout = WAIT_TIMES.PAGE_READY_TIMEOUT) {
+  const startTime = Date.now();
+  while (Date.now() - startTime < timeout) {
+    const tab = await chrome.tabs.get(tabId);
+    if (tab.status === 'complete') {
+      return true;
+    }
+    await new Promise(resolve => setTimeout(resolve, WAIT_TIMES.POLLING_INTERVAL));
+  }
+  console.warn(`Tab ${tabId} did not finish loading within ${timeout}ms`);
+  return false;
+}
+
 // Navigate to URL and wait for load
-async function navigateToUrl(tabId, url, waitTime) {
+async function navigateToUrl(tabId, url) {
   try {
-    await chrome.tabs.update(tabId, { url });
-    await new Promise((resolve) => {
+    // Register the listener before navigating so a fast load is not missed
+    const loaded = new Promise((resolve) => {
+      const timeoutId = setTimeout(() => {
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve(false);
+      }, WAIT_TIMES.PAGE_READY_TIMEOUT);
       const listener = (updatedTabId, changeInfo) => {
         if (updatedTabId === tabId && changeInfo.status === 'complete') {
           chrome.tabs.onUpdated.removeListener(listener);
-          setTimeout(resolve, waitTime);
+          clearTimeout(timeoutId);
+          resolve(true);
         }
       };
       chrome.tabs.onUpdated.addListener(listener);
     });
+    await chrome.tabs.update(tabId, { url });
+    if (!await loaded) {
+      console.warn('Navigation did not complete within timeout:', url);
+    }
     return true;
   } catch (error) {
     console.error('Navigation error:', error);
@@ -425,6 +480,50 @@ function filterWeeksByRange(weekOptions, startDate, endDate, year) {
   return filtered;
 }
 
+// Keep only the weeks named in onlyWeeks (week option texts), or all weeks when it is not set
+function filterRetryWeeks(weeks, onlyWeeks) {
+  if (!Array.isArray(onlyWeeks)) {
+    return weeks;
+  }
+  return weeks.filter(week => onlyWeeks.includes(week.text));
+}
+
+// Delay before retry number `attempt` (1-based): baseDelay, then doubled for each further retry
+function getRetryDelay(baseDelay, attempt) {
+  return baseDelay * Math.pow(RETRY_BACKOFF_FACTOR, attempt - 1);
+}
+
+// Update the report of weeks that still failed after all retries (shown in the popup with a
+// "retry failed weeks only" button): weeks extracted by this run leave the report, new failures join it
+async function saveFailedWeeksReport(result) {
+  if (!result.success || !result.data) {
+    return;
+  }
+  const year = result.data.year;
+  const newFailures = (result.errors || []).map(error => ({ ...error, year }));
+  const handledWeeks = new Set([
+    ...result.data.weeks.map(week => week.weekRange),
+    ...newFailures.map(error => error.week)
+  ]);
+  
+  const stored = await chrome.storage.local.get([FAILED_WEEKS_KEY]);
+  const previousFailures = stored[FAILED_WEEKS_KEY] ? stored[FAILED_WEEKS_KEY].weeks : [];
+  const weeks = previousFailures
+    .filter(failure => failure.year !== year || !handledWeeks.has(failure.week))
+    .concat(newFailures);
+  
+  if (weeks.length === 0) {
+    await chrome.storage.local.remove(FAILED_WEEKS_KEY);
+    return;
+  }
+  await chrome.storage.local.set({
+    [FAILED_WEEKS_KEY]: {
+      timestamp: Date.now(),
+      weeks
+    }
+  });
+}
+
 // Extract data from current page
 async function extractWeekData(tabId) {
   try {
@@ -461,7 +560,7 @@ async function extractWeekData(tabId) {
     // Inject content script (listener is already set up above)
     await chrome.scripting.executeScript({
       target: { tabId },
-      files: ['content.js']
+      files: ['schedule-parser.js', 'content.js']
     });
     
     // Wait for dataReady message from content script
@@ -507,65 +606,191 @@ async function extractWeekData(tabId) {
   }
 }
 
-// Select week in dropdown and wait for update
-async function selectWeek(tabId, weekValue, waitTime) {
-  try {
-    await chrome.scripting.executeScript({
-      target: { tabId },
-      func: (weekValue) => {
-        const weekSelect = document.querySelector('#ctl00_mainContent_drpSelectWeek');
-        if (weekSelect) {
-          weekSelect.value = weekValue;
-          // Trigger ASP.NET postback
-          if (typeof __doPostBack === 'function') {
-            __doPostBack('ctl00$mainContent$drpSelectWeek', '');
-          } else {
-            // Fallback: dispatch change event
-            const event = new Event('change', { bubbles: true });
-            weekSelect.dispatchEvent(event);
-          }
-        }
-      },
-      args: [weekValue]
-    });
-    
-    // Wait for DOM update
-    await new Promise(resolve => setTimeout(resolve, waitTime));
-    
-    // Wait for table to be ready (with timeout)
+// Build the DD/MM labels FAP shows in the timetable header row for a week option
+function getWeekHeaderDates(week) {
+  const match = week.text.match(/(\d{2})\/(\d{2})\s+To/);
+  if (!match) return [];
+  
+  const start = new Date(week.startYear || new Date().getFullYear(), Number(match[2]) - 1, Number(match[1]));
+  const dates = [];
+  for (let i = 0; i < 7; i++) {
+    const date = new Date(start);
+    date.setDate(start.getDate() + i);
+    dates.push(`${String(date.getDate()).padStart(2, '0')}/${String(date.getMonth() + 1).padStart(2, '0')}`);
+  }
+  return dates;
+}
+
+// Check (inside the page) whether the timetable shows what we asked for.
+// Runs via executeScript, so it must not reference anything outside its arguments.
+function checkTimetableReady(expected) {
+  if (document.readyState !== 'complete') return false;
+  // The marker is set on the old document right before a postback;
+  // while it is still there the new page has not replaced it yet
+  if (document.documentElement.hasAttribute('data-fptu-postback-pending')) return false;
+  
+  const yearSelect = document.querySelector('#ctl00_mainContent_drpYear');
+  const weekSelect = document.querySelector('#ctl00_mainContent_drpSelectWeek');
+  if (!yearSelect || !weekSelect) return false;
+  if (expected.year && yearSelect.value !== String(expected.year)) return false;
+  if (expected.weekValue && weekSelect.value !== String(expected.weekValue)) return false;
+  
+  const tbody = document.querySelector('table tbody');
+  if (!tbody || tbody.querySelectorAll('tr').length === 0) return false;
+  
+  if (expected.weekDates && expected.weekDates.length > 0) {
+    // Header row with the DD/MM dates under the day names
+    const headerRow = document.querySelectorAll('table thead tr')[1];
+    if (!headerRow) return false;
+    const headerDates = Array.from(headerRow.querySelectorAll('th'))
+      .map(th => th.textContent.trim())
+      .filter(text => /^\d{2}\/\d{2}$/.test(text));
+    if (headerDates.length === 0) return false;
+    if (!headerDates.every(date => expected.weekDates.includes(date))) return false;
+  }
+  
+  return true;
+}
+
+// Poll the page until the timetable matches the expected year/week or the timeout passes.
+// Script errors while the postback is navigating count as "not ready yet".
+async function waitForTimetableReady(tabId, expected, timeout = WAIT_TIMES.PAGE_READY_TIMEOUT) {
+  const startTime = Date.now();
+  while (true) {
     try {
-      await chrome.scripting.executeScript({
+      // Redirected away from the timetable (e.g. to the login page when the session expired)
+      const tab = await chrome.tabs.get(tabId);
+      if (tab.status === 'complete' && tab.url && !tab.url.includes('ScheduleOfWeek.aspx')) {
+        return false;
+      }
+      const results = await chrome.scripting.executeScript({
         target: { tabId },
-        func: (timeout) => {
-          return new Promise((resolve, reject) => {
-            const startTime = Date.now();
-              const checkTable = () => {
-                const table = document.querySelector('table thead th[rowspan="2"]');
-                const tbody = document.querySelector('table tbody');
-                if (table && tbody && tbody.querySelectorAll('tr').length > 0) {
-                  resolve();
-                } else if (Date.now() - startTime > timeout) {
-                  reject(new Error('Table not ready within timeout'));
-                } else {
-                  setTimeout(checkTable, WAIT_TIMES.POLLING_INTERVAL);
-                }
-              };
-            checkTable();
-          });
-        },
-        args: [waitTime * 2] // Give it double the wait time
+        func: checkTimetableReady,
+        args: [expected]
       });
+      if (results && results[0] && results[0].result === true) {
+        return true;
+      }
     } catch (error) {
-      console.warn('Table readiness check failed, proceeding anyway:', error);
+      // Page is between documents, try again
     }
+    if (Date.now() - startTime >= timeout) {
+      return false;
+    }
+    await new Promise(resolve => setTimeout(resolve, WAIT_TIMES.POLLING_INTERVAL));
+  }
+}
+
+// Trigger an ASP.NET postback from a dropdown, marking the current document so
+// readiness checks can tell the stale page from the reloaded one
+async function postBackSelect(tabId, selectId, eventTarget, value) {
+  await chrome.scripting.executeScript({
+    target: { tabId },
+    func: (selectId, eventTarget, value) => {
+      const select = document.getElementById(selectId);
+      if (!select) return;
+      select.value = value;
+      document.documentElement.setAttribute('data-fptu-postback-pending', 'true');
+      // Trigger ASP.NET postback
+      if (typeof __doPostBack === 'function') {
+        __doPostBack(eventTarget, '');
+      } else {
+        // Fallback: dispatch change event
+        const event = new Event('change', { bubbles: true });
+        select.dispatchEvent(event);
+      }
+    },
+    args: [selectId, eventTarget, String(value)]
+  });
+}
+
+// Select week in dropdown and wait until the page shows that week
+async function selectWeek(tabId, week, year) {
+  try {
+    const expected = { year, weekValue: week.value, weekDates: getWeekHeaderDates(week) };
     
-    return true;
+    // Skip the postback when the page already shows this week
+    const alreadyShown = await waitForTimetableReady(tabId, expected, 0);
+    if (alreadyShown) {
+      return true;
+    }
+    
+    await postBackSelect(tabId, 'ctl00_mainContent_drpSelectWeek', WEEK_SELECT_FIELD, week.value);
+    
+    const ready = await waitForTimetableReady(tabId, expected);
+    if (!ready) {
+      console.warn(`Timetable did not show week ${week.text} within timeout`);
+    }
+    return ready;
   } catch (error) {
     console.error('Error selecting week:', error);
     return false;
   }
 }
 
+// Reload the timetable page from scratch and select the year again.
+// If FAP sends us to the login page instead, foreground runs show the login wall and continue
+// once the user has logged in. Returns true when the login wall was shown (the user logged in or
+// cancelled the run meanwhile), throws NOT_LOGGED_IN when the session can't be restored.
+async function recoverTimetablePage(tabId, year, loginWall = null) {
+  let loginWallShown = false;
+  await navigateToUrl(tabId, TIMETABLE_URL);
+  if (!await isOnTimetablePage(tabId)) {
+    // Redirected away from the timetable, the session most likely expired
+    await invalidateLoginCache();
+    if (!loginWall || loginWall.background) {
+      throw new Error('NOT_LOGGED_IN');
+    }
+    loginWallShown = true;
+    const loggedIn = await waitForUserLogin(tabId, loginWall.weekText);
+    if (!loggedIn) {
+      if (scrapeControl.cancelRequested) {
+        return true;
+      }
+      throw new Error('NOT_LOGGED_IN');
+    }
+    await navigateToUrl(tabId, TIMETABLE_URL);
+    if (!await isOnTimetablePage(tabId)) {
+      throw new Error('NOT_LOGGED_IN');
+    }
+  }
+  if (year) {
+    const yearShown = await waitForTimetableReady(tabId, { year }, 0);
+    if (!yearShown) {
+      await postBackSelect(tabId, 'ctl00_mainContent_drpYear', YEAR_SELECT_FIELD, year);
+      await waitForTimetableReady(tabId, { year });
+    }
+  }
+  return loginWallShown;
+}
+
+// recoverTimetablePage for the week loop: returns null instead of throwing NOT_LOGGED_IN,
+// so the run can stop and keep the weeks already extracted
+async function recoverTimetablePageInRun(tabId, year, loginWall) {
+  try {
+    return await recoverTimetablePage(tabId, year, loginWall);
+  } catch (error) {
+    if (error.message === 'NOT_LOGGED_IN') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// The session expired and could not be restored: the weeks from fromIndex on are reported
+// as failed, so they show up in the failed-weeks report and can be retried after logging in
+function failRemainingWeeks(weeks, fromIndex, weekStatuses, errors) {
+  for (let i = fromIndex; i < weeks.length; i++) {
+    errors.push({
+      week: weeks[i].text,
+      startDate: weeks[i].startDate,
+      endDate: weeks[i].endDate,
+      error: 'NOT_LOGGED_IN'
+    });
+    weekStatuses[i] = { ...weekStatuses[i], status: 'failed' };
+  }
+}
+
 // Helper function to send message to content script
 async function sendMessageToContentScript(tabId, message) {
   try {
@@ -757,6 +982,21 @@ async function injectMinimalOverlay(tabId, title, message, dismissText, progress
 // Track active scraping sessions for overlay injection
 const activeScrapingTabs = new Map(); // tabId -> { title, message, dismissText }
 
+// Whether a scraping session (manual or auto sync) is currently running
+let scrapingInProgress = false;
+
+// Live controls for the running session, set from the popup or the FAP overlay
+// Pause and cancel take effect between weeks (the current week always finishes)
+const scrapeControl = {
+  paused: false,
+  cancelRequested: false,
+  keepPartial: true
+};
+
+// Last per-week status sent to the UI (returned to a popup opened mid-run)
+let currentScrapeStatus = null;
+let currentScrapeTabId = null;
+
 // Clean up activeScrapingTabs when tabs are closed to prevent memory leaks
 chrome.tabs.onRemoved.addListener((tabId) => {
   if (activeScrapingTabs.has(tabId)) {
@@ -784,15 +1024,331 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   }
 });
 
+// ========================================
+// LOGIN WALL
+// ========================================
+// When a foreground run finds the user logged out (before the first week or because the
+// FAP session expired mid-run), the FAP tab is brought to the front with a banner asking
+// the user to log in. The run continues from the current week once LOGIN_CHECK_SELECTOR
+// shows up. Background runs (auto sync) have nobody to ask and fail with NOT_LOGGED_IN.
+
+// Errors that mean the FAP session is gone
+function isLoginError(error) {
+  return error.message.includes('login') || error.message.includes('Login') ||
+    error.message.includes('NOT_LOGGED_IN') || error.message.includes('unauthorized');
+}
+
+// Show the login banner in the FAP tab (only possible on FAP pages, not on the FeID/Google pages)
+async function showLoginWallBanner(tabId, texts) {
+  await chrome.scripting.executeScript({
+    target: { tabId },
+    func: (texts) => {
+      if (document.getElementById('fptu-login-wall')) {
+        return;
+      }
+      // The scraping overlay would cover the login form
+      const scrapingOverlay = document.getElementById('fptu-calendar-overlay');
+      if (scrapingOverlay) {
+        scrapingOverlay.remove();
+      }
+      
+      const style = document.createElement('style');
+      style.id = 'fptu-login-wall-style';
+      style.textContent = `
+        #fptu-login-wall {
+          position: fixed;
+          top: 16px;
+          left: 50%;
+          transform: translateX(-50%);
+          z-index: 999999;
+          max-width: 420px;
+          width: 90%;
+          background: #ffffff;
+          border: 2px solid #10b981;
+          border-radius: 12px;
+          padding: 16px 20px;
+          box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.15);
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+          text-align: center;
+        }
+        #fptu-login-wall .login-wall-extension-name {
+          font-size: 12px;
+          font-weight: 500;
+          color: #10b981;
+          margin-bottom: 8px;
+          text-transform: uppercase;
+          letter-spacing: 0.05em;
+        }
+        #fptu-login-wall .login-wall-title {
+          font-size: 16px;
+          font-weight: 600;
+          color: #171717;
+          margin-bottom: 6px;
+        }
+        #fptu-login-wall .login-wall-message {
+          font-size: 13px;
+          color: #525252;
+          line-height: 1.5;
+          margin-bottom: 12px;
+        }
+        #fptu-login-wall .login-wall-button {
+          background: transparent;
+          color: #525252;
+          border: 1px solid #d4d4d4;
+          border-radius: 8px;
+          padding: 6px 16px;
+          font-size: 13px;
+          cursor: pointer;
+          font-family: inherit;
+        }
+      `;
+      (document.head || document.documentElement).appendChild(style);
+      
+      const banner = document.createElement('div');
+      banner.id = 'fptu-login-wall';
+      const extensionName = document.createElement('div');
+      extensionName.className = 'login-wall-extension-name';
+      extensionName.textContent = texts.extensionName;
+      const title = document.createElement('div');
+      title.className = 'login-wall-title';
+      title.textContent = texts.title;
+      const message = document.createElement('div');
+      message.className = 'login-wall-message';
+      message.textContent = texts.message;
+      const cancelButton = document.createElement('button');
+      cancelButton.className = 'login-wall-button';
+      cancelButton.textContent = texts.cancel;
+      cancelButton.addEventListener('click', () => {
+        // Weeks extracted before the session expired are kept
+        chrome.runtime.sendMessage({ action: 'cancelScraping', keepPartial: true }).catch(() => {});
+        banner.remove();
+      });
+      banner.append(extensionName, title, message, cancelButton);
+      (document.body || document.documentElement).appendChild(banner);
+    },
+    args: [texts]
+  });
+}
+
+// Remove the login banner once the user has logged in
+async function hideLoginWallBanner(tabId) {
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => {
+        const banner = document.getElementById('fptu-login-wall');
+        if (banner) {
+          banner.remove();
+        }
+      }
+    });
+  } catch (error) {
+    // Page is navigating away, the banner goes with it
+  }
+}
+
+// Bring the FAP tab to the front and wait until the user has logged in.
+// Returns true once logged in (login cache updated), false if the run was cancelled,
+// the tab was closed or LOGIN_WAIT_TIMEOUT passed.
+async function waitForUserLogin(tabId, weekText = null) {
+  console.log('Not logged in, waiting for the user to log in on tab', tabId);
+  try {
+    const tab = await chrome.tabs.update(tabId, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+  } catch (error) {
+    console.log('Could not bring FAP tab to the front:', error.message);
+  }
+  
+  const texts = {
+    extensionName: chrome.i18n.getMessage('extensionName'),
+    title: chrome.i18n.getMessage('loginWallTitle'),
+    message: weekText
+      ? chrome.i18n.getMessage('loginWallMessageWithWeek', [weekText])
+      : chrome.i18n.getMessage('loginWallMessage'),
+    cancel: chrome.i18n.getMessage('loginWallCancel')
+  };
+  const waitingStatus = currentScrapeStatus
+    ? { ...currentScrapeStatus, state: 'waitingLogin' }
+    : { state: 'waitingLogin', currentWeek: 0, totalWeeks: 0, weeks: [], etaSeconds: 0 };
+  
+  const startTime = Date.now();
+  while (Date.now() - startTime < LOGIN_WAIT_TIMEOUT && !scrapeControl.cancelRequested) {
+    // Re-sent on every poll so an open popup keeps its response timeout armed
+    publishScrapeStatus(waitingStatus);
+    
+    let tab;
+    try {
+      tab = await chrome.tabs.get(tabId);
+    } catch (error) {
+      console.log('FAP tab was closed while waiting for login');
+      return false;
+    }
+    
+    // FeID and Google login pages are outside FAP, only FAP pages can be checked
+    if (tab.status === 'complete' && tab.url && tab.url.startsWith(FAP_BASE_URL)) {
+      try {
+        const results = await chrome.scripting.executeScript({
+          target: { tabId },
+          func: (selector) => {
+            const userDiv = document.querySelector(selector);
+            const loginForm = document.querySelector('#ctl00_mainContent_btnLogin');
+            return userDiv !== null && loginForm === null;
+          },
+          args: [LOGIN_CHECK_SELECTOR]
+        });
+        if (results[0].result) {
+          console.log('User logged in, continuing the run');
+          await saveLoginStateToCache(true);
+          await hideLoginWallBanner(tabId);
+          return true;
+        }
+        await showLoginWallBanner(tabId, texts);
+      } catch (error) {
+        // Page is navigating, check again on the next poll
+      }
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, WAIT_TIMES.LOGIN_POLL_INTERVAL));
+  }
+  
+  await hideLoginWallBanner(tabId);
+  console.log(scrapeControl.cancelRequested ? 'Run cancelled at the login wall' : 'Gave up waiting for login');
+  return false;
+}
+
+// Before the first week: background runs fail right away, foreground runs wait at the login wall
+async function requireLogin(tabId, isBackgroundRun) {
+  if (isBackgroundRun || !await waitForUserLogin(tabId)) {
+    throw new Error(scrapeControl.cancelRequested ? 'SCRAPING_CANCELLED' : 'NOT_LOGGED_IN');
+  }
+}
+
+// ========================================
+// SCRAPE JOB PERSISTENCE
+// ========================================
+// MV3 can terminate the service worker in the middle of a long extraction.
+// The job state is written to storage after every week so the run can continue
+// from the next week when the worker starts again. A finished run keeps its result
+// in the job until saveScrapeResult has stored it.
+
+// Save job state (called after every week)
+async function saveScrapeJobState(jobState) {
+  jobState.updatedAt = Date.now();
+  await chrome.storage.local.set({ [SCRAPE_JOB_KEY]: jobState });
+}
+
+// Get the unfinished job, if any
+async function getScrapeJobState() {
+  const result = await chrome.storage.local.get([SCRAPE_JOB_KEY]);
+  return result[SCRAPE_JOB_KEY] || null;
+}
+
+// Remove job state once the run has failed or its results have been saved
+async function clearScrapeJobState() {
+  await chrome.storage.local.remove([SCRAPE_JOB_KEY]);
+}
+
+// Remove the stored job if it holds a finished run (called once its results are saved)
+// An interrupted job that is still waiting to be resumed is left alone
+async function clearFinishedScrapeJob() {
+  const jobState = await getScrapeJobState();
+  if (jobState && jobState.result) {
+    await clearScrapeJobState();
+  }
+}
+
+// Get the tab an unfinished job was using, if it still shows FAP
+// Tab IDs are reused after a browser restart, so the URL is checked as well
+async function getScrapeJobTab(jobState) {
+  if (!jobState.tabId) {
+    return null;
+  }
+  try {
+    const tab = await chrome.tabs.get(jobState.tabId);
+    return tab.url && tab.url.startsWith(FAP_BASE_URL) ? tab : null;
+  } catch (e) {
+    // Tab was closed while the worker was not running
+    return null;
+  }
+}
+
+// ========================================
+// SCRAPE PROGRESS AND CONTROLS
+// ========================================
+
+// Build the per-week status shown in the popup and overlay
+// ETA uses the average measured week duration, or a fixed estimate before the first week
+function buildScrapeStatus(jobState, weekDurations) {
+  const remainingWeeks = jobState.weekStatuses.filter(week => week.status === 'pending' || week.status === 'extracting').length;
+  const averageDuration = weekDurations.length > 0
+    ? weekDurations.reduce((total, duration) => total + duration, 0) / weekDurations.length
+    : WAIT_TIMES.WEEK_DURATION_ESTIMATE;
+  
+  let state = 'running';
+  if (scrapeControl.cancelRequested) {
+    state = 'cancelling';
+  } else if (scrapeControl.paused) {
+    state = 'paused';
+  }
+  
+  return {
+    state,
+    currentWeek: Math.min(jobState.nextIndex + 1, jobState.weeks.length),
+    totalWeeks: jobState.weeks.length,
+    weeks: jobState.weekStatuses,
+    etaSeconds: Math.round(remainingWeeks * averageDuration / 1000)
+  };
+}
+
+// Send status to the popup (if open) and to the overlay in the FAP tab
+function publishScrapeStatus(status) {
+  currentScrapeStatus = status;
+  chrome.runtime.sendMessage({ action: 'scrapeStatus', status }).catch(() => {
+    // Ignore errors if popup is closed
+  });
+  if (currentScrapeTabId) {
+    sendMessageToContentScript(currentScrapeTabId, { action: 'scrapeStatus', status });
+  }
+}
+
+// Wait while the session is paused, returns when resumed or cancelled
+// The storage read in the loop keeps the service worker from being stopped as idle
+async function waitWhileScrapePaused() {
+  while (scrapeControl.paused && !scrapeControl.cancelRequested) {
+    await new Promise(resolve => setTimeout(resolve, WAIT_TIMES.PAUSE_POLL_INTERVAL));
+    await chrome.storage.local.get([SCRAPE_JOB_KEY]);
+  }
+}
+
 // Main scraping function
-async function startScraping(startDate, endDate, waitTime) {
-  const errors = [];
-  const allWeeksData = [];
+// options.background: run in a dedicated inactive tab (used by auto sync), never reuse the
+// user's FAP tabs, never show the login wall and always close the tab when done
+// options.mergeMode / options.source: stored with the job so a resumed run can save its results
+// options.resumeJob: persisted job state to continue from instead of starting from the first week
+// options.onlyWeeks / options.year: retry only the listed week texts of that year's dropdown
+async function startScraping(startDate, endDate, waitTime, options = {}) {
+  const resumeJob = options.resumeJob || null;
+  const errors = resumeJob ? [...resumeJob.errors] : [];
+  const allWeeksData = resumeJob ? [...resumeJob.weeksData] : [];
+  const isBackgroundRun = options.background === true;
   let timetableTab = null;
   let shouldCloseTab = false; // Track if we created a new tab that should be closed on error
   let tabToClose = null; // Track the tab ID that should be closed on error
   let scrapingSuccessful = false; // Track if scraping completed successfully
   
+  // Only one scraping session at a time (manual and auto sync share the same FAP session)
+  if (scrapingInProgress) {
+    console.log('Scraping already in progress, ignoring new request');
+    return {
+      success: false,
+      error: 'SCRAPING_IN_PROGRESS'
+    };
+  }
+  scrapingInProgress = true;
+  scrapeControl.paused = resumeJob ? resumeJob.paused === true : false;
+  scrapeControl.cancelRequested = false;
+  scrapeControl.keepPartial = true;
+  
   try {
     // Step 1: Check if this is the first run (after install/reload)
     const isFirstRunFlag = await isFirstRun();
@@ -810,7 +1366,16 @@ async function startScraping(startDate, endDate, waitTime) {
     }
     
     // Step 3: Find existing FAP tab or create new one based on login state
-    let fapTab = await findExistingFAPTab();
+    // A resumed job continues in its previous tab if it is still open
+    // Background runs always use their own tab so the user's FAP tabs are left alone
+    let fapTab = resumeJob ? await getScrapeJobTab(resumeJob) : null;
+    if (fapTab) {
+      console.log('Resuming scrape job in its previous tab:', fapTab.id);
+      shouldCloseTab = resumeJob.createdTab === true;
+      tabToClose = shouldCloseTab ? fapTab.id : null;
+    } else if (!isBackgroundRun) {
+      fapTab = await findExistingFAPTab();
+    }
     
     if (!fapTab) {
       // No existing tab found
@@ -820,14 +1385,14 @@ async function startScraping(startDate, endDate, waitTime) {
         fapTab = await chrome.tabs.create({ url: FAP_BASE_URL, active: false });
         shouldCloseTab = true;
         tabToClose = fapTab.id;
-        await new Promise(resolve => setTimeout(resolve, waitTime));
+        await waitForTabComplete(fapTab.id);
       } else if (isLoggedInFromCache) {
         // Cache says logged in, create tab directly to timetable page (skip homepage)
         console.log('Cache indicates logged in, creating tab directly to timetable page');
         fapTab = await chrome.tabs.create({ url: TIMETABLE_URL, active: false });
         shouldCloseTab = true;
         tabToClose = fapTab.id;
-        await new Promise(resolve => setTimeout(resolve, waitTime));
+        await waitForTabComplete(fapTab.id);
         timetableTab = fapTab;
       } else {
         // Need to check login, create tab to homepage
@@ -835,23 +1400,12 @@ async function startScraping(startDate, endDate, waitTime) {
         fapTab = await chrome.tabs.create({ url: FAP_BASE_URL, active: false });
         shouldCloseTab = true;
         tabToClose = fapTab.id;
-        await new Promise(resolve => setTimeout(resolve, waitTime));
+        await waitForTabComplete(fapTab.id);
       }
     } else {
       console.log('Reusing existing FAP tab:', fapTab.id);
       // If we found an existing tab, make sure it's loaded
-      const tabInfo = await chrome.tabs.get(fapTab.id);
-      if (tabInfo.status !== 'complete') {
-        await new Promise(resolve => {
-          const listener = (updatedTabId, changeInfo) => {
-            if (updatedTabId === fapTab.id && changeInfo.status === 'complete') {
-              chrome.tabs.onUpdated.removeListener(listener);
-              setTimeout(resolve, waitTime);
-            }
-          };
-          chrome.tabs.onUpdated.addListener(listener);
-        });
-      }
+      await waitForTabComplete(fapTab.id);
     }
     
     // Step 4: Perform login check only if needed
@@ -863,14 +1417,8 @@ async function startScraping(startDate, endDate, waitTime) {
       }
       const isLoggedIn = await checkLogin(fapTab.id, false);
       if (!isLoggedIn) {
-        // Show alert to user
-        await chrome.scripting.executeScript({
-          target: { tabId: fapTab.id },
-          func: () => {
-            alert('Bạn chưa đăng nhập vào FAP. Vui lòng đăng nhập và thử lại.');
-          }
-        });
-        throw new Error('NOT_LOGGED_IN');
+        // Ask the user to log in (background runs have nobody to ask and fail)
+        await requireLogin(fapTab.id, isBackgroundRun);
       }
       console.log('Login check passed, user is logged in');
       // Mark first run as completed after successful login check
@@ -882,13 +1430,7 @@ async function startScraping(startDate, endDate, waitTime) {
       console.log('Cached state indicates not logged in, performing login check');
       const isLoggedIn = await checkLogin(fapTab.id, true); // Force check to update cache
       if (!isLoggedIn) {
-        await chrome.scripting.executeScript({
-          target: { tabId: fapTab.id },
-          func: () => {
-            alert('Bạn chưa đăng nhập vào FAP. Vui lòng đăng nhập và thử lại.');
-          }
-        });
-        throw new Error('NOT_LOGGED_IN');
+        await requireLogin(fapTab.id, isBackgroundRun);
       }
     } else {
       // Cache says logged in, but we should still verify before scraping
@@ -906,7 +1448,7 @@ async function startScraping(startDate, endDate, waitTime) {
         if (shouldCloseTab) {
           tabToClose = timetableTab.id;
         }
-        await navigateToUrl(timetableTab.id, TIMETABLE_URL, waitTime);
+        await navigateToUrl(timetableTab.id, TIMETABLE_URL);
       } else {
         console.log('Already on timetable page, reusing it');
         timetableTab = fapTab;
@@ -926,16 +1468,14 @@ async function startScraping(startDate, endDate, waitTime) {
     const isActuallyLoggedIn = await isOnTimetablePage(timetableTab.id);
     
     if (!isActuallyLoggedIn) {
-      // User is not actually logged in, invalidate cache and show error
+      // User is not actually logged in, invalidate cache and ask the user to log in
       console.log('Login verification failed - user is not logged in');
       await invalidateLoginCache();
-      await chrome.scripting.executeScript({
-        target: { tabId: timetableTab.id },
-        func: () => {
-          alert('Bạn chưa đăng nhập vào FAP. Vui lòng đăng nhập và thử lại.');
-        }
-      });
-      throw new Error('NOT_LOGGED_IN');
+      await requireLogin(timetableTab.id, isBackgroundRun);
+      await navigateToUrl(timetableTab.id, TIMETABLE_URL);
+      if (!await isOnTimetablePage(timetableTab.id)) {
+        throw new Error('NOT_LOGGED_IN');
+      }
     }
     
     // If we got here, user is logged in - update cache to ensure it's fresh
@@ -981,7 +1521,7 @@ async function startScraping(startDate, endDate, waitTime) {
     // Step 3: Inject content script
     await chrome.scripting.executeScript({
       target: { tabId: timetableTab.id },
-      files: ['content.js']
+      files: ['schedule-parser.js', 'content.js']
     });
     
     // Wait briefly for content script to initialize
@@ -997,7 +1537,7 @@ async function startScraping(startDate, endDate, waitTime) {
     });
     
     // Step 4: Determine year from start date
-    const year = new Date(startDate).getFullYear();
+    const year = resumeJob ? resumeJob.year : (options.year || new Date(startDate).getFullYear());
     
     // Step 5: Check current year dropdown value and update if necessary
     const currentYearResult = await chrome.scripting.executeScript({
@@ -1016,23 +1556,13 @@ async function startScraping(startDate, endDate, waitTime) {
     
     if (needsYearUpdate) {
       console.log(`Current year dropdown: ${currentYear}, updating to: ${year}`);
-      // Select year
-      await chrome.scripting.executeScript({
-        target: { tabId: timetableTab.id },
-        func: (year) => {
-          const yearSelect = document.querySelector('#ctl00_mainContent_drpYear');
-          if (yearSelect) {
-            yearSelect.value = year.toString();
-            if (typeof __doPostBack === 'function') {
-              __doPostBack('ctl00$mainContent$drpYear', '');
-            }
-          }
-        },
-        args: [year]
-      });
+      await postBackSelect(timetableTab.id, 'ctl00_mainContent_drpYear', YEAR_SELECT_FIELD, year);
       
-      // Wait for DOM to load after year change
-      await new Promise(resolve => setTimeout(resolve, waitTime));
+      // Wait until the reloaded page shows the new year
+      const yearReady = await waitForTimetableReady(timetableTab.id, { year });
+      if (!yearReady) {
+        console.warn(`Year dropdown did not switch to ${year} within timeout`);
+      }
     } else {
       console.log(`Year dropdown already set to ${year}, skipping update`);
     }
@@ -1040,16 +1570,75 @@ async function startScraping(startDate, endDate, waitTime) {
     // Step 6: Get week options (always fetch fresh after potential year change)
     // If we updated the year, the week dropdown should already be updated
     // If we didn't update, we still need to read the current week options
-    const weekOptions = await getWeekOptions(timetableTab.id);
+    // A resumed job keeps the week list it started with
+    let weeksToScrape;
+    if (resumeJob) {
+      weeksToScrape = resumeJob.weeks;
+      console.log(`Resuming scrape job at week ${resumeJob.nextIndex + 1}/${weeksToScrape.length}`);
+    } else {
+      const weekOptions = await getWeekOptions(timetableTab.id);
+      
+      // Step 7: Filter weeks by date range
+      weeksToScrape = filterRetryWeeks(filterWeeksByRange(weekOptions, startDate, endDate, year), options.onlyWeeks);
+      console.log(`Found ${weeksToScrape.length} weeks to scrape`);
+    }
     
-    // Step 7: Filter weeks by date range
-    const weeksToScrape = filterWeeksByRange(weekOptions, startDate, endDate, year);
+    // Per-week status list; a resumed job restarts the week that was interrupted
+    const weekStatuses = resumeJob && resumeJob.weekStatuses
+      ? resumeJob.weekStatuses.map(week => (week.status === 'extracting' ? { ...week, status: 'pending' } : week))
+      : weeksToScrape.map(week => ({ text: week.text, status: 'pending', classCount: 0 }));
+    const weekDurations = [];
+    currentScrapeTabId = timetableTab.id;
+    
+    // Persist the job so it can be resumed if the service worker is terminated
+    const jobState = {
+      startDate,
+      endDate,
+      waitTime,
+      year,
+      background: isBackgroundRun,
+      mergeMode: options.mergeMode === true,
+      source: options.source || 'manual',
+      weeks: weeksToScrape,
+      nextIndex: resumeJob ? resumeJob.nextIndex : 0,
+      weeksData: allWeeksData,
+      errors,
+      weekStatuses,
+      paused: scrapeControl.paused,
+      tabId: timetableTab.id,
+      createdTab: shouldCloseTab,
+      resumeCount: resumeJob ? resumeJob.resumeCount : 0,
+      startedAt: resumeJob ? resumeJob.startedAt : Date.now()
+    };
+    await saveScrapeJobState(jobState);
     
-    console.log(`Found ${weeksToScrape.length} weeks to scrape`);
+    publishScrapeStatus(buildScrapeStatus(jobState, weekDurations));
     
     // Step 8: Iterate through weeks
-    for (let i = 0; i < weeksToScrape.length; i++) {
+    let sessionLost = false;
+    for (let i = jobState.nextIndex; i < weeksToScrape.length; i++) {
+      if (scrapeControl.paused && !scrapeControl.cancelRequested) {
+        console.log('Scraping paused before week', i + 1);
+        jobState.paused = true;
+        await saveScrapeJobState(jobState);
+        publishScrapeStatus(buildScrapeStatus(jobState, weekDurations));
+        await waitWhileScrapePaused();
+        jobState.paused = false;
+        await saveScrapeJobState(jobState);
+        console.log('Scraping resumed');
+      }
+      
+      if (scrapeControl.cancelRequested) {
+        console.log(`Scraping cancelled before week ${i + 1}/${weeksToScrape.length}`);
+        break;
+      }
+      
       const week = weeksToScrape[i];
+      const weekStartTime = Date.now();
+      weekStatuses[i].status = 'extracting';
+      publishScrapeStatus(buildScrapeStatus(jobState, weekDurations));
+      // If the session expires during this week, the login wall resumes from it
+      const loginWall = { background: isBackgroundRun, weekText: week.text };
       
       // Send progress update to popup
       try {
@@ -1121,11 +1710,11 @@ async function startScraping(startDate, endDate, waitTime) {
       let success = false;
       let retries = 0;
       
-      while (!success && retries < MAX_RETRIES) {
+      while (!success && retries < MAX_RETRIES && !scrapeControl.cancelRequested) {
         try {
           // Select week (this will cause page reload via postback)
           // The tabs.onUpdated listener will inject overlay immediately when page starts loading
-          const selectSuccess = await selectWeek(timetableTab.id, week.value, waitTime);
+          const selectSuccess = await selectWeek(timetableTab.id, week, year);
           if (!selectSuccess) {
             throw new Error('Failed to select week');
           }
@@ -1134,7 +1723,7 @@ async function startScraping(startDate, endDate, waitTime) {
           // Content script will check sessionStorage and show overlay immediately
           await chrome.scripting.executeScript({
             target: { tabId: timetableTab.id },
-            files: ['content.js']
+            files: ['schedule-parser.js', 'content.js']
           });
           
           // Wait briefly for content script to initialize
@@ -1160,32 +1749,90 @@ async function startScraping(startDate, endDate, waitTime) {
               classes: weekData
             });
             success = true;
+            weekStatuses[i] = { ...weekStatuses[i], status: 'done', classCount: weekData.length };
             console.log(`Successfully scraped week ${week.text}: ${weekData.length} classes`);
           } else {
             throw new Error('Failed to extract data - invalid format');
           }
         } catch (error) {
-          // Check if error might be due to login expiration
-          if (error.message.includes('login') || error.message.includes('Login') || 
-              error.message.includes('NOT_LOGGED_IN') || error.message.includes('unauthorized')) {
-            console.log('Possible login expiration detected, invalidating cache');
-            await invalidateLoginCache();
-            throw new Error('NOT_LOGGED_IN');
+          // Check if error might be due to login expiration (FAP redirects to the login page)
+          if (isLoginError(error) || !await isOnTimetablePage(timetableTab.id)) {
+            console.log('Possible login expiration detected, reloading the timetable page');
+            const interruptedByLogin = await recoverTimetablePageInRun(timetableTab.id, year, loginWall);
+            if (interruptedByLogin === null) {
+              sessionLost = true;
+              break;
+            }
+            if (interruptedByLogin) {
+              // Logged in again (or cancelled meanwhile): the week is redone without using up a retry
+              continue;
+            }
           }
           
           retries++;
           if (retries >= MAX_RETRIES) {
             errors.push({
               week: week.text,
+              startDate: week.startDate,
+              endDate: week.endDate,
               error: error.message
             });
+            weekStatuses[i] = { ...weekStatuses[i], status: 'failed' };
             console.error(`Failed to scrape week ${week.text} after ${MAX_RETRIES} retries:`, error);
           } else {
-            console.log(`Retrying week ${week.text} (attempt ${retries + 1}/${MAX_RETRIES})`);
-            await new Promise(resolve => setTimeout(resolve, waitTime));
+            const retryDelay = getRetryDelay(waitTime, retries);
+            console.log(`Retrying week ${week.text} in ${retryDelay}ms (attempt ${retries + 1}/${MAX_RETRIES})`);
+            await new Promise(resolve => setTimeout(resolve, retryDelay));
+            
+            // An error page, a stuck postback or missing dropdowns: start over from the timetable URL
+            const pageUsable = await waitForTimetableReady(timetableTab.id, {}, 0);
+            if (!pageUsable) {
+              console.log('Timetable page looks broken, navigating to it again');
+              if (await recoverTimetablePageInRun(timetableTab.id, year, loginWall) === null) {
+                sessionLost = true;
+                break;
+              }
+            }
           }
         }
       }
+      
+      if (!success && scrapeControl.cancelRequested && weekStatuses[i].status === 'extracting') {
+        // Cancelled while retrying, the week was not extracted
+        weekStatuses[i] = { ...weekStatuses[i], status: 'pending' };
+        break;
+      }
+      
+      if (sessionLost) {
+        console.log(`Session expired at week ${week.text}, keeping the ${allWeeksData.length} weeks extracted so far`);
+        failRemainingWeeks(weeksToScrape, i, weekStatuses, errors);
+        jobState.nextIndex = weeksToScrape.length;
+        await saveScrapeJobState(jobState);
+        publishScrapeStatus(buildScrapeStatus(jobState, weekDurations));
+        break;
+      }
+      
+      // Week finished (scraped or given up), resume from the next one
+      weekDurations.push(Date.now() - weekStartTime);
+      jobState.nextIndex = i + 1;
+      await saveScrapeJobState(jobState);
+      publishScrapeStatus(buildScrapeStatus(jobState, weekDurations));
+    }
+    
+    // Cancelled and the user chose to throw away what was extracted
+    const wasCancelled = scrapeControl.cancelRequested;
+    if (wasCancelled && !scrapeControl.keepPartial) {
+      throw new Error('SCRAPING_CANCELLED');
+    }
+    
+    // Step 9: Exam schedule (skipped for cancelled runs, failed-week retries and expired sessions)
+    let exams = null;
+    if (!wasCancelled && !sessionLost && !options.onlyWeeks && await isExamExtractionEnabled()) {
+      await sendMessageToContentScript(timetableTab.id, {
+        action: 'updateOverlayProgress',
+        progressText: chrome.i18n.getMessage('progressExams')
+      });
+      exams = await fetchExamSchedule();
     }
     
     // Send completion message to popup
@@ -1194,7 +1841,8 @@ async function startScraping(startDate, endDate, waitTime) {
         action: 'scrapingComplete',
         totalWeeks: weeksToScrape.length,
         successCount: allWeeksData.length,
-        errorCount: errors.length
+        errorCount: errors.length,
+        cancelled: wasCancelled
       }).catch(() => {});
     } catch (e) {
       // Ignore errors
@@ -1203,7 +1851,7 @@ async function startScraping(startDate, endDate, waitTime) {
     // Send completion message to content script to update overlay
     if (timetableTab) {
       // Generate completion text with week count
-      const completeText = chrome.i18n.getMessage('overlayCompleteWithWeeks', [
+      const completeText = chrome.i18n.getMessage(wasCancelled ? 'overlayCancelledWithWeeks' : 'overlayCompleteWithWeeks', [
         allWeeksData.length.toString(),
         weeksToScrape.length.toString()
       ]);
@@ -1219,6 +1867,7 @@ async function startScraping(startDate, endDate, waitTime) {
           sessionStorage.removeItem('fptu_scraping_week');
           sessionStorage.removeItem('fptu_scraping_total');
           sessionStorage.removeItem('fptu_scraping_progress');
+          sessionStorage.removeItem('fptu_scraping_status');
         }
       });
       
@@ -1227,23 +1876,33 @@ async function startScraping(startDate, endDate, waitTime) {
         totalWeeks: weeksToScrape.length,
         successCount: allWeeksData.length,
         errorCount: errors.length,
+        cancelled: wasCancelled,
         completeText: completeText
       });
     }
     
-    // Mark scraping as successful before returning
-    scrapingSuccessful = true;
-    
-    // Return results
-    return {
+    const result = {
       success: true,
       data: {
         year,
-        weeks: allWeeksData
+        weeks: allWeeksData,
+        exams
       },
-      errors: errors.length > 0 ? errors : undefined
+      errors: errors.length > 0 ? errors : undefined,
+      cancelled: wasCancelled || undefined
     };
     
+    // Keep the result with the job until the caller has saved it, so a worker terminated
+    // while saving can still save it when it starts again
+    jobState.result = result;
+    await saveScrapeJobState(jobState);
+    
+    // Mark scraping as successful before returning
+    scrapingSuccessful = true;
+    
+    // Return results
+    return result;
+    
   } catch (error) {
     console.error('Scraping error:', error);
     
@@ -1259,6 +1918,7 @@ async function startScraping(startDate, endDate, waitTime) {
           sessionStorage.removeItem('fptu_scraping_week');
           sessionStorage.removeItem('fptu_scraping_total');
           sessionStorage.removeItem('fptu_scraping_progress');
+          sessionStorage.removeItem('fptu_scraping_status');
         }
       });
       
@@ -1272,10 +1932,26 @@ async function startScraping(startDate, endDate, waitTime) {
       error: error.message
     };
   } finally {
+    scrapingInProgress = false;
+    scrapeControl.paused = false;
+    scrapeControl.cancelRequested = false;
+    currentScrapeStatus = null;
+    currentScrapeTabId = null;
+    // Tell any open popup that the run has ended (including errors and discarded cancels)
+    chrome.runtime.sendMessage({ action: 'scrapeStatus', status: null }).catch(() => {});
+    
+    // A failed or discarded job has nothing left to resume, a successful one is cleared
+    // by saveScrapeResult (if the worker is terminated mid-run this block never runs
+    // and the job stays stored)
+    if (!scrapingSuccessful) {
+      await clearScrapeJobState().catch(() => {});
+    }
+    
     // Always cleanup: close tab if we created it and scraping failed
-    if (shouldCloseTab && tabToClose && !scrapingSuccessful) {
+    // Background runs also close their tab on success (nobody is looking at it)
+    if (shouldCloseTab && tabToClose && (!scrapingSuccessful || isBackgroundRun)) {
       try {
-        console.log('Cleaning up: closing tab', tabToClose, 'due to error');
+        console.log('Cleaning up: closing tab', tabToClose, scrapingSuccessful ? 'after background run' : 'due to error');
         await chrome.tabs.remove(tabToClose);
       } catch (e) {
         // Tab may already be closed by user or browser
@@ -1292,10 +1968,553 @@ async function startScraping(startDate, endDate, waitTime) {
   }
 }
 
-// Flatten weeks data to classes array
-function flattenWeeksToClasses(weeksData) {
-  const classes = [];
-  if (weeksData && weeksData.weeks) {
+// ========================================
+// FETCH ENGINE (headless extraction)
+// ========================================
+// Loads ScheduleOfWeek.aspx with fetch (FAP session cookies are sent because of
+// host_permissions) and replays the ASP.NET postback of the week dropdown, so no
+// FAP tab is opened and no page has to render.
+// HTML is parsed in an offscreen document with the same rules as the content script.
+// Fetch runs take seconds, so they are not persisted for resuming like tab runs.
+
+let creatingOffscreenDocument = null;
+
+// Create the offscreen parsing document if it doesn't exist yet
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH)]
+  });
+  if (contexts.length > 0) {
+    return;
+  }
+  
+  // Avoid creating it twice when called concurrently
+  if (!creatingOffscreenDocument) {
+    creatingOffscreenDocument = chrome.offscreen.createDocument({
+      url: OFFSCREEN_DOCUMENT_PATH,
+      reasons: ['DOM_PARSER'],
+      justification: 'Parse FAP timetable pages fetched by the background extraction engine'
+    });
+  }
+  try {
+    await creatingOffscreenDocument;
+  } finally {
+    creatingOffscreenDocument = null;
+  }
+}
+
+// Parse timetable HTML in the offscreen document
+// yearOptions: { selectedYear, baseYear } to extract classes, null to only read the form state
+async function parseTimetableHtml(html, yearOptions = null) {
+  await ensureOffscreenDocument();
+  const page = await chrome.runtime.sendMessage({
+    target: 'offscreen',
+    action: 'parseTimetable',
+    html,
+    loginCheckSelector: LOGIN_CHECK_SELECTOR,
+    yearOptions
+  });
+  if (!page || page.error) {
+    throw new Error(page ? page.error : 'Offscreen parser did not respond');
+  }
+  return page;
+}
+
+// GET the timetable page, or POST a postback when form fields are given
+async function fetchTimetableHtml(formFields = null) {
+  const init = { credentials: 'include', cache: 'no-store' };
+  if (formFields) {
+    init.method = 'POST';
+    init.headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    init.body = new URLSearchParams(formFields).toString();
+  }
+  
+  const response = await fetch(TIMETABLE_URL, init);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  // FAP redirects to the login page when the session has expired
+  if (!response.url.includes('ScheduleOfWeek.aspx')) {
+    throw new Error('NOT_LOGGED_IN');
+  }
+  return response.text();
+}
+
+// Build the form body the browser would send for __doPostBack(eventTarget, '')
+// Postbacks must carry __VIEWSTATE/__EVENTVALIDATION of the page they are posted from
+function buildPostbackFields(page, eventTarget, fieldValues) {
+  return {
+    ...page.formFields,
+    ...fieldValues,
+    __EVENTTARGET: eventTarget,
+    __EVENTARGUMENT: ''
+  };
+}
+
+// GET the timetable page and post back the year dropdown if it shows another year
+async function loadFetchTimetablePage(year) {
+  let page = await parseTimetableHtml(await fetchTimetableHtml());
+  if (!page.isLoggedIn) {
+    throw new Error('NOT_LOGGED_IN');
+  }
+  if (page.yearValue !== year) {
+    console.log(`Fetch engine: year dropdown is ${page.yearValue}, posting back year ${year}`);
+    page = await parseTimetableHtml(await fetchTimetableHtml(
+      buildPostbackFields(page, YEAR_SELECT_FIELD, { [YEAR_SELECT_FIELD]: String(year) })
+    ));
+  }
+  return page;
+}
+
+// The session expired during a fetch run. Like the tab engine, foreground runs bring a FAP tab
+// to the front (opening one if needed) and wait at the login wall, background runs fail.
+// Returns the reloaded timetable page once the user has logged in, or null if the run was
+// cancelled at the login wall. Throws NOT_LOGGED_IN when the session can't be restored.
+async function waitForFetchLogin(year, weekText, isBackgroundRun) {
+  await invalidateLoginCache();
+  if (isBackgroundRun) {
+    throw new Error('NOT_LOGGED_IN');
+  }
+  
+  let fapTab = await findExistingFAPTab();
+  if (!fapTab) {
+    fapTab = await chrome.tabs.create({ url: FAP_BASE_URL, active: true });
+    await waitForTabComplete(fapTab.id);
+  }
+  
+  const loggedIn = await waitForUserLogin(fapTab.id, weekText);
+  if (!loggedIn) {
+    if (scrapeControl.cancelRequested) {
+      return null;
+    }
+    throw new Error('NOT_LOGGED_IN');
+  }
+  
+  // The cookies are new, so the ViewState of the old page can't be posted back
+  return loadFetchTimetablePage(year);
+}
+
+// Fetch-based scraping, returns the same result shape as startScraping
+async function startFetchScraping(startDate, endDate, options = {}) {
+  const errors = [];
+  const allWeeksData = [];
+  const isBackgroundRun = options.background === true;
+  let scrapingSuccessful = false;
+  
+  if (scrapingInProgress) {
+    console.log('Scraping already in progress, ignoring new request');
+    return {
+      success: false,
+      error: 'SCRAPING_IN_PROGRESS'
+    };
+  }
+  scrapingInProgress = true;
+  scrapeControl.paused = false;
+  scrapeControl.cancelRequested = false;
+  scrapeControl.keepPartial = true;
+  
+  try {
+    const year = options.year || new Date(startDate).getFullYear();
+    
+    // Steps 1-2: Load the timetable page for the year (also verifies the session)
+    let page;
+    try {
+      page = await loadFetchTimetablePage(year);
+    } catch (error) {
+      if (error.message !== 'NOT_LOGGED_IN') {
+        throw error;
+      }
+      page = await waitForFetchLogin(year, null, isBackgroundRun);
+      if (!page) {
+        throw new Error('SCRAPING_CANCELLED');
+      }
+    }
+    await saveLoginStateToCache(true);
+    
+    // Step 3: Filter weeks by date range
+    const weeksToScrape = filterRetryWeeks(filterWeeksByRange(page.weekOptions, startDate, endDate, year), options.onlyWeeks);
+    console.log(`Fetch engine: found ${weeksToScrape.length} weeks to scrape`);
+    
+    // Status for the popup (no FAP tab, so no overlay)
+    const weekStatuses = weeksToScrape.map(week => ({ text: week.text, status: 'pending', classCount: 0 }));
+    const weekDurations = [];
+    const jobState = { weeks: weeksToScrape, nextIndex: 0, weekStatuses };
+    publishScrapeStatus(buildScrapeStatus(jobState, weekDurations));
+    
+    // Step 4: Post back each week
+    let sessionLost = false;
+    for (let i = 0; i < weeksToScrape.length; i++) {
+      if (scrapeControl.paused && !scrapeControl.cancelRequested) {
+        publishScrapeStatus(buildScrapeStatus(jobState, weekDurations));
+        await waitWhileScrapePaused();
+      }
+      if (scrapeControl.cancelRequested) {
+        console.log(`Fetch engine: cancelled before week ${i + 1}/${weeksToScrape.length}`);
+        break;
+      }
+      
+      const week = weeksToScrape[i];
+      const weekStartTime = Date.now();
+      weekStatuses[i].status = 'extracting';
+      publishScrapeStatus(buildScrapeStatus(jobState, weekDurations));
+      chrome.runtime.sendMessage({
+        action: 'progressUpdate',
+        currentWeek: i + 1,
+        totalWeeks: weeksToScrape.length
+      }).catch(() => {});
+      
+      let success = false;
+      let retries = 0;
+      while (!success && retries < MAX_RETRIES && !scrapeControl.cancelRequested) {
+        try {
+          const weekPage = await parseTimetableHtml(
+            await fetchTimetableHtml(buildPostbackFields(page, WEEK_SELECT_FIELD, {
+              [YEAR_SELECT_FIELD]: String(year),
+              [WEEK_SELECT_FIELD]: week.value
+            })),
+            { selectedYear: year, baseYear: week.startYear || year }
+          );
+          if (!weekPage.isLoggedIn) {
+            throw new Error('NOT_LOGGED_IN');
+          }
+          if (weekPage.selectedWeek !== week.value) {
+            throw new Error(`FAP returned week ${weekPage.selectedWeek} instead of ${week.value}`);
+          }
+          
+          // Next postback is sent from this page
+          page = weekPage;
+          allWeeksData.push({
+            weekNumber: parseInt(week.value),
+            weekRange: week.text,
+            startDate: week.startDate,
+            endDate: week.endDate,
+            classes: weekPage.classes
+          });
+          success = true;
+          weekStatuses[i] = { ...weekStatuses[i], status: 'done', classCount: weekPage.classes.length };
+          console.log(`Fetch engine: scraped week ${week.text}: ${weekPage.classes.length} classes`);
+        } catch (error) {
+          if (error.message === 'NOT_LOGGED_IN') {
+            // Wait for the user to log in again, then retry this week (not counted as a retry)
+            let loggedInPage;
+            try {
+              loggedInPage = await waitForFetchLogin(year, week.text, isBackgroundRun);
+            } catch (loginError) {
+              if (loginError.message !== 'NOT_LOGGED_IN') {
+                throw loginError;
+              }
+              sessionLost = true;
+              break;
+            }
+            if (loggedInPage) {
+              page = loggedInPage;
+              publishScrapeStatus(buildScrapeStatus(jobState, weekDurations));
+            }
+            continue;
+          }
+          
+          retries++;
+          if (retries >= MAX_RETRIES) {
+            errors.push({
+              week: week.text,
+              startDate: week.startDate,
+              endDate: week.endDate,
+              error: error.message
+            });
+            weekStatuses[i] = { ...weekStatuses[i], status: 'failed' };
+            console.error(`Fetch engine: failed to scrape week ${week.text} after ${MAX_RETRIES} retries:`, error);
+          } else {
+            const retryDelay = getRetryDelay(WAIT_TIMES.FETCH_RETRY_DELAY, retries);
+            console.log(`Fetch engine: retrying week ${week.text} in ${retryDelay}ms (attempt ${retries + 1}/${MAX_RETRIES})`);
+            await new Promise(resolve => setTimeout(resolve, retryDelay));
+            // The ViewState of the last page may be what FAP rejected, start from a fresh GET
+            // (an expired session is handled by the next attempt, which waits at the login wall)
+            try {
+              page = await loadFetchTimetablePage(year);
+            } catch (reloadError) {
+              console.warn('Fetch engine: reloading the timetable page failed:', reloadError);
+            }
+          }
+        }
+      }
+      
+      if (!success && scrapeControl.cancelRequested && weekStatuses[i].status === 'extracting') {
+        weekStatuses[i] = { ...weekStatuses[i], status: 'pending' };
+        break;
+      }
+      
+      if (sessionLost) {
+        console.log(`Fetch engine: session expired at week ${week.text}, keeping the weeks extracted so far`);
+        failRemainingWeeks(weeksToScrape, i, weekStatuses, errors);
+        jobState.nextIndex = weeksToScrape.length;
+        publishScrapeStatus(buildScrapeStatus(jobState, weekDurations));
+        break;
+      }
+      
+      weekDurations.push(Date.now() - weekStartTime);
+      jobState.nextIndex = i + 1;
+      publishScrapeStatus(buildScrapeStatus(jobState, weekDurations));
+    }
+    
+    const wasCancelled = scrapeControl.cancelRequested;
+    if (wasCancelled && !scrapeControl.keepPartial) {
+      throw new Error('SCRAPING_CANCELLED');
+    }
+    
+    // Step 5: Exam schedule
+    let exams = null;
+    if (!wasCancelled && !sessionLost && !options.onlyWeeks && await isExamExtractionEnabled()) {
+      exams = await fetchExamSchedule();
+    }
+    
+    chrome.runtime.sendMessage({
+      action: 'scrapingComplete',
+      totalWeeks: weeksToScrape.length,
+      successCount: allWeeksData.length,
+      errorCount: errors.length,
+      cancelled: wasCancelled
+    }).catch(() => {});
+    
+    scrapingSuccessful = true;
+    return {
+      success: true,
+      data: {
+        year,
+        weeks: allWeeksData,
+        exams
+      },
+      errors: errors.length > 0 ? errors : undefined,
+      cancelled: wasCancelled || undefined
+    };
+  } catch (error) {
+    console.error('Fetch scraping error:', error);
+    if (error.message === 'NOT_LOGGED_IN') {
+      await invalidateLoginCache();
+    }
+    return {
+      success: false,
+      error: error.message
+    };
+  } finally {
+    scrapingInProgress = false;
+    scrapeControl.paused = false;
+    scrapeControl.cancelRequested = false;
+    currentScrapeStatus = null;
+    chrome.runtime.sendMessage({ action: 'scrapeStatus', status: null }).catch(() => {});
+    console.log('Fetch engine finished:', scrapingSuccessful ? 'success' : 'failed');
+  }
+}
+
+// Run a scrape with the engine selected in settings ('tab' by default, or 'fetch')
+async function runScrape(startDate, endDate, waitTime, options = {}) {
+  const { scrapeEngine } = await chrome.storage.local.get(['scrapeEngine']);
+  if (scrapeEngine === 'fetch') {
+    return startFetchScraping(startDate, endDate, options);
+  }
+  return startScraping(startDate, endDate, waitTime, options);
+}
+
+// ========================================
+// EXAM SCHEDULE
+// ========================================
+// Exams (Exam/ScheduleExams.aspx) are extracted after the weeks and stored as their own
+// record type (recordType 'exam', storage key scrapedExams). Both engines fetch the page and parse
+// it in the offscreen document, so the tab run never leaves the timetable (it may be the user's own
+// FAP tab). A failure only skips the exams.
+
+// Exam extraction is on unless turned off in settings
+async function isExamExtractionEnabled() {
+  const { extractExams } = await chrome.storage.local.get(['extractExams']);
+  return extractExams !== false;
+}
+
+// Tell the popup that the exam schedule is being read
+function publishExamProgress() {
+  chrome.runtime.sendMessage({ action: 'examProgress' }).catch(() => {});
+}
+
+// Fetch the exam schedule and parse it in the offscreen document
+// Returns the exams, or null when the page couldn't be read
+async function fetchExamSchedule() {
+  try {
+    publishExamProgress();
+    const response = await fetch(EXAM_SCHEDULE_URL, { credentials: 'include', cache: 'no-store' });
+    if (!response.ok || !response.url.includes('ScheduleExams.aspx')) {
+      console.log('Exam schedule not available:', response.status, response.url);
+      return null;
+    }
+    
+    await ensureOffscreenDocument();
+    const page = await chrome.runtime.sendMessage({
+      target: 'offscreen',
+      action: 'parseExams',
+      html: await response.text(),
+      loginCheckSelector: LOGIN_CHECK_SELECTOR
+    });
+    if (!page || page.error || !page.isLoggedIn) {
+      console.log('Could not parse exam schedule:', page ? page.error || 'not logged in' : 'no response');
+      return null;
+    }
+    console.log(`Fetch engine: extracted ${page.exams.length} exams`);
+    return page.exams;
+  } catch (error) {
+    console.error('Error fetching exam schedule:', error);
+    return null;
+  }
+}
+
+// ========================================
+// ATTENDANCE REPORT
+// ========================================
+// Reads Report/ViewAttendstudent.aspx for the current term: one request for the course list,
+// then one per course for its session counts. Stored as attendanceReport
+// ({ timestamp, subjects: [{ subjectCode, subjectName, groupName, totalSessions, attended, absent, notYet }] })
+// and used by the calendar's attendance dashboard instead of counting weekly statuses.
+
+let attendanceReportPromise = null;
+
+// Fetch one attendance report page and parse it in the offscreen document
+async function fetchAttendancePage(url) {
+  const response = await fetch(url, { credentials: 'include', cache: 'no-store' });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  // FAP redirects to the login page when the session has expired
+  if (!response.url.includes('ViewAttendstudent.aspx')) {
+    throw new Error('NOT_LOGGED_IN');
+  }
+  
+  await ensureOffscreenDocument();
+  const page = await chrome.runtime.sendMessage({
+    target: 'offscreen',
+    action: 'parseAttendance',
+    html: await response.text(),
+    loginCheckSelector: LOGIN_CHECK_SELECTOR
+  });
+  if (!page || page.error) {
+    throw new Error(page ? page.error : 'Offscreen parser did not respond');
+  }
+  if (!page.isLoggedIn) {
+    throw new Error('NOT_LOGGED_IN');
+  }
+  return page;
+}
+
+// Read the attendance of every course in the current term and store it
+async function fetchAttendanceReport() {
+  const firstPage = await fetchAttendancePage(ATTENDANCE_REPORT_URL);
+  const subjects = [];
+  
+  for (const course of firstPage.courses) {
+    // The course already selected on the first page has no link
+    let attendance = firstPage.attendance;
+    if (course.url) {
+      await new Promise(resolve => setTimeout(resolve, WAIT_TIMES.ATTENDANCE_COURSE_DELAY));
+      attendance = (await fetchAttendancePage(course.url)).attendance;
+    }
+    if (!attendance) {
+      console.log('No attendance table for', course.subjectCode);
+      continue;
+    }
+    subjects.push({
+      subjectCode: course.subjectCode,
+      subjectName: course.subjectName,
+      groupName: course.groupName,
+      ...attendance
+    });
+  }
+  
+  const report = { timestamp: Date.now(), subjects };
+  await chrome.storage.local.set({ attendanceReport: report });
+  console.log(`Attendance report saved for ${subjects.length} subjects`);
+  return report;
+}
+
+// ========================================
+// SESSION DETAILS ENRICHMENT
+// ========================================
+// Optional pass (setting enrichActivityDetails) after a successful run: fetches the
+// ActivityDetail.aspx page of every extracted class and adds lecturer, studentGroup,
+// sessionNumber, attendanceTaker and comment to the class. Failures only skip the details.
+
+// Fetch and parse one ActivityDetail page
+async function fetchActivityDetail(activityId) {
+  const response = await fetch(`${ACTIVITY_DETAIL_URL}?id=${encodeURIComponent(activityId)}`, {
+    credentials: 'include',
+    cache: 'no-store'
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  // FAP redirects to the login page when the session has expired
+  if (!response.url.includes('ActivityDetail.aspx')) {
+    throw new Error('NOT_LOGGED_IN');
+  }
+  
+  await ensureOffscreenDocument();
+  const page = await chrome.runtime.sendMessage({
+    target: 'offscreen',
+    action: 'parseActivityDetail',
+    html: await response.text(),
+    loginCheckSelector: LOGIN_CHECK_SELECTOR
+  });
+  if (!page || page.error) {
+    throw new Error(page ? page.error : 'Offscreen parser did not respond');
+  }
+  if (!page.isLoggedIn) {
+    throw new Error('NOT_LOGGED_IN');
+  }
+  return page.details;
+}
+
+// Add session details to the classes of a scrape result (in place) when the setting is on
+async function enrichScrapedData(data) {
+  const { enrichActivityDetails } = await chrome.storage.local.get(['enrichActivityDetails']);
+  if (enrichActivityDetails !== true) {
+    return;
+  }
+  
+  const classes = flattenWeeksToClasses(data).filter(cls => cls.activityId);
+  const activityIds = [...new Set(classes.map(cls => cls.activityId))];
+  const detailsById = new Map();
+  console.log(`Fetching session details for ${activityIds.length} activities`);
+  
+  for (let i = 0; i < activityIds.length; i++) {
+    chrome.runtime.sendMessage({
+      action: 'enrichProgress',
+      current: i + 1,
+      total: activityIds.length
+    }).catch(() => {});
+    
+    try {
+      detailsById.set(activityIds[i], await fetchActivityDetail(activityIds[i]));
+    } catch (error) {
+      if (error.message === 'NOT_LOGGED_IN') {
+        // Every following request would fail too, keep what we have
+        console.log('Session expired while fetching session details, stopping enrichment');
+        await invalidateLoginCache();
+        break;
+      }
+      console.warn(`Could not fetch details of activity ${activityIds[i]}:`, error);
+    }
+    await new Promise(resolve => setTimeout(resolve, WAIT_TIMES.ACTIVITY_DETAIL_DELAY));
+  }
+  
+  // Classes in data.weeks are the same objects as in `classes`
+  classes.forEach(cls => {
+    const details = detailsById.get(cls.activityId);
+    if (details) {
+      Object.assign(cls, details);
+    }
+  });
+  console.log(`Added session details to ${detailsById.size}/${activityIds.length} activities`);
+}
+
+// Flatten weeks data to classes array
+function flattenWeeksToClasses(weeksData) {
+  const classes = [];
+  if (weeksData && weeksData.weeks) {
     weeksData.weeks.forEach(week => {
       if (week.classes && Array.isArray(week.classes)) {
         week.classes.forEach(cls => {
@@ -1366,33 +2585,657 @@ function mergeClassesData(existingClasses, newClasses) {
   return merged;
 }
 
+// ========================================
+// SCHEDULE CHANGE DETECTION
+// ========================================
+
+// Key used to match the same class between two syncs
+// activityId stays the same when FAP moves a class; fall back to subject + date + slot without it
+// Classes the user moved keep the key they had before the move (originalMatchKey, set by the calendar)
+function getClassMatchKey(cls) {
+  if (cls.originalMatchKey) {
+    return cls.originalMatchKey;
+  }
+  return cls.activityId ? `id:${cls.activityId}` : `slot:${cls.subjectCode}|${cls.date}|${cls.slot}`;
+}
+
+// Classes imported from an .ics file (source: 'ics') are not on FAP, so syncs must not remove them
+function isImportedClass(cls) {
+  return cls.source === 'ics';
+}
+
+// Subject, date and start time of a class, used to find an imported copy of a FAP session
+function getSessionKey(cls) {
+  return `${cls.subjectCode}|${cls.date}|${cls.time.start}`;
+}
+
+// An imported copy of one of our own classes is replaced once FAP lists that session,
+// custom events are always kept
+function isImportedClassKept(cls, newSessions) {
+  return cls.isCustom === true || !newSessions.has(getSessionKey(cls));
+}
+
+// Sessions the user moved in the calendar (userModified) keep their date, slot and time
+// when FAP still lists them, the rest of the fields are updated from FAP
+function applyUserModifications(newClasses, existingClasses) {
+  const modifiedByKey = new Map();
+  existingClasses.forEach(cls => {
+    if (cls.userModified === true && !isImportedClass(cls)) {
+      modifiedByKey.set(getClassMatchKey(cls), cls);
+    }
+  });
+  
+  return newClasses.map(newClass => {
+    const modified = modifiedByKey.get(getClassMatchKey(newClass));
+    if (!modified) {
+      return newClass;
+    }
+    return {
+      ...newClass,
+      date: modified.date,
+      day: modified.day,
+      slot: modified.slot,
+      time: { start: modified.time.start, end: modified.time.end },
+      originalMatchKey: modified.originalMatchKey,
+      userModified: true
+    };
+  });
+}
+
+// Check if a class date falls inside one of the scraped weeks
+function isClassInScrapedWeeks(cls, weeks) {
+  return weeks.some(week => cls.date >= week.startDate && cls.date <= week.endDate);
+}
+
+// Keep only the fields shown in the change log
+function getClassSnapshot(cls) {
+  return {
+    date: cls.date,
+    slot: cls.slot,
+    time: { start: cls.time.start, end: cls.time.end },
+    location: cls.location || '',
+    isRelocated: cls.isRelocated === true,
+    status: cls.status || 'Not yet'
+  };
+}
+
+// Build one change entry (before/after is null for added/removed classes)
+function createChangeEntry(oldClass, newClass) {
+  const cls = newClass || oldClass;
+  return {
+    subjectCode: cls.subjectCode,
+    activityId: cls.activityId || '',
+    before: oldClass ? getClassSnapshot(oldClass) : null,
+    after: newClass ? getClassSnapshot(newClass) : null
+  };
+}
+
+// Compare stored classes with freshly scraped ones
+// Only existing classes inside the scraped weeks can be reported as removed,
+// classes outside the range were simply not checked in this run
+function diffScheduleChanges(existingClasses, newClasses, scrapedWeeks) {
+  const changes = {
+    added: [],
+    removed: [],
+    moved: [],
+    relocated: [],
+    statusChanged: []
+  };
+  
+  // Imported classes are not compared with FAP
+  const scrapedClasses = existingClasses.filter(cls => !isImportedClass(cls));
+  const existingByKey = new Map();
+  scrapedClasses.forEach(cls => existingByKey.set(getClassMatchKey(cls), cls));
+  const matchedKeys = new Set();
+  
+  newClasses.forEach(newClass => {
+    const key = getClassMatchKey(newClass);
+    const oldClass = existingByKey.get(key);
+    if (!oldClass) {
+      changes.added.push(createChangeEntry(null, newClass));
+      return;
+    }
+    matchedKeys.add(key);
+    
+    // A class can change in several ways at once, record each of them
+    if (oldClass.date !== newClass.date ||
+        oldClass.slot !== newClass.slot ||
+        oldClass.time.start !== newClass.time.start ||
+        oldClass.time.end !== newClass.time.end) {
+      changes.moved.push(createChangeEntry(oldClass, newClass));
+    }
+    if ((oldClass.location || '') !== (newClass.location || '') ||
+        (oldClass.isRelocated === true) !== (newClass.isRelocated === true)) {
+      changes.relocated.push(createChangeEntry(oldClass, newClass));
+    }
+    if ((oldClass.status || 'Not yet') !== (newClass.status || 'Not yet')) {
+      changes.statusChanged.push(createChangeEntry(oldClass, newClass));
+    }
+  });
+  
+  // Moved sessions are kept even when FAP no longer lists them
+  scrapedClasses.forEach(oldClass => {
+    if (!matchedKeys.has(getClassMatchKey(oldClass)) && oldClass.userModified !== true &&
+        isClassInScrapedWeeks(oldClass, scrapedWeeks)) {
+      changes.removed.push(createChangeEntry(oldClass, null));
+    }
+  });
+  
+  return changes;
+}
+
+// Count all changes in a diff result
+function countScheduleChanges(changes) {
+  return Object.values(changes).reduce((total, list) => total + list.length, 0);
+}
+
+// Drop existing classes that FAP no longer lists in the scraped weeks (cancelled)
+// and old copies of moved classes, so merging does not leave stale duplicates behind
+// Sessions moved by the user are kept, see applyUserModifications
+function pruneStaleClasses(existingClasses, newClasses, scrapedWeeks) {
+  const newByKey = new Map();
+  newClasses.forEach(cls => newByKey.set(getClassMatchKey(cls), cls));
+  const newSessions = new Set(newClasses.map(getSessionKey));
+  
+  return existingClasses.filter(cls => {
+    if (isImportedClass(cls)) {
+      return isImportedClassKept(cls, newSessions);
+    }
+    const newClass = newByKey.get(getClassMatchKey(cls));
+    if (newClass) {
+      // Same class: keep it only if it will be merged in place with the new copy
+      return classesConflict(cls, newClass);
+    }
+    return cls.userModified === true || !isClassInScrapedWeeks(cls, scrapedWeeks);
+  });
+}
+
+// Existing classes that replace mode keeps: imported classes (as in pruneStaleClasses)
+// and sessions moved by the user that FAP no longer lists
+function getClassesKeptOnReplace(existingClasses, newClasses) {
+  const newKeys = new Set(newClasses.map(getClassMatchKey));
+  const newSessions = new Set(newClasses.map(getSessionKey));
+  
+  return existingClasses.filter(cls => {
+    if (isImportedClass(cls)) {
+      return isImportedClassKept(cls, newSessions);
+    }
+    return cls.userModified === true && !newKeys.has(getClassMatchKey(cls));
+  });
+}
+
+// Append a sync run to the change log, newest first
+async function appendChangeLog(entry) {
+  const result = await chrome.storage.local.get([CHANGE_LOG_KEY]);
+  const changeLog = result[CHANGE_LOG_KEY] || [];
+  changeLog.unshift(entry);
+  await chrome.storage.local.set({
+    [CHANGE_LOG_KEY]: changeLog.slice(0, MAX_CHANGE_LOG_ENTRIES)
+  });
+}
+
 // Save scraped classes to storage (merge or replace based on mode)
-async function saveScrapedClasses(weeksData, mergeMode = false) {
+// source: 'manual' for popup extraction, 'auto' for scheduled sync (recorded in the change log)
+async function saveScrapedClasses(weeksData, mergeMode = false, source = 'manual') {
   try {
-    const newClasses = flattenWeeksToClasses(weeksData);
+    const scrapedWeeks = (weeksData && weeksData.weeks) || [];
+    
+    const existing = await chrome.storage.local.get(['scrapedClasses']);
+    const existingClasses = existing.scrapedClasses || [];
+    const newClasses = applyUserModifications(flattenWeeksToClasses(weeksData), existingClasses);
+    const changes = diffScheduleChanges(existingClasses, newClasses, scrapedWeeks);
     
     if (mergeMode) {
-      // Merge mode: get existing classes and merge
-      const existing = await chrome.storage.local.get(['scrapedClasses']);
-      const existingClasses = existing.scrapedClasses || [];
-      
-      const mergedClasses = mergeClassesData(existingClasses, newClasses);
+      // Merge mode: remove stale classes in the scraped weeks, then merge
+      const keptClasses = pruneStaleClasses(existingClasses, newClasses, scrapedWeeks);
+      const mergedClasses = mergeClassesData(keptClasses, newClasses);
       await chrome.storage.local.set({ scrapedClasses: mergedClasses });
       console.log(`Merged ${newClasses.length} new classes with ${existingClasses.length} existing classes. Total: ${mergedClasses.length} classes`);
     } else {
-      // Replace mode: always replace existing data with new data
-      await chrome.storage.local.set({ scrapedClasses: newClasses });
-      console.log(`Saved ${newClasses.length} classes to storage (replaced existing data)`);
+      // Replace mode: replace existing data with new data, except the classes syncs must not remove
+      const keptClasses = getClassesKeptOnReplace(existingClasses, newClasses);
+      await chrome.storage.local.set({ scrapedClasses: keptClasses.concat(newClasses) });
+      console.log(`Saved ${newClasses.length} classes to storage (replaced existing data, kept ${keptClasses.length} classes)`);
     }
+    
+    await appendChangeLog({
+      timestamp: Date.now(),
+      source,
+      mode: mergeMode ? 'merge' : 'replace',
+      startDate: scrapedWeeks.length > 0 ? scrapedWeeks.map(week => week.startDate).sort()[0] : null,
+      endDate: scrapedWeeks.length > 0 ? scrapedWeeks.map(week => week.endDate).sort().pop() : null,
+      changes
+    });
+    console.log(`Detected ${countScheduleChanges(changes)} schedule changes`);
+    
+    return changes;
   } catch (error) {
     console.error('Error saving scraped classes:', error);
+    return null;
+  }
+}
+
+// Save extracted exams. The exam page only lists the current semester, so exams of
+// other subjects/types are kept and the ones on the page replace their stored version.
+async function saveScrapedExams(exams) {
+  const examKey = (exam) => `${exam.subjectCode}|${exam.examType}`;
+  const newKeys = new Set(exams.map(examKey));
+  const existing = await chrome.storage.local.get(['scrapedExams']);
+  const keptExams = (existing.scrapedExams || []).filter(exam => !newKeys.has(examKey(exam)));
+  await chrome.storage.local.set({ scrapedExams: keptExams.concat(exams) });
+  console.log(`Saved ${exams.length} exams (${keptExams.length} older exams kept)`);
+}
+
+// Store everything a run produced: classes (with optional session details), exams
+// and the failed weeks report, then drop the finished job that was holding the result
+async function saveScrapeResult(result, mergeMode, source = 'manual') {
+  if (result.success && result.data) {
+    await enrichScrapedData(result.data);
+    await saveScrapedClasses(result.data, mergeMode, source);
+    if (result.data.exams) {
+      await saveScrapedExams(result.data.exams);
+    }
+  }
+  await saveFailedWeeksReport(result);
+  await clearFinishedScrapeJob();
+}
+
+// ========================================
+// AUTO SYNC (scheduled background re-sync)
+// ========================================
+
+// Format a Date as YYYY-MM-DD using local date parts
+function formatDateISO(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+// Get auto sync settings merged with defaults
+async function getAutoSyncSettings() {
+  const result = await chrome.storage.local.get(Object.keys(AUTO_SYNC_DEFAULTS));
+  return { ...AUTO_SYNC_DEFAULTS, ...result };
+}
+
+// Calculate the rolling date range for auto sync (today + N weeks)
+// The FAP week dropdown only lists weeks of the selected year, so a range that crosses
+// New Year is split into one range per year
+function getAutoSyncRanges(weeksAhead) {
+  const start = new Date();
+  const end = new Date(start);
+  end.setDate(end.getDate() + weeksAhead * 7);
+  
+  const ranges = [];
+  for (let year = start.getFullYear(); year <= end.getFullYear(); year++) {
+    ranges.push({
+      startDate: formatDateISO(year === start.getFullYear() ? start : new Date(year, 0, 1)),
+      endDate: formatDateISO(year === end.getFullYear() ? end : new Date(year, 11, 31))
+    });
+  }
+  return ranges;
+}
+
+// Status of an auto sync scraped one year at a time: the first failure, or all weeks scraped
+function combineAutoSyncResults(results) {
+  const failed = results.find(result => !result.success);
+  if (failed) {
+    return failed;
+  }
+  return {
+    success: true,
+    data: {
+      weeks: [].concat(...results.map(result => result.data.weeks))
+    }
+  };
+}
+
+// Create or clear the auto sync alarm based on current settings
+// forceReset: recreate the alarm even if one already exists (used when settings change)
+async function scheduleAutoSync(forceReset = false) {
+  try {
+    const settings = await getAutoSyncSettings();
+    
+    if (!settings.autoSyncEnabled) {
+      await chrome.alarms.clear(AUTO_SYNC_ALARM_NAME);
+      console.log('Auto sync disabled, alarm cleared');
+      return;
+    }
+    
+    const periodInMinutes = settings.autoSyncIntervalHours * 60;
+    const existingAlarm = await chrome.alarms.get(AUTO_SYNC_ALARM_NAME);
+    if (existingAlarm && existingAlarm.periodInMinutes === periodInMinutes && !forceReset) {
+      console.log('Auto sync alarm already scheduled for', new Date(existingAlarm.scheduledTime));
+      return;
+    }
+    
+    // If the last run is older than one interval (e.g. browser was closed), sync soon
+    const { autoSyncLastRun } = await chrome.storage.local.get(['autoSyncLastRun']);
+    const lastRunTime = autoSyncLastRun ? autoSyncLastRun.timestamp : 0;
+    const isOverdue = Date.now() - lastRunTime >= periodInMinutes * 60 * 1000;
+    
+    await chrome.alarms.create(AUTO_SYNC_ALARM_NAME, {
+      delayInMinutes: isOverdue ? 1 : periodInMinutes,
+      periodInMinutes
+    });
+    console.log(`Auto sync scheduled every ${settings.autoSyncIntervalHours} hours${isOverdue ? ' (overdue, first run in 1 minute)' : ''}`);
+  } catch (error) {
+    console.error('Error scheduling auto sync:', error);
+  }
+}
+
+// Run one auto sync: scrape the rolling window in a background tab and merge the results
+async function runAutoSync() {
+  const settings = await getAutoSyncSettings();
+  if (!settings.autoSyncEnabled) {
+    console.log('Auto sync alarm fired but auto sync is disabled');
+    return;
+  }
+  
+  if (scrapingInProgress) {
+    console.log('Auto sync skipped: another scraping session is running');
+    return;
+  }
+  
+  const { waitTime } = await chrome.storage.local.get(['waitTime']);
+  const ranges = getAutoSyncRanges(settings.autoSyncWeeksAhead);
+  const startDate = ranges[0].startDate;
+  const endDate = ranges[ranges.length - 1].endDate;
+  console.log(`Auto sync started for ${startDate} to ${endDate}`);
+  
+  // Always merge so manual edits and classes outside the window are kept
+  const results = [];
+  for (const range of ranges) {
+    const result = await runScrape(range.startDate, range.endDate, waitTime || WAIT_TIMES.DEFAULT_WAIT_TIME, {
+      background: true,
+      mergeMode: true,
+      source: 'auto'
+    });
+    await saveScrapeResult(result, true, 'auto');
+    results.push(result);
+    if (!result.success) {
+      break;
+    }
+  }
+  await recordAutoSyncRun(combineAutoSyncResults(results), startDate, endDate);
+}
+
+// Store the outcome of an auto sync run (shown in the popup settings)
+async function recordAutoSyncRun(result, startDate, endDate) {
+  const classCount = result.success && result.data ? flattenWeeksToClasses(result.data).length : 0;
+  await chrome.storage.local.set({
+    autoSyncLastRun: {
+      timestamp: Date.now(),
+      success: result.success,
+      error: result.error || null,
+      classCount,
+      startDate,
+      endDate
+    }
+  });
+  console.log('Auto sync finished:', result.success ? `${classCount} classes` : result.error);
+}
+
+// ========================================
+// RESUME UNFINISHED SCRAPE JOBS
+// ========================================
+
+// Partial result from the weeks stored with a job that can't continue because the session
+// expired, the weeks it had not reached yet are reported as failed
+function buildStoredJobResult(jobState) {
+  const errors = jobState.errors.concat(jobState.weeks.slice(jobState.nextIndex).map(week => ({
+    week: week.text,
+    startDate: week.startDate,
+    endDate: week.endDate,
+    error: 'NOT_LOGGED_IN'
+  })));
+  return {
+    success: true,
+    data: {
+      year: jobState.year,
+      weeks: jobState.weeksData,
+      exams: null
+    },
+    errors: errors.length > 0 ? errors : undefined
+  };
+}
+
+let scrapeJobResumeChecked = false;
+
+// Continue a job that was interrupted by service worker termination
+// Called once per worker lifetime (worker wake-up and browser startup)
+async function resumeScrapeJob() {
+  if (scrapeJobResumeChecked || scrapingInProgress) {
+    return;
+  }
+  scrapeJobResumeChecked = true;
+  
+  const jobState = await getScrapeJobState();
+  if (!jobState || scrapingInProgress) {
+    // Nothing to resume, or a new run started meanwhile and will replace the stored job
+    return;
+  }
+  
+  if (Date.now() - jobState.updatedAt > SCRAPE_JOB_MAX_AGE) {
+    console.log('Discarding unfinished scrape job (too old)');
+    await clearScrapeJobState();
+    return;
+  }
+  
+  // The run had finished but the worker was terminated before its results were saved
+  if (jobState.result) {
+    console.log(`Saving the results of a finished scrape job (${jobState.startDate} to ${jobState.endDate})`);
+    await saveScrapeResult(jobState.result, jobState.mergeMode, jobState.source);
+    if (jobState.source === 'auto') {
+      await recordAutoSyncRun(jobState.result, jobState.startDate, jobState.endDate);
+    }
+    return;
   }
+  
+  if (jobState.resumeCount >= SCRAPE_JOB_MAX_RESUMES) {
+    console.log('Discarding unfinished scrape job (resumed too many times)');
+    await clearScrapeJobState();
+    return;
+  }
+  
+  console.log(`Resuming unfinished scrape job (${jobState.startDate} to ${jobState.endDate}) at week ${jobState.nextIndex + 1}`);
+  jobState.resumeCount = (jobState.resumeCount || 0) + 1;
+  await saveScrapeJobState(jobState);
+  
+  // The popup that started the job is gone, so save the results here. Nobody may be there
+  // to log in either, so the run continues as a background run
+  let result = await startScraping(jobState.startDate, jobState.endDate, jobState.waitTime, {
+    background: true,
+    mergeMode: jobState.mergeMode,
+    source: jobState.source,
+    resumeJob: jobState
+  });
+  if (!result.success && result.error === 'NOT_LOGGED_IN' && jobState.weeksData.length > 0) {
+    console.log('Session expired while the job was stopped, saving the weeks it had extracted');
+    result = buildStoredJobResult(jobState);
+  }
+  
+  await saveScrapeResult(result, jobState.mergeMode, jobState.source);
+  if (jobState.source === 'auto') {
+    await recordAutoSyncRun(result, jobState.startDate, jobState.endDate);
+  }
+  console.log('Resumed scrape job finished:', result.success ? 'success' : result.error);
+}
+
+// ========================================
+// BACKUP AND RESTORE
+// ========================================
+
+// Machine-local state that must not travel between browsers
+const BACKUP_EXCLUDED_KEYS = [LOGIN_CACHE_KEY, SCRAPE_JOB_KEY, FIRST_RUN_COMPLETED_KEY];
+
+// Value checks for backups
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
 }
 
+function isStoredSession(record) {
+  return isPlainObject(record) && typeof record.subjectCode === 'string' && typeof record.date === 'string' &&
+    isPlainObject(record.time) && typeof record.time.start === 'string' && typeof record.time.end === 'string';
+}
+
+function isReminderRule(rule) {
+  return isPlainObject(rule) && (rule.conditions === undefined || isPlainObject(rule.conditions)) &&
+    Array.isArray(rule.alarms) && rule.alarms.every(minutes => typeof minutes === 'number');
+}
+
+function isFilterChoice(choice) {
+  return isPlainObject(choice) && (choice.name === null || typeof choice.name === 'string') && isPlainObject(choice.filter);
+}
+
+// Storage keys a backup may contain and the check their value must pass.
+// Unknown keys are left out of backups and dropped on restore, so new keys must be added here.
+const BACKUP_KEY_CHECKS = {
+  scrapedClasses: value => Array.isArray(value) && value.every(isStoredSession),
+  scrapedExams: value => Array.isArray(value) && value.every(isStoredSession),
+  attendanceReport: value => value === null || isPlainObject(value),
+  [CHANGE_LOG_KEY]: value => Array.isArray(value) && value.every(isPlainObject),
+  [FAILED_WEEKS_KEY]: value => value === null || isPlainObject(value),
+  autoSyncLastRun: isPlainObject,
+  autoSyncEnabled: value => typeof value === 'boolean',
+  autoSyncIntervalHours: value => Number.isFinite(value) && value > 0,
+  autoSyncWeeksAhead: value => Number.isFinite(value) && value > 0,
+  waitTime: value => Number.isFinite(value) && value >= 0,
+  startDate: value => typeof value === 'string',
+  endDate: value => typeof value === 'string',
+  scrapeEngine: value => ['tab', 'fetch'].includes(value),
+  enrichActivityDetails: value => typeof value === 'boolean',
+  extractExams: value => typeof value === 'boolean',
+  icsExportMode: value => ['single', 'series'].includes(value),
+  icsTimeMode: value => ['tzid', 'utc'].includes(value),
+  icsCancelMode: value => ['status', 'file', 'none'].includes(value),
+  icsExportState: isPlainObject,
+  reminderRules: value => Array.isArray(value) && value.every(isReminderRule),
+  tableExportColumns: value => Array.isArray(value) && value.every(key => typeof key === 'string'),
+  theme: value => ['light', 'dark', 'system'].includes(value),
+  calendarView: value => ['week', 'month', 'list', 'agenda'].includes(value),
+  savedFilters: value => Array.isArray(value) && value.every(choice => isFilterChoice(choice) && typeof choice.name === 'string'),
+  activeFilter: value => value === null || isFilterChoice(value)
+};
+
+// Classes with manual edits, exams, settings and logs (the keys of BACKUP_KEY_CHECKS)
+async function createBackup() {
+  const data = await chrome.storage.local.get(Object.keys(BACKUP_KEY_CHECKS));
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    extensionVersion: chrome.runtime.getManifest().version,
+    data
+  };
+}
+
+// Check a parsed backup file, returns an error message or null when it can be restored
+function validateBackup(backup) {
+  if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_FORMAT) {
+    return 'Not an FPTU Study Calendar backup file';
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    return 'Invalid backup version';
+  }
+  if (backup.version > BACKUP_VERSION) {
+    return 'Backup was made by a newer version of the extension';
+  }
+  if (!backup.data || typeof backup.data !== 'object' || Array.isArray(backup.data)) {
+    return 'Backup has no data';
+  }
+  
+  // Unknown keys are dropped on restore, known ones must have the stored shape
+  const invalidKey = Object.keys(BACKUP_KEY_CHECKS).find(key =>
+    backup.data[key] !== undefined && !BACKUP_KEY_CHECKS[key](backup.data[key])
+  );
+  if (invalidKey) {
+    return `Backup contains an invalid value for ${invalidKey}`;
+  }
+  return null;
+}
+
+// The keys of a validated backup that can be restored
+function getRestorableBackupData(backup) {
+  const data = {};
+  Object.keys(backup.data).forEach(key => {
+    if (BACKUP_KEY_CHECKS[key]) {
+      data[key] = backup.data[key];
+    } else {
+      console.log('Skipping unknown backup key:', key);
+    }
+  });
+  return data;
+}
+
+// Restore a backup. 'replace' makes storage match the backup; 'merge' merges classes
+// with mergeClassesData, adds missing exams and log entries and keeps current settings.
+async function restoreBackup(backup, mode = 'replace') {
+  const error = validateBackup(backup);
+  if (error) {
+    throw new Error(error);
+  }
+  if (scrapingInProgress) {
+    throw new Error('Cannot restore while extraction is running');
+  }
+  
+  const data = getRestorableBackupData(backup);
+  
+  if (mode === 'merge') {
+    const current = await chrome.storage.local.get(null);
+    const merged = {};
+    
+    // Settings and other metadata: only fill in keys this browser doesn't have
+    Object.keys(data).forEach(key => {
+      if (current[key] === undefined) {
+        merged[key] = data[key];
+      }
+    });
+    
+    merged.scrapedClasses = mergeClassesData(current.scrapedClasses || [], data.scrapedClasses || []);
+    
+    const examKey = (exam) => `${exam.subjectCode}|${exam.examType}`;
+    const currentExams = current.scrapedExams || [];
+    const currentExamKeys = new Set(currentExams.map(examKey));
+    merged.scrapedExams = currentExams.concat((data.scrapedExams || []).filter(exam => !currentExamKeys.has(examKey(exam))));
+    
+    const currentLog = current[CHANGE_LOG_KEY] || [];
+    const loggedRuns = new Set(currentLog.map(entry => entry.timestamp));
+    merged[CHANGE_LOG_KEY] = currentLog
+      .concat((data[CHANGE_LOG_KEY] || []).filter(entry => !loggedRuns.has(entry.timestamp)))
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, MAX_CHANGE_LOG_ENTRIES);
+    
+    await chrome.storage.local.set(merged);
+  } else {
+    // Replace: drop everything except machine-local state, then write the backup
+    const currentKeys = Object.keys(await chrome.storage.local.get(null));
+    await chrome.storage.local.remove(currentKeys.filter(key => !BACKUP_EXCLUDED_KEYS.includes(key)));
+    await chrome.storage.local.set(data);
+  }
+  
+  // Auto sync settings may have changed
+  await scheduleAutoSync(true);
+  
+  const { scrapedClasses } = await chrome.storage.local.get(['scrapedClasses']);
+  console.log(`Restored backup from ${backup.createdAt} (${mode})`);
+  return { classCount: (scrapedClasses || []).length };
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === AUTO_SYNC_ALARM_NAME) {
+    runAutoSync().catch((error) => {
+      console.error('Auto sync error:', error);
+    });
+  }
+});
+
 // Reset first run flag on browser startup (service worker may have been terminated)
 chrome.runtime.onStartup.addListener(async () => {
   await resetFirstRunFlag();
   console.log('Reset first run flag on browser startup');
+  await scheduleAutoSync();
+  await resumeScrapeJob();
 });
 
 chrome.runtime.onInstalled.addListener(async (details) => {
@@ -1400,6 +3243,7 @@ chrome.runtime.onInstalled.addListener(async (details) => {
   await resetFirstRunFlag();
   console.log('Reset first run flag on install/update');
   // Note: Data is now persisted across sessions and updates
+  await scheduleAutoSync();
 });
 
 // Message listener
@@ -1438,20 +3282,23 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     };
     
     // Handle async response - must return true to keep channel open
-    startScraping(message.startDate, message.endDate, message.waitTime)
+    const mergeMode = message.mergeMode === true; // Default to false if not provided
+    // "Retry failed weeks only" sends the week texts and the dropdown year they belong to
+    const retryOptions = Array.isArray(message.onlyWeeks)
+      ? { onlyWeeks: message.onlyWeeks, year: message.year }
+      : {};
+    runScrape(message.startDate, message.endDate, message.waitTime, { mergeMode, ...retryOptions })
       .then(async (result) => {
         // Log to console
         console.log('Scraping completed:', result);
         if (result.success && result.data) {
           console.log('Scraped data (JSON):', JSON.stringify(result.data, null, 2));
-          
-          // Save scraped classes to storage (merge or replace based on user choice)
-          const mergeMode = message.mergeMode === true; // Default to false if not provided
-          await saveScrapedClasses(result.data, mergeMode);
         }
         if (result.errors && result.errors.length > 0) {
           console.log('Failed weeks:', result.errors);
         }
+        // Save scraped classes to storage (merge or replace based on user choice)
+        await saveScrapeResult(result, mergeMode);
         safeSendResponse(result);
       })
       .catch((error) => {
@@ -1464,6 +3311,85 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Keep channel open for async response
   }
   
+  if (message.action === 'getScrapeStatus') {
+    sendResponse({ inProgress: scrapingInProgress, status: currentScrapeStatus });
+    return false;
+  }
+  
+  if (message.action === 'pauseScraping' || message.action === 'resumeScraping') {
+    if (!scrapingInProgress) {
+      sendResponse({ success: false });
+      return false;
+    }
+    scrapeControl.paused = message.action === 'pauseScraping';
+    console.log(scrapeControl.paused ? 'Pause requested' : 'Resume requested');
+    if (currentScrapeStatus) {
+      publishScrapeStatus({ ...currentScrapeStatus, state: scrapeControl.paused ? 'paused' : 'running' });
+    }
+    sendResponse({ success: true });
+    return false;
+  }
+  
+  if (message.action === 'cancelScraping') {
+    if (!scrapingInProgress) {
+      sendResponse({ success: false });
+      return false;
+    }
+    // keepPartial: save the weeks extracted so far instead of discarding them
+    scrapeControl.cancelRequested = true;
+    scrapeControl.keepPartial = message.keepPartial !== false;
+    console.log('Cancel requested, keep partial data:', scrapeControl.keepPartial);
+    if (currentScrapeStatus) {
+      publishScrapeStatus({ ...currentScrapeStatus, state: 'cancelling' });
+    }
+    sendResponse({ success: true });
+    return false;
+  }
+  
+  if (message.action === 'fetchAttendanceReport') {
+    // Requested from the calendar's attendance dashboard; concurrent requests share one run
+    if (!attendanceReportPromise) {
+      attendanceReportPromise = fetchAttendanceReport().finally(() => {
+        attendanceReportPromise = null;
+      });
+    }
+    attendanceReportPromise
+      .then((report) => sendResponse({ success: true, report }))
+      .catch((error) => {
+        console.error('Error fetching attendance report:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+  
+  if (message.action === 'createBackup') {
+    createBackup()
+      .then((backup) => sendResponse({ success: true, backup }))
+      .catch((error) => {
+        console.error('Error creating backup:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+  
+  if (message.action === 'restoreBackup') {
+    restoreBackup(message.backup, message.mode)
+      .then((result) => sendResponse({ success: true, ...result }))
+      .catch((error) => {
+        console.error('Error restoring backup:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+  
+  if (message.action === 'autoSyncSettingsChanged') {
+    // Popup saved new auto sync settings, reschedule the alarm
+    scheduleAutoSync(true).then(() => {
+      sendResponse({ success: true });
+    });
+    return true;
+  }
+  
   if (message.action === 'progressUpdate') {
     // Forward progress updates to all popup windows
     chrome.runtime.sendMessage(message).catch(() => {});
@@ -1473,3 +3399,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return false;
 });
 
+// Service worker woke up (any event): continue a job interrupted by worker termination
+resumeScrapeJob().catch((error) => {
+  console.error('Error resuming scrape job:', error);
+});
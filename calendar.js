@@ -6,7 +6,15 @@ function getMessage(key, substitutions = []) {
 }
 
 let allClasses = [];
+let allExams = [];
+let attendanceReport = null;
 let currentWeekStart = null;
+let currentMonthStart = null;
+// Groups of overlapping sessions and every record in them (see updateScheduleConflicts)
+let scheduleConflicts = [];
+let conflictingRecords = new Set();
+// Parsed search box query (see parseSearchQuery), null when empty
+let searchQuery = null;
 let currentEditingClass = null;
 
 // ========================================
@@ -177,16 +185,18 @@ function getClassColor(subjectCode, isOnline) {
 function updateExportButtonState() {
   const exportBtn = document.getElementById('exportBtn');
   if (exportBtn) {
-    exportBtn.disabled = allClasses.length === 0;
+    exportBtn.disabled = allClasses.length === 0 && allExams.length === 0;
   }
 }
 
 // Load classes from storage
 async function loadClasses() {
   try {
-    const result = await chrome.storage.local.get(['scrapedClasses']);
-    if (result.scrapedClasses) {
-      allClasses = result.scrapedClasses;
+    const result = await chrome.storage.local.get(['scrapedClasses', 'scrapedExams', 'attendanceReport']);
+    allExams = result.scrapedExams || [];
+    attendanceReport = result.attendanceReport || null;
+    if (result.scrapedClasses || allExams.length > 0) {
+      allClasses = result.scrapedClasses || [];
       renderCalendar();
     } else {
       allClasses = [];
@@ -196,6 +206,7 @@ async function loadClasses() {
   } catch (error) {
     console.error('Error loading classes:', error);
     allClasses = [];
+    allExams = [];
     showEmptyState();
     updateExportButtonState();
   }
@@ -248,12 +259,26 @@ function getClassesForWeek(weekStart) {
   });
 }
 
-// Get all weeks that contain classes
+// Get exams for a specific week
+function getExamsForWeek(weekStart) {
+  const weekStartNormalized = new Date(weekStart);
+  weekStartNormalized.setHours(0, 0, 0, 0);
+  const weekEndNormalized = new Date(weekStartNormalized);
+  weekEndNormalized.setDate(weekEndNormalized.getDate() + 6);
+  weekEndNormalized.setHours(23, 59, 59, 999);
+  
+  return allExams.filter(exam => {
+    const examDate = new Date(exam.date + 'T00:00:00');
+    return examDate >= weekStartNormalized && examDate <= weekEndNormalized;
+  });
+}
+
+// Get all weeks that contain classes (or exams)
 function getAllWeeksWithClasses() {
-  if (allClasses.length === 0) return [];
+  if (allClasses.length === 0 && allExams.length === 0) return [];
   
   const weekStarts = new Set();
-  allClasses.forEach(cls => {
+  allClasses.concat(allExams).forEach(cls => {
     const classDate = new Date(cls.date);
     const weekStart = getWeekStart(classDate);
     weekStarts.add(weekStart.toISOString().split('T')[0]);
@@ -285,12 +310,29 @@ function getBlockHeight(startTime, endTime) {
   return end - start; // Return in minutes
 }
 
+// Slot whose start time on a date is closest to the given start time
+// Exams don't follow slots, so this is the row they are shown in the week view
+function getNearestSlot(dateKey, startTime) {
+  const start = getTimePosition(startTime);
+  const slotTimes = getSlotTimes(allClasses, dateKey);
+  let bestSlot = null;
+  let bestDistance = Infinity;
+  Object.keys(slotTimes).forEach(slot => {
+    const distance = Math.abs(getTimePosition(slotTimes[slot].start) - start);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      bestSlot = Number(slot);
+    }
+  });
+  return bestSlot;
+}
+
 // Render week view
 function renderWeekView() {
   if (!currentWeekStart) {
     // Set to current week or first week with classes
-    if (allClasses.length > 0) {
-      const firstClassDate = new Date(allClasses[0].date);
+    if (allClasses.length > 0 || allExams.length > 0) {
+      const firstClassDate = new Date((allClasses[0] || allExams[0]).date);
       currentWeekStart = getWeekStart(firstClassDate);
     } else {
       currentWeekStart = getWeekStart(new Date());
@@ -319,7 +361,9 @@ function renderWeekView() {
     weekSelector.appendChild(option);
   });
 
-  const weekClasses = getClassesForWeek(currentWeekStart);
+  updateScheduleConflicts();
+  const weekClasses = applyActiveFilter(getClassesForWeek(currentWeekStart));
+  const weekExams = applyActiveFilter(getExamsForWeek(currentWeekStart));
   console.log('Current week start:', currentWeekStart);
   console.log('Week classes found:', weekClasses.length);
   console.log('All classes:', allClasses.length);
@@ -405,6 +449,7 @@ function renderWeekView() {
       dayCell.id = `day-cell-${dayIndex}-slot-${slotIndex}`;
       dayCell.style.gridRow = gridRow;
       dayCell.style.gridColumn = dayIndex + 2;
+      makeDayCellDropTarget(dayCell, dayIndex, slotIndex);
       grid.appendChild(dayCell);
     }
   });
@@ -449,6 +494,7 @@ function renderWeekView() {
           }
           
           const block = createClassBlock(cls);
+          makeClassBlockDraggable(block, cls);
           dayCell.appendChild(block);
           console.log('Added class to cell:', `day-cell-${dayIndex}-slot-${slotIndex}`);
         } else {
@@ -461,6 +507,126 @@ function renderWeekView() {
       console.warn('Invalid dayIndex or slot:', dayIndex, cls.slot);
     }
   });
+
+  // Add exam blocks - placed in the slot closest to their start time
+  const weekStartDate = new Date(currentWeekStart);
+  weekStartDate.setHours(0, 0, 0, 0);
+  weekExams.forEach(exam => {
+    const examDate = new Date(exam.date + 'T00:00:00');
+    const dayIndex = Math.round((examDate - weekStartDate) / (24 * 60 * 60 * 1000));
+    const slotIndex = getNearestSlot(exam.date, exam.time.start);
+    const dayCell = document.getElementById(`day-cell-${dayIndex}-slot-${slotIndex}`);
+    if (!dayCell) {
+      console.warn('No cell for exam:', exam.subjectCode, exam.date, exam.time.start);
+      return;
+    }
+    dayCell.classList.add('has-classes');
+    const slotLabel = document.getElementById(`slot-label-${slotIndex}`);
+    if (slotLabel) {
+      slotLabel.classList.add('has-classes');
+    }
+    dayCell.appendChild(createExamBlock(exam, 'class-block'));
+  });
+  
+  // Overlapping sessions sit side by side instead of stacked
+  grid.querySelectorAll('.day-cell').forEach(cell => {
+    cell.classList.toggle('has-conflict', cell.querySelector('.has-conflict') !== null);
+  });
+  
+  updateNowLine();
+}
+
+// Update week selector to reflect current week
+function updateWeekSelector() {
+  const weekSelector = document.getElementById('weekSelector');
+  const currentWeekValue = currentWeekStart.toISOString().split('T')[0];
+  const allWeeks = getAllWeeksWithClasses();
+  
+  // Check if current week is in the list
+  const weekExists = allWeeks.some(w => w.toISOString().split('T')[0] === currentWeekValue);
+  
+  if (!weekExists) {
+    // Add current week to selector if not present
+    const option = createElement('option', '', formatWeekForSelector(currentWeekStart));
+    option.value = currentWeekValue;
+    option.selected = true;
+    weekSelector.appendChild(option);
+    
+    // Sort options
+    const options = Array.from(weekSelector.options);
+    options.sort((a, b) => new Date(a.value) - new Date(b.value));
+    weekSelector.innerHTML = '';
+    options.forEach(opt => weekSelector.appendChild(opt));
+    weekSelector.value = currentWeekValue;
+  } else {
+    weekSelector.value = currentWeekValue;
+  }
+}
+
+// Find overlapping classes and exams
+function updateScheduleConflicts() {
+  scheduleConflicts = findScheduleConflicts(allClasses.concat(allExams));
+  conflictingRecords = new Set(scheduleConflicts.flat());
+}
+
+// Link URLs from FAP or an imported file, only web links are opened
+function getSafeUrl(url) {
+  return typeof url === 'string' && /^https?:\/\//i.test(url.trim()) ? url.trim() : null;
+}
+
+// Badge group of a class (conflict, custom event, online, relocated, moved), null when it has none
+function createClassBadges(cls) {
+  const badges = [];
+  if (conflictingRecords.has(cls)) {
+    badges.push(['class-badge-conflict', getMessage('conflictBadge')]);
+  }
+  if (cls.isCustom) {
+    badges.push(['class-badge-custom', getMessage('customEventBadge')]);
+  }
+  if (cls.isOnline) {
+    badges.push(['class-badge-online', '● Online']);
+  }
+  if (cls.isRelocated === true) {
+    badges.push(['class-badge-relocated', getMessage('classRelocated')]);
+  }
+  if (cls.userModified) {
+    badges.push(['class-badge-modified', getMessage('classUserModified')]);
+  }
+  if (badges.length === 0) {
+    return null;
+  }
+  
+  const group = createElement('div', 'class-badges', '');
+  badges.forEach(([className, text]) => {
+    group.appendChild(createElement('span', `class-badge ${className}`, text));
+  });
+  return group;
+}
+
+// Materials, Meet and EduNext links of a class (materials first), null when it has none
+function createClassLinks(cls) {
+  const links = [
+    [getSafeUrl(cls.materialsUrl), `📄 ${getMessage('classMaterials')}`],
+    [getSafeUrl(cls.meetUrl), '🔗 Meet'],
+    [getSafeUrl(cls.edunextUrl), `📚 ${getMessage('classEduNext')}`]
+  ].filter(([url]) => url);
+  if (links.length === 0) {
+    return null;
+  }
+  
+  const container = createElement('div', 'class-links', '');
+  links.forEach(([url, label], index) => {
+    if (index > 0) {
+      container.appendChild(document.createTextNode(' '));
+    }
+    const link = createElement('a', 'class-link', label);
+    link.href = url;
+    link.target = '_blank';
+    // Opening a link shouldn't open the edit dialog
+    link.addEventListener('click', (e) => e.stopPropagation());
+    container.appendChild(link);
+  });
+  return container;
 }
 
 // Create class block element
@@ -468,72 +634,942 @@ function createClassBlock(cls) {
   const block = createElement('div', `class-block ${cls.isOnline ? 'online' : 'offline'}`, '');
   block.dataset.classId = cls.activityId;
   
-  // Get assigned base color for this class
-  const baseColor = getClassColor(cls.subjectCode, cls.isOnline);
+  // Get assigned base color for this class
+  const baseColor = getClassColor(cls.subjectCode, cls.isOnline);
+  
+  // Use tinted background for better readability with dark text
+  // This creates a soft tinted background with a stronger accent border
+  const bgColor = getTintedBackground(baseColor, cls.isOnline);
+  const textColor = getTextColor(bgColor);
+  
+  // Apply colors via inline styles for dynamic assignment
+  // Use tinted background with strong accent border
+  block.style.backgroundColor = bgColor;
+  block.style.borderLeftColor = baseColor;
+  block.style.borderLeftWidth = '4px';
+  block.style.borderLeftStyle = 'solid';
+  block.style.color = textColor === 'light' ? '#ffffff' : 'var(--color-text-primary)';
+  block.style.setProperty('--base-color', baseColor);
+  
+  // Add data attribute for CSS targeting and store base color for accents
+  block.dataset.textColor = textColor;
+  block.dataset.baseColor = baseColor;
+  
+  const timeStr = `${cls.time.start} - ${cls.time.end}`;
+  block.classList.toggle('has-conflict', conflictingRecords.has(cls));
+  
+  // Built from text nodes: classes can come from an imported .ics file
+  const content = createElement('div', 'class-content', '');
+  const header = createElement('div', 'class-header', '');
+  header.appendChild(createElement('div', 'class-name', cls.subjectCode));
+  const badges = createClassBadges(cls);
+  if (badges) {
+    header.appendChild(badges);
+  }
+  content.appendChild(header);
+  const meta = createElement('div', 'class-meta', '');
+  meta.appendChild(createElement('div', 'class-location', cls.location || 'N/A'));
+  meta.appendChild(createElement('div', 'class-time', timeStr));
+  content.appendChild(meta);
+  block.appendChild(content);
+  
+  // Links are pushed to the bottom via flexbox
+  const links = createClassLinks(cls);
+  if (links) {
+    block.appendChild(links);
+  }
+  
+  applySearchHighlight(block, cls);
+  block.addEventListener('click', () => openEditModal(cls));
+  return block;
+}
+
+// Create exam element (week view block or list item)
+// Exams use a fixed style instead of the subject color and can't be edited
+function createExamBlock(exam, baseClass) {
+  const block = createElement('div', `${baseClass} exam-block`, '');
+  block.dataset.textColor = 'dark';
+  
+  const timeStr = `${exam.time.start} - ${exam.time.end}`;
+  const badgeText = exam.examType || getMessage('examBadge');
+  const hasConflict = conflictingRecords.has(exam);
+  block.classList.toggle('has-conflict', hasConflict);
+  const metaParts = [exam.location || 'N/A'];
+  if (exam.examForm) {
+    metaParts.push(exam.examForm);
+  }
+  
+  // Built from text nodes: exams can come from an imported .ics file
+  const content = createElement('div', 'class-content', '');
+  const header = createElement('div', 'class-header', '');
+  header.appendChild(createElement('div', 'class-name', exam.subjectCode));
+  const badges = createElement('div', 'class-badges', '');
+  if (hasConflict) {
+    badges.appendChild(createElement('span', 'class-badge class-badge-conflict', getMessage('conflictBadge')));
+  }
+  badges.appendChild(createElement('span', 'class-badge class-badge-exam', badgeText));
+  header.appendChild(badges);
+  content.appendChild(header);
+  const meta = createElement('div', 'class-meta', '');
+  meta.appendChild(createElement('div', 'class-location', metaParts.join(' · ')));
+  meta.appendChild(createElement('div', 'class-time', timeStr));
+  content.appendChild(meta);
+  block.appendChild(content);
+  block.title = exam.subjectName ? `${getMessage('examBadge')}: ${exam.subjectName}` : getMessage('examBadge');
+  applySearchHighlight(block, exam);
+  return block;
+}
+
+// ========================================
+// DRAG AND DROP RESCHEDULING
+// ========================================
+
+// Day codes stored in the class "day" field, indexed by Date.getDay()
+const DAY_CODES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Start and end time of a slot on a date, null when the slot time is unknown
+function getSlotTime(slot, dateKey) {
+  return getSlotTimes(allClasses, dateKey)[slot] || null;
+}
+
+// Key syncs use to find FAP's copy of a class (same as getClassMatchKey in background.js)
+// Kept from the first change, so a class moved twice still matches the session FAP lists
+function getOriginalMatchKey(cls) {
+  if (cls.originalMatchKey) {
+    return cls.originalMatchKey;
+  }
+  return cls.activityId ? `id:${cls.activityId}` : `slot:${cls.subjectCode}|${cls.date}|${cls.slot}`;
+}
+
+// Move a class to another date and slot and mark it as changed by the user,
+// so syncs keep the new date and time (makeup sessions FAP doesn't show correctly)
+// Returns the index of the moved class, or -1 when nothing changed
+async function moveClass(cls, date, slot) {
+  const index = allClasses.indexOf(cls);
+  const dateKey = getDateKey(date);
+  if (index === -1 || (cls.date === dateKey && cls.slot === slot)) {
+    return -1;
+  }
+  
+  // Another slot needs its times; staying in the slot keeps the class's own times if it has none
+  const time = getSlotTime(slot, dateKey) || (slot === cls.slot ? { ...cls.time } : null);
+  if (!time) {
+    const message = getMessage('classMoveSlotUnknown', [String(slot)]);
+    document.getElementById('dragAnnouncer').textContent = message;
+    alert(message);
+    return -1;
+  }
+  
+  allClasses[index] = {
+    ...cls,
+    date: dateKey,
+    day: DAY_CODES[date.getDay()],
+    slot,
+    time,
+    originalMatchKey: getOriginalMatchKey(cls),
+    userModified: true
+  };
+  await saveClasses();
+  
+  document.getElementById('dragAnnouncer').textContent = getMessage('classMovedAnnouncement', [
+    cls.subjectCode,
+    formatDate(date),
+    String(slot)
+  ]);
+  return index;
+}
+
+// Make a week view class block draggable and movable from the keyboard
+// Enter/Space opens the edit modal, Alt+arrows move the class by one day or one slot
+function makeClassBlockDraggable(block, cls) {
+  block.draggable = true;
+  block.tabIndex = 0;
+  block.setAttribute('role', 'button');
+  block.setAttribute('aria-label', getMessage('classBlockAriaLabel', [cls.subjectCode, formatDate(cls.date), `${cls.time.start} - ${cls.time.end}`]));
+  block.dataset.classIndex = allClasses.indexOf(cls);
+  
+  block.addEventListener('dragstart', (e) => {
+    e.dataTransfer.setData('text/plain', block.dataset.classIndex);
+    e.dataTransfer.effectAllowed = 'move';
+    block.classList.add('dragging');
+  });
+  block.addEventListener('dragend', () => {
+    block.classList.remove('dragging');
+  });
+  
+  block.addEventListener('keydown', async (e) => {
+    if (e.target !== block) return;
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      openEditModal(cls);
+      return;
+    }
+    if (!e.altKey) return;
+    
+    const date = new Date(cls.date + 'T00:00:00');
+    let slot = cls.slot;
+    if (e.key === 'ArrowLeft') {
+      date.setDate(date.getDate() - 1);
+    } else if (e.key === 'ArrowRight') {
+      date.setDate(date.getDate() + 1);
+    } else if (e.key === 'ArrowUp' && slot > 0) {
+      slot--;
+    } else if (e.key === 'ArrowDown' && slot < 12) {
+      slot++;
+    } else {
+      return;
+    }
+    e.preventDefault();
+    
+    const index = await moveClass(cls, date, slot);
+    if (index === -1) return;
+    // Follow the class into the next/previous week
+    currentWeekStart = getWeekStart(date);
+    renderWeekView();
+    updateWeekSelector();
+    const movedBlock = document.querySelector(`.class-block[data-class-index="${index}"]`);
+    if (movedBlock) {
+      movedBlock.focus();
+    }
+  });
+}
+
+// Accept dropped class blocks on a week view cell
+function makeDayCellDropTarget(dayCell, dayIndex, slot) {
+  dayCell.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    dayCell.classList.add('drag-over');
+  });
+  dayCell.addEventListener('dragleave', (e) => {
+    if (!dayCell.contains(e.relatedTarget)) {
+      dayCell.classList.remove('drag-over');
+    }
+  });
+  dayCell.addEventListener('drop', async (e) => {
+    e.preventDefault();
+    dayCell.classList.remove('drag-over');
+    const cls = allClasses[Number(e.dataTransfer.getData('text/plain'))];
+    if (!cls) return;
+    
+    const date = new Date(currentWeekStart);
+    date.setHours(0, 0, 0, 0);
+    date.setDate(date.getDate() + dayIndex);
+    if (await moveClass(cls, date, slot) !== -1) {
+      renderWeekView();
+    }
+  });
+}
+
+// Local YYYY-MM-DD key of a date (same format as class dates)
+function getDateKey(date) {
+  const d = new Date(date);
+  const day = String(d.getDate()).padStart(2, '0');
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+}
+
+// First day of the month a week mostly falls in (its Thursday)
+function getMonthStartForWeek(weekStart) {
+  const thursday = new Date(weekStart);
+  thursday.setDate(thursday.getDate() + 3);
+  return new Date(thursday.getFullYear(), thursday.getMonth(), 1);
+}
+
+// Chips shown per day in the month view before collapsing the rest into "+N"
+const MONTH_MAX_CHIPS = 4;
+
+// Render month view
+function renderMonthView() {
+  if (!currentMonthStart) {
+    currentMonthStart = currentWeekStart ? getMonthStartForWeek(currentWeekStart) : getMonthStartForWeek(getWeekStart(new Date()));
+  }
+  
+  const monthEnd = new Date(currentMonthStart.getFullYear(), currentMonthStart.getMonth() + 1, 0);
+  document.getElementById('monthTitle').textContent = getMessage('monthTitle', [
+    String(currentMonthStart.getMonth() + 1),
+    String(currentMonthStart.getFullYear())
+  ]);
+  
+  // Update header subtitle with month range
+  const subtitleEl = document.getElementById('headerSubtitle');
+  if (subtitleEl) {
+    subtitleEl.textContent = `${formatDate(currentMonthStart)} - ${formatDate(monthEnd)}`;
+  }
+  
+  updateScheduleConflicts();
+  
+  // Group classes and exams by date
+  const recordsByDate = {};
+  applyActiveFilter(allClasses.concat(allExams)).forEach(record => {
+    if (!recordsByDate[record.date]) {
+      recordsByDate[record.date] = [];
+    }
+    recordsByDate[record.date].push(record);
+  });
+  
+  const grid = document.getElementById('monthGrid');
+  grid.innerHTML = '';
+  
+  // Weekday headers, Monday first like the week view
+  ['T2', 'T3', 'T4', 'T5', 'T6', 'T7', 'CN'].forEach(dayName => {
+    grid.appendChild(createElement('div', 'month-weekday', dayName));
+  });
+  
+  // Whole weeks from the Monday before the 1st to the Sunday after the last day
+  const day = getWeekStart(currentMonthStart);
+  day.setHours(0, 0, 0, 0);
+  while (day <= monthEnd || day.getDay() !== 1) {
+    grid.appendChild(createMonthDayCell(new Date(day), recordsByDate[getDateKey(day)] || []));
+    day.setDate(day.getDate() + 1);
+  }
+}
+
+// Create a day cell for the month view
+// Clicking the day opens its week in the week view
+function createMonthDayCell(date, records) {
+  const cell = createElement('div', 'month-day', '');
+  if (date.getMonth() !== currentMonthStart.getMonth()) {
+    cell.classList.add('outside-month');
+  }
+  if (getDateKey(date) === getDateKey(new Date())) {
+    cell.classList.add('today');
+  }
+  
+  const sorted = [...records].sort((a, b) => a.time.start.localeCompare(b.time.start));
+  const classes = sorted.filter(record => record.recordType !== 'exam');
+  const hasExam = classes.length < sorted.length;
+  
+  // Day number with markers for exams and relocated sessions
+  const header = createElement('div', 'month-day-header', '');
+  header.appendChild(createElement('span', 'month-day-number', String(date.getDate())));
+  const markers = createElement('span', 'month-day-markers', '');
+  if (hasExam) {
+    cell.classList.add('has-exam');
+    markers.appendChild(createElement('span', 'class-badge class-badge-exam', getMessage('examBadge')));
+  }
+  if (sorted.some(record => conflictingRecords.has(record))) {
+    markers.appendChild(createElement('span', 'class-badge class-badge-conflict', getMessage('conflictBadge')));
+  }
+  if (classes.some(cls => cls.isRelocated === true)) {
+    markers.appendChild(createElement('span', 'class-badge class-badge-relocated', getMessage('classRelocated')));
+  }
+  header.appendChild(markers);
+  cell.appendChild(header);
+  
+  // Compact chips in the subject color (exams keep their fixed style)
+  const chips = createElement('div', 'month-chips', '');
+  sorted.slice(0, MONTH_MAX_CHIPS).forEach(record => {
+    const chip = createElement('div', 'month-chip', record.subjectCode);
+    chip.title = `${record.subjectCode} · ${record.time.start} - ${record.time.end}${record.location ? ` · ${record.location}` : ''}`;
+    if (record.recordType === 'exam') {
+      chip.classList.add('month-chip-exam');
+    } else {
+      const baseColor = getClassColor(record.subjectCode, record.isOnline);
+      chip.style.backgroundColor = baseColor;
+      chip.style.color = getTextColor(baseColor) === 'light' ? '#ffffff' : '#111827';
+    }
+    applySearchHighlight(chip, record);
+    chips.appendChild(chip);
+  });
+  if (sorted.length > MONTH_MAX_CHIPS) {
+    chips.appendChild(createElement('div', 'month-chip-more', getMessage('monthMoreItems', [String(sorted.length - MONTH_MAX_CHIPS)])));
+  }
+  cell.appendChild(chips);
+  
+  // Online / offline session counts
+  if (classes.length > 0) {
+    const onlineCount = classes.filter(cls => cls.isOnline === true).length;
+    const counts = [];
+    if (onlineCount > 0) {
+      counts.push(getMessage('monthOnlineCount', [String(onlineCount)]));
+    }
+    if (classes.length > onlineCount) {
+      counts.push(getMessage('monthOfflineCount', [String(classes.length - onlineCount)]));
+    }
+    cell.appendChild(createElement('div', 'month-day-counts', counts.join(' · ')));
+  }
+  
+  cell.title = getMessage('monthOpenWeek');
+  cell.addEventListener('click', () => {
+    currentWeekStart = getWeekStart(date);
+    showView('week');
+    updateWeekSelector();
+  });
+  return cell;
+}
+
+// ========================================
+// TODAY / AGENDA VIEW
+// ========================================
+
+// How often the countdown and the week view's "now" line are refreshed (ms)
+const NOW_REFRESH_INTERVAL = 30 * 1000;
+
+// Current local time as HH:MM (same format as class times)
+function getTimeKey(date) {
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+// Minutes between two HH:MM times on the same day
+function getMinutesBetween(startTime, endTime) {
+  return getTimePosition(endTime) - getTimePosition(startTime);
+}
+
+// Format a number of minutes as "1 giờ 5 phút" / "5 phút"
+function formatCountdown(minutes) {
+  const hours = Math.floor(minutes / 60);
+  if (hours > 0) {
+    return getMessage('agendaDurationHours', [String(hours), String(minutes % 60)]);
+  }
+  return getMessage('agendaDurationMinutes', [String(Math.max(minutes, 1))]);
+}
+
+// Text for the countdown card: the session in progress, or the next one today/tomorrow
+function getAgendaCountdownText(records, now) {
+  const todayKey = getDateKey(now);
+  const nowTime = getTimeKey(now);
+  
+  const current = records.find(record =>
+    record.date === todayKey && record.time.start <= nowTime && nowTime < record.time.end
+  );
+  if (current) {
+    return getMessage('agendaInProgress', [
+      current.subjectCode,
+      formatCountdown(getMinutesBetween(nowTime, current.time.end))
+    ]);
+  }
+  
+  const next = records.find(record => `${record.date}T${record.time.start}` > `${todayKey}T${nowTime}`);
+  if (!next) {
+    return getMessage('agendaNothingNext');
+  }
+  // Tomorrow's sessions count the minutes left today plus the minutes into tomorrow
+  const minutesLeft = next.date === todayKey
+    ? getMinutesBetween(nowTime, next.time.start)
+    : getMinutesBetween(nowTime, '24:00') + getMinutesBetween('00:00', next.time.start);
+  return getMessage('agendaNext', [next.subjectCode, next.time.start, formatCountdown(minutesLeft)]);
+}
+
+// Create an agenda row with one-click Meet / EduNext / materials links
+function createAgendaItem(record, isToday, nowTime) {
+  const isExam = record.recordType === 'exam';
+  const item = createElement('div', 'agenda-item', '');
+  if (isExam) {
+    item.classList.add('exam-block');
+  } else {
+    item.style.borderLeftColor = getClassColor(record.subjectCode, record.isOnline);
+  }
+  if (isToday && record.time.end <= nowTime) {
+    item.classList.add('agenda-item-done');
+  } else if (isToday && record.time.start <= nowTime) {
+    item.classList.add('agenda-item-now');
+  }
+  
+  const time = createElement('div', 'agenda-time', '');
+  time.appendChild(createElement('div', 'agenda-time-start', record.time.start));
+  time.appendChild(createElement('div', 'agenda-time-end', record.time.end));
+  item.appendChild(time);
+  
+  const body = createElement('div', 'agenda-body', '');
+  const header = createElement('div', 'class-header', '');
+  header.appendChild(createElement('div', 'class-name', record.subjectCode));
+  const badges = createElement('div', 'class-badges', '');
+  if (conflictingRecords.has(record)) {
+    badges.appendChild(createElement('span', 'class-badge class-badge-conflict', getMessage('conflictBadge')));
+  }
+  if (isExam) {
+    badges.appendChild(createElement('span', 'class-badge class-badge-exam', record.examType || getMessage('examBadge')));
+  }
+  if (record.isCustom) {
+    badges.appendChild(createElement('span', 'class-badge class-badge-custom', getMessage('customEventBadge')));
+  }
+  if (record.isOnline) {
+    badges.appendChild(createElement('span', 'class-badge class-badge-online', '● Online'));
+  }
+  if (record.isRelocated === true) {
+    badges.appendChild(createElement('span', 'class-badge class-badge-relocated', getMessage('classRelocated')));
+  }
+  header.appendChild(badges);
+  body.appendChild(header);
+  body.appendChild(createElement('div', 'class-location', record.location || 'N/A'));
+  item.appendChild(body);
+  
+  const links = createElement('div', 'agenda-links', '');
+  [
+    [getSafeUrl(record.meetUrl), '🔗 Meet'],
+    [getSafeUrl(record.edunextUrl), `📚 ${getMessage('classEduNext')}`],
+    [getSafeUrl(record.materialsUrl), `📄 ${getMessage('classMaterials')}`]
+  ].forEach(([url, label]) => {
+    if (!url) return;
+    const link = createElement('a', 'btn btn-outline agenda-link', label);
+    link.href = url;
+    link.target = '_blank';
+    link.addEventListener('click', (e) => e.stopPropagation());
+    links.appendChild(link);
+  });
+  item.appendChild(links);
+  
+  if (!isExam) {
+    item.addEventListener('click', () => openEditModal(record));
+  }
+  return item;
+}
+
+// Render today/agenda view: today's and tomorrow's sessions and a countdown to the next one
+function renderAgendaView() {
+  const now = new Date();
+  const nowTime = getTimeKey(now);
+  const todayKey = getDateKey(now);
+  const tomorrow = new Date(now);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  const tomorrowKey = getDateKey(tomorrow);
+  
+  updateScheduleConflicts();
+  const records = allClasses.concat(allExams)
+    .filter(record => record.date === todayKey || record.date === tomorrowKey)
+    .sort((a, b) => `${a.date}T${a.time.start}`.localeCompare(`${b.date}T${b.time.start}`));
+  
+  const subtitleEl = document.getElementById('headerSubtitle');
+  if (subtitleEl) {
+    subtitleEl.textContent = formatDate(now);
+  }
+  document.getElementById('agendaCountdown').textContent = getAgendaCountdownText(records, now);
+  
+  const content = document.getElementById('agendaContent');
+  content.innerHTML = '';
+  [[todayKey, getMessage('today'), now], [tomorrowKey, getMessage('agendaTomorrow'), tomorrow]].forEach(([dateKey, title, date]) => {
+    const section = createElement('div', 'day-group', '');
+    const dayHeader = createElement('div', 'day-header', '');
+    dayHeader.appendChild(createElement('span', '', title));
+    dayHeader.appendChild(createElement('span', 'day-header-date', formatDate(date)));
+    section.appendChild(dayHeader);
+    
+    const dayRecords = records.filter(record => record.date === dateKey);
+    const items = createElement('div', 'day-classes', '');
+    if (dayRecords.length === 0) {
+      items.appendChild(createElement('div', 'empty-state', getMessage('agendaNoClasses')));
+    }
+    dayRecords.forEach(record => items.appendChild(createAgendaItem(record, dateKey === todayKey, nowTime)));
+    section.appendChild(items);
+    content.appendChild(section);
+  });
+}
+
+// Slot row and position inside it for a time, using the slot times of the stored classes
+// Before a slot starts the line sits at the top of its row; after the last slot at the bottom of it
+function getNowSlotPosition(time) {
+  const slotTimes = getSlotTimes(allClasses, getDateKey(new Date()));
+  const slots = Object.keys(slotTimes).map(Number).sort((a, b) => a - b);
+  if (slots.length === 0) {
+    return null;
+  }
+  
+  for (const slot of slots) {
+    const { start, end } = slotTimes[slot];
+    if (time < start) {
+      return { slot, fraction: 0 };
+    }
+    if (time < end) {
+      return { slot, fraction: getMinutesBetween(start, time) / getMinutesBetween(start, end) };
+    }
+  }
+  return { slot: slots[slots.length - 1], fraction: 1 };
+}
+
+// Draw the current-time line across the week grid (only when the current week is shown)
+function updateNowLine() {
+  const grid = document.getElementById('weekGrid');
+  const existing = document.getElementById('nowLine');
+  if (existing) {
+    existing.remove();
+  }
+  
+  const todayHeader = grid.querySelector('.day-header.today');
+  const position = getNowSlotPosition(getTimeKey(new Date()));
+  const slotLabel = position && document.getElementById(`slot-label-${position.slot}`);
+  if (!todayHeader || !slotLabel) {
+    return;
+  }
+  
+  const line = createElement('div', 'now-line', '');
+  line.id = 'nowLine';
+  line.title = getTimeKey(new Date());
+  line.style.top = `${slotLabel.offsetTop + position.fraction * slotLabel.offsetHeight}px`;
+  
+  // Thicker segment over today's column
+  const todaySegment = createElement('div', 'now-line-today', '');
+  todaySegment.style.left = `${todayHeader.offsetLeft}px`;
+  todaySegment.style.width = `${todayHeader.offsetWidth}px`;
+  line.appendChild(todaySegment);
+  grid.appendChild(line);
+}
+
+// Keep the countdown and the "now" line moving; re-render everything when the day changes
+let lastRenderedDay = getDateKey(new Date());
+function refreshNowIndicators() {
+  const todayKey = getDateKey(new Date());
+  if (todayKey !== lastRenderedDay) {
+    lastRenderedDay = todayKey;
+    renderCalendar();
+  } else if (document.getElementById('agendaViewBtn').classList.contains('active')) {
+    renderAgendaView();
+  } else if (document.getElementById('weekViewBtn').classList.contains('active')) {
+    updateNowLine();
+  }
+}
+
+// Mark the buttons and containers of a view (week, month, list or agenda) as active
+function setActiveView(view) {
+  document.getElementById('weekViewBtn').classList.toggle('active', view === 'week');
+  document.getElementById('monthViewBtn').classList.toggle('active', view === 'month');
+  document.getElementById('listViewBtn').classList.toggle('active', view === 'list');
+  document.getElementById('agendaViewBtn').classList.toggle('active', view === 'agenda');
+  document.getElementById('weekView').classList.toggle('hidden', view !== 'week');
+  document.getElementById('monthView').classList.toggle('active', view === 'month');
+  document.getElementById('listView').classList.toggle('active', view === 'list');
+  document.getElementById('agendaView').classList.toggle('active', view === 'agenda');
+}
+
+// Switch view and remember it, so a pinned tab reopens on the same view
+function showView(view) {
+  setActiveView(view);
+  chrome.storage.local.set({ calendarView: view });
+  renderCalendar();
+}
+
+// ========================================
+// SEARCH
+// ========================================
+
+// Lowercase text without Vietnamese diacritics, so "thu 4" matches "thứ 4"
+function normalizeSearchText(text) {
+  return String(text)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd');
+}
+
+// Split a search query into date conditions and text terms
+// Understands dates ("12/03", "12/3/2026"), weekdays ("thứ 4", "t4", "chủ nhật", "cn")
+// and "hôm nay" / "ngày mai"; every other word must appear in the session's text
+function parseSearchQuery(query) {
+  const dates = [];
+  const weekdays = [];
+  const addRelativeDate = (offset) => {
+    const date = new Date();
+    date.setDate(date.getDate() + offset);
+    dates.push({ day: date.getDate(), month: date.getMonth() + 1, year: date.getFullYear() });
+    return ' ';
+  };
+  
+  const text = normalizeSearchText(query)
+    .replace(/\b(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{4}))?\b/g, (match, day, month, year) => {
+      dates.push({ day: Number(day), month: Number(month), year: year ? Number(year) : null });
+      return ' ';
+    })
+    .replace(/\b(?:thu|t)\s*([2-7])\b/g, (match, number) => {
+      weekdays.push(Number(number) - 1);
+      return ' ';
+    })
+    .replace(/\b(?:chu nhat|cn)\b/g, () => {
+      weekdays.push(0);
+      return ' ';
+    })
+    .replace(/\bhom nay\b/g, () => addRelativeDate(0))
+    .replace(/\bngay mai\b/g, () => addRelativeDate(1));
+  
+  return { dates, weekdays, terms: text.split(/\s+/).filter(Boolean) };
+}
+
+// Text a session can be found by: subject, room, lecturer, notes, status, exam details
+function getSearchText(record) {
+  const parts = [
+    record.subjectCode,
+    record.subjectName,
+    record.location,
+    record.lecturer,
+    record.studentGroup,
+    record.attendanceTaker,
+    record.comment,
+    record.isOnline ? 'online' : getMessage('filterOffline')
+  ];
+  if (record.recordType === 'exam') {
+    parts.push(getMessage('examBadge'), record.examType, record.examForm);
+  } else {
+    parts.push(record.status, getStatusLabel(record.status));
+  }
+  return normalizeSearchText(parts.filter(Boolean).join(' '));
+}
+
+// Check a class or exam against the current search (everything matches without one)
+function matchesSearch(record) {
+  if (!searchQuery) {
+    return true;
+  }
+  const date = new Date(record.date + 'T00:00:00');
+  if (searchQuery.weekdays.length > 0 && !searchQuery.weekdays.includes(date.getDay())) {
+    return false;
+  }
+  if (searchQuery.dates.length > 0 && !searchQuery.dates.some(condition =>
+    condition.day === date.getDate() &&
+    condition.month === date.getMonth() + 1 &&
+    (condition.year === null || condition.year === date.getFullYear()))) {
+    return false;
+  }
+  const text = getSearchText(record);
+  return searchQuery.terms.every(term => text.includes(term));
+}
+
+// Highlight matches and dim the rest while searching
+function applySearchHighlight(element, record) {
+  const isMatch = searchQuery !== null && matchesSearch(record);
+  element.classList.toggle('search-match', isMatch);
+  element.classList.toggle('search-dim', searchQuery !== null && !isMatch);
+}
+
+// Week starts (YYYY-MM-DD) that contain a match, in order
+function getSearchMatchWeeks() {
+  const weeks = new Set();
+  applyActiveFilter(allClasses.concat(allExams)).filter(matchesSearch).forEach(record => {
+    weeks.add(getDateKey(getWeekStart(new Date(record.date + 'T00:00:00'))));
+  });
+  return Array.from(weeks).sort();
+}
+
+// Open the previous/next week with a match (direction -1 or 1) in the week view
+function jumpToSearchMatch(direction) {
+  const weeks = getSearchMatchWeeks();
+  if (weeks.length === 0) return;
+  const currentKey = getDateKey(currentWeekStart);
+  const target = direction > 0
+    ? weeks.find(week => week > currentKey) || weeks[0]
+    : weeks.slice().reverse().find(week => week < currentKey) || weeks[weeks.length - 1];
+  currentWeekStart = new Date(target + 'T00:00:00');
+  showView('week');
+  updateWeekSelector();
+}
+
+// Apply the search box: update the result count and, in the week view,
+// move to the first week with a match from this week on
+function updateSearch(query) {
+  searchQuery = query.trim() ? parseSearchQuery(query) : null;
+  const status = document.getElementById('searchStatus');
+  document.getElementById('searchPrevBtn').disabled = !searchQuery;
+  document.getElementById('searchNextBtn').disabled = !searchQuery;
+  
+  if (!searchQuery) {
+    status.textContent = '';
+    renderCalendar();
+    return;
+  }
+  
+  const matchCount = applyActiveFilter(allClasses.concat(allExams)).filter(matchesSearch).length;
+  const weeks = getSearchMatchWeeks();
+  status.textContent = matchCount > 0
+    ? getMessage('searchResultCount', [String(matchCount), String(weeks.length)])
+    : getMessage('searchNoResults');
+  
+  const isWeekView = document.getElementById('weekViewBtn').classList.contains('active');
+  if (isWeekView && currentWeekStart && weeks.length > 0 && !weeks.includes(getDateKey(currentWeekStart))) {
+    const thisWeek = getDateKey(getWeekStart(new Date()));
+    currentWeekStart = new Date((weeks.find(week => week >= thisWeek) || weeks[0]) + 'T00:00:00');
+    renderWeekView();
+    updateWeekSelector();
+    return;
+  }
+  renderCalendar();
+}
+
+// ========================================
+// FILTER BUILDER AND SAVED FILTERS
+// ========================================
+
+// Filter used by the week, month and list views and by exports, null when none
+// { name: saved filter name (null when not saved), filter: filters for filterExportRecords }
+let activeFilter = null;
+// Named filters: [{ name, filter }]
+let savedFilters = [];
+
+// Keep only the records matching the active filter
+function applyActiveFilter(records) {
+  return activeFilter ? filterExportRecords(records, activeFilter.filter) : records;
+}
+
+// Load saved filters and the filter in use
+async function loadSavedFilters() {
+  const result = await chrome.storage.local.get(['savedFilters', 'activeFilter']);
+  savedFilters = result.savedFilters || [];
+  activeFilter = result.activeFilter || null;
+  updateFilterToolbar();
+}
+
+// Fill the saved filter dropdown and mark the filter button while a filter is active
+function updateFilterToolbar() {
+  const select = document.getElementById('savedFilterSelect');
+  select.innerHTML = '';
+  const noneOption = createElement('option', '', getMessage('filterNone'));
+  noneOption.value = '';
+  select.appendChild(noneOption);
+  // Saved filters by index, so no filter name can collide with the other options
+  savedFilters.forEach((saved, index) => {
+    const option = createElement('option', '', saved.name);
+    option.value = String(index);
+    select.appendChild(option);
+  });
+  // A filter applied from the builder without saving it
+  if (activeFilter && !activeFilter.name) {
+    const option = createElement('option', '', getMessage('filterUnsaved'));
+    option.value = '__unsaved';
+    select.appendChild(option);
+  }
+  if (!activeFilter) {
+    select.value = '';
+  } else {
+    select.value = activeFilter.name
+      ? String(savedFilters.findIndex(saved => saved.name === activeFilter.name))
+      : '__unsaved';
+  }
+  document.getElementById('filterBuilderBtn').classList.toggle('active', activeFilter !== null);
+}
+
+// Use a filter ({ name, filter }) or no filter (null) and remember it
+async function setActiveFilter(filter) {
+  activeFilter = filter;
+  if (activeFilter) {
+    await chrome.storage.local.set({ activeFilter });
+  } else {
+    await chrome.storage.local.remove(['activeFilter']);
+  }
+  updateFilterToolbar();
+  renderCalendar();
+}
+
+// Replace the checkboxes of a filter builder list, checking the given values
+function fillFilterCheckboxes(containerId, items, checkedValues) {
+  const container = document.getElementById(containerId);
+  container.innerHTML = '';
+  items.forEach(([value, label]) => {
+    const item = createElement('label', 'export-checkbox', '');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = value;
+    checkbox.checked = Array.isArray(checkedValues) && checkedValues.includes(value);
+    item.appendChild(checkbox);
+    item.appendChild(createElement('span', null, label));
+    container.appendChild(item);
+  });
+}
+
+// Open the filter builder with the active filter's values
+function openFilterModal() {
+  const filter = activeFilter ? activeFilter.filter : {};
+  const records = allClasses.concat(allExams);
+  
+  const subjects = [...new Set(records.map(record => record.subjectCode))].filter(Boolean).sort();
+  fillFilterCheckboxes('filterSubjectList', subjects.map(code => [code, code]), filter.subjectCodes);
   
-  // Use tinted background for better readability with dark text
-  // This creates a soft tinted background with a stronger accent border
-  const bgColor = getTintedBackground(baseColor, cls.isOnline);
-  const textColor = getTextColor(bgColor);
+  // Monday first, like the week view
+  const weekdays = [[1, 'T2'], [2, 'T3'], [3, 'T4'], [4, 'T5'], [5, 'T6'], [6, 'T7'], [0, 'CN']];
+  fillFilterCheckboxes('filterWeekdayList', weekdays.map(([day, label]) => [String(day), label]),
+    filter.weekdays ? filter.weekdays.map(String) : null);
   
-  // Apply colors via inline styles for dynamic assignment
-  // Use tinted background with strong accent border
-  block.style.backgroundColor = bgColor;
-  block.style.borderLeftColor = baseColor;
-  block.style.borderLeftWidth = '4px';
-  block.style.borderLeftStyle = 'solid';
-  block.style.color = textColor === 'light' ? '#ffffff' : 'var(--color-text-primary)';
-  block.style.setProperty('--base-color', baseColor);
+  fillFilterCheckboxes('filterStatusList', [
+    ['notYet', getMessage('statusNotYet')],
+    ['attended', getMessage('statusAttended')],
+    ['absent', getMessage('statusAbsent')]
+  ], filter.statuses);
   
-  // Add data attribute for CSS targeting and store base color for accents
-  block.dataset.textColor = textColor;
-  block.dataset.baseColor = baseColor;
+  const buildings = [...new Set(records.map(record => getLocationBuilding(record.location)))].filter(Boolean).sort();
+  fillFilterCheckboxes('filterBuildingList', buildings.map(code => [code, code]), filter.buildings);
   
-  const timeStr = `${cls.time.start} - ${cls.time.end}`;
+  document.getElementById('filterDateFrom').value = filter.startDate || '';
+  document.getElementById('filterDateTo').value = filter.endDate || '';
+  document.getElementById('filterSlotFrom').value = filter.slotFrom === undefined || filter.slotFrom === null ? '' : filter.slotFrom;
+  document.getElementById('filterSlotTo').value = filter.slotTo === undefined || filter.slotTo === null ? '' : filter.slotTo;
+  document.getElementById('filterMode').value = filter.mode || 'all';
+  document.getElementById('filterRelocatedOnly').checked = filter.relocatedOnly === true;
+  document.getElementById('filterName').value = activeFilter && activeFilter.name ? activeFilter.name : '';
+  document.getElementById('deleteFilterBtn').style.display = activeFilter && activeFilter.name ? '' : 'none';
   
-  // Build badge group (Online + Relocated)
-  let badgesHtml = '';
-  if (cls.isOnline || cls.isRelocated) {
-    badgesHtml = '<div class="class-badges">';
-    if (cls.isOnline) {
-      badgesHtml += `<span class="class-badge class-badge-online">● Online</span>`;
-    }
-    if (cls.isRelocated === true) {
-      badgesHtml += `<span class="class-badge class-badge-relocated">${getMessage('classRelocated')}</span>`;
-    }
-    badgesHtml += '</div>';
-  }
-  
-  // Build links section (Materials, Meet, and EduNext) - will be pushed to bottom via flexbox
-  // Materials link is always first (leftmost)
-  let linksHtml = '';
-  if (cls.materialsUrl) {
-    linksHtml += `<a href="${cls.materialsUrl}" target="_blank" class="class-link" onclick="event.stopPropagation();">📄 ${getMessage('classMaterials')}</a>`;
-  }
-  if (cls.meetUrl) {
-    if (linksHtml) linksHtml += ' ';
-    linksHtml += `<a href="${cls.meetUrl}" target="_blank" class="class-link" onclick="event.stopPropagation();">🔗 Meet</a>`;
-  }
-  if (cls.edunextUrl) {
-    if (linksHtml) linksHtml += ' ';
-    linksHtml += `<a href="${cls.edunextUrl}" target="_blank" class="class-link" onclick="event.stopPropagation();">📚 ${getMessage('classEduNext')}</a>`;
-  }
-  
-  block.innerHTML = `
-    <div class="class-content">
-      <div class="class-header">
-        <div class="class-name">${cls.subjectCode}</div>
-        ${badgesHtml}
-      </div>
-      <div class="class-meta">
-        <div class="class-location">${cls.location || 'N/A'}</div>
-        <div class="class-time">${timeStr}</div>
-      </div>
-    </div>
-    ${linksHtml ? `<div class="class-links">${linksHtml}</div>` : ''}
-  `;
-  block.addEventListener('click', () => openEditModal(cls));
-  return block;
+  document.getElementById('filterModal').classList.add('active');
+}
+
+// Close filter builder
+function closeFilterModal() {
+  document.getElementById('filterModal').classList.remove('active');
+}
+
+// Read the filter builder (nothing checked in a list means any value)
+function getFilterBuilderValues() {
+  const getChecked = (containerId) => {
+    const checked = Array.from(document.querySelectorAll(`#${containerId} input[type="checkbox"]:checked`))
+      .map(checkbox => checkbox.value);
+    return checked.length > 0 ? checked : null;
+  };
+  const getSlot = (inputId) => {
+    const value = document.getElementById(inputId).value;
+    return value === '' ? null : Number(value);
+  };
+  const weekdays = getChecked('filterWeekdayList');
+  
+  return {
+    subjectCodes: getChecked('filterSubjectList'),
+    startDate: document.getElementById('filterDateFrom').value,
+    endDate: document.getElementById('filterDateTo').value,
+    weekdays: weekdays ? weekdays.map(Number) : null,
+    slotFrom: getSlot('filterSlotFrom'),
+    slotTo: getSlot('filterSlotTo'),
+    mode: document.getElementById('filterMode').value,
+    relocatedOnly: document.getElementById('filterRelocatedOnly').checked,
+    statuses: getChecked('filterStatusList'),
+    buildings: getChecked('filterBuildingList')
+  };
+}
+
+// Save the builder's filter under its name (replacing a filter with the same name) and use it
+async function saveNamedFilter() {
+  const name = document.getElementById('filterName').value.trim();
+  if (!name) {
+    alert(getMessage('filterNameRequired'));
+    return;
+  }
+  const filter = getFilterBuilderValues();
+  savedFilters = savedFilters.filter(saved => saved.name !== name).concat([{ name, filter }]);
+  await chrome.storage.local.set({ savedFilters });
+  await setActiveFilter({ name, filter });
+  closeFilterModal();
+}
+
+// Delete the active saved filter
+async function deleteNamedFilter() {
+  if (!activeFilter || !activeFilter.name || !confirm(getMessage('confirmDeleteFilter', [activeFilter.name]))) {
+    return;
+  }
+  const name = activeFilter.name;
+  savedFilters = savedFilters.filter(saved => saved.name !== name);
+  await chrome.storage.local.set({ savedFilters });
+  await setActiveFilter(null);
+  closeFilterModal();
+}
+
+// Get filtered exams based on current filter values
+// Exams are in person, so they're hidden when only online classes are shown
+function getFilteredExams() {
+  const subjectFilter = document.getElementById('subjectFilter');
+  const statusFilter = document.getElementById('statusFilter');
+  
+  const selectedSubject = subjectFilter ? subjectFilter.value : 'all';
+  const selectedStatus = statusFilter ? statusFilter.value : 'all';
+  
+  if (selectedStatus === 'online') {
+    return [];
+  }
+  if (selectedSubject !== 'all') {
+    return applyActiveFilter(allExams).filter(exam => exam.subjectCode === selectedSubject && matchesSearch(exam));
+  }
+  return applyActiveFilter(allExams).filter(matchesSearch);
 }
 
 // Get filtered classes based on current filter values
@@ -544,7 +1580,7 @@ function getFilteredClasses() {
   const selectedSubject = subjectFilter ? subjectFilter.value : 'all';
   const selectedStatus = statusFilter ? statusFilter.value : 'all';
   
-  let filtered = [...allClasses];
+  let filtered = applyActiveFilter(allClasses).filter(matchesSearch);
   
   // Filter by subject
   if (selectedSubject !== 'all') {
@@ -567,18 +1603,21 @@ function getFilteredClasses() {
 function renderListView() {
   const listContent = document.getElementById('listContent');
   listContent.innerHTML = '';
+  updateScheduleConflicts();
+  renderConflictList();
 
   // Get filtered classes
   const filteredClasses = getFilteredClasses();
+  const filteredExams = getFilteredExams();
 
-  if (filteredClasses.length === 0) {
+  if (filteredClasses.length === 0 && filteredExams.length === 0) {
     listContent.innerHTML = `<div class="empty-state">${getMessage('emptyState')}</div>`;
     updateListSidebar([]);
     return;
   }
 
-  // Sort classes by date and time
-  const sortedClasses = filteredClasses.sort((a, b) => {
+  // Sort classes (and exams) by date and time
+  const sortedClasses = filteredClasses.concat(filteredExams).sort((a, b) => {
     const dateA = new Date(a.date + 'T' + a.time.start);
     const dateB = new Date(b.date + 'T' + b.time.start);
     return dateA - dateB;
@@ -624,6 +1663,11 @@ function renderListView() {
     const dayClassesContainer = createElement('div', 'day-classes', '');
     
     dayClasses.forEach(cls => {
+      if (cls.recordType === 'exam') {
+        dayClassesContainer.appendChild(createExamBlock(cls, 'class-item'));
+        return;
+      }
+      
       const item = createElement('div', 'class-item', '');
       
       // Get assigned base color for this class
@@ -645,47 +1689,33 @@ function renderListView() {
       
       const timeStr = `${cls.time.start} - ${cls.time.end}`;
       
-      // Build badge group (Online + Relocated) - same as calendar view
-      let badgesHtml = '';
-      if (cls.isOnline || cls.isRelocated) {
-        badgesHtml = '<div class="class-badges">';
-        if (cls.isOnline) {
-          badgesHtml += `<span class="class-badge class-badge-online">● Online</span>`;
-        }
-        if (cls.isRelocated === true) {
-          badgesHtml += `<span class="class-badge class-badge-relocated">${getMessage('classRelocated')}</span>`;
-        }
-        badgesHtml += '</div>';
-      }
-      
-      // Build links section (Materials, Meet, and EduNext) - same as calendar view
-      let linksHtml = '';
-      if (cls.materialsUrl) {
-        linksHtml += `<a href="${cls.materialsUrl}" target="_blank" class="class-link" onclick="event.stopPropagation();">📄 ${getMessage('classMaterials')}</a>`;
-      }
-      if (cls.meetUrl) {
-        if (linksHtml) linksHtml += ' ';
-        linksHtml += `<a href="${cls.meetUrl}" target="_blank" class="class-link" onclick="event.stopPropagation();">🔗 Meet</a>`;
+      // Same parts as the calendar view, with the time in the header for list scanning
+      const content = createElement('div', 'class-content', '');
+      const header = createElement('div', 'class-header', '');
+      header.appendChild(createElement('div', 'class-name', cls.subjectCode));
+      header.appendChild(createElement('div', 'class-time', timeStr));
+      const badges = createClassBadges(cls);
+      if (badges) {
+        header.appendChild(badges);
       }
-      if (cls.edunextUrl) {
-        if (linksHtml) linksHtml += ' ';
-        linksHtml += `<a href="${cls.edunextUrl}" target="_blank" class="class-link" onclick="event.stopPropagation();">📚 ${getMessage('classEduNext')}</a>`;
+      content.appendChild(header);
+      const meta = createElement('div', 'class-meta', '');
+      meta.appendChild(createElement('div', 'class-location', cls.location || 'N/A'));
+      content.appendChild(meta);
+      item.appendChild(content);
+      const links = createClassLinks(cls);
+      if (links) {
+        item.appendChild(links);
       }
       
-      // Use same structure as calendar view for consistency, optimized for list scanning
-      item.innerHTML = `
-        <div class="class-content">
-          <div class="class-header">
-            <div class="class-name">${cls.subjectCode}</div>
-            <div class="class-time">${timeStr}</div>
-            ${badgesHtml}
-          </div>
-          <div class="class-meta">
-            <div class="class-location">${cls.location || 'N/A'}</div>
-          </div>
-        </div>
-        ${linksHtml ? `<div class="class-links">${linksHtml}</div>` : ''}
-      `;
+      // Lecturer, group and session number (the rest is shown in the edit modal)
+      const detailsText = getClassDetailRows(cls, ['lecturer', 'studentGroup', 'sessionNumber'])
+        .map(([label, value]) => `${label}: ${value}`)
+        .join(' · ');
+      if (detailsText) {
+        meta.appendChild(createElement('div', 'class-details', detailsText));
+      }
+      applySearchHighlight(item, cls);
       item.addEventListener('click', () => openEditModal(cls));
       dayClassesContainer.appendChild(item);
     });
@@ -695,8 +1725,34 @@ function renderListView() {
     listContent.appendChild(dayGroup);
   });
   
-  // Update sidebar with statistics
-  updateListSidebar(sortedClasses);
+  // Update sidebar with statistics (classes only)
+  updateListSidebar(sortedClasses.filter(cls => cls.recordType !== 'exam'));
+}
+
+// Conflicts section of the list sidebar (all sessions, not only the filtered ones)
+// Clicking a conflict opens its week
+function renderConflictList() {
+  const container = document.getElementById('conflictList');
+  container.innerHTML = '';
+  if (scheduleConflicts.length === 0) {
+    container.appendChild(createElement('div', 'conflict-empty', getMessage('conflictsNone')));
+    return;
+  }
+  
+  scheduleConflicts.forEach(group => {
+    const item = createElement('button', 'conflict-item', '');
+    item.type = 'button';
+    item.appendChild(createElement('span', 'conflict-date', formatDate(group[0].date + 'T00:00:00')));
+    item.appendChild(createElement('span', 'conflict-sessions', group
+      .map(record => `${record.subjectCode} ${record.time.start}-${record.time.end}`)
+      .join(' · ')));
+    item.addEventListener('click', () => {
+      currentWeekStart = getWeekStart(new Date(group[0].date + 'T00:00:00'));
+      showView('week');
+      updateWeekSelector();
+    });
+    container.appendChild(item);
+  });
 }
 
 // Update list sidebar with statistics
@@ -722,10 +1778,8 @@ function updateListSidebar(filteredClasses) {
   sortedFilteredSubjects.forEach(subjectCode => {
     const count = subjectCounts[subjectCode];
     const item = createElement('div', 'subject-count-item', '');
-    item.innerHTML = `
-      <span class="subject-count-code">${subjectCode}</span>
-      <span class="subject-count-number">${count}</span>
-    `;
+    item.appendChild(createElement('span', 'subject-count-code', subjectCode));
+    item.appendChild(createElement('span', 'subject-count-number', String(count)));
     subjectCountsContainer.appendChild(item);
   });
   
@@ -734,9 +1788,9 @@ function updateListSidebar(filteredClasses) {
   if (subjectFilter) {
     const currentValue = subjectFilter.value;
     
-    // Get all unique subjects from allClasses
+    // Get all unique subjects from allClasses (and exams)
     const allSubjects = new Set();
-    allClasses.forEach(cls => {
+    allClasses.concat(allExams).forEach(cls => {
       allSubjects.add(cls.subjectCode);
     });
     const sortedAllSubjects = Array.from(allSubjects).sort();
@@ -760,12 +1814,16 @@ function updateListSidebar(filteredClasses) {
 
 // Render calendar (switch between views)
 function renderCalendar() {
-  const isWeekView = document.getElementById('weekViewBtn').classList.contains('active');
-  if (isWeekView) {
+  if (document.getElementById('weekViewBtn').classList.contains('active')) {
     renderWeekView();
+  } else if (document.getElementById('monthViewBtn').classList.contains('active')) {
+    renderMonthView();
+  } else if (document.getElementById('agendaViewBtn').classList.contains('active')) {
+    renderAgendaView();
   } else {
     renderListView();
   }
+  updateAttendanceIndicator();
 }
 
 // Show empty state - render empty calendar instead of just a message
@@ -778,6 +1836,35 @@ function showEmptyState() {
   renderCalendar();
 }
 
+// Session details added from ActivityDetail pages, as [label, value] pairs
+// onlyFields: restrict to these fields (all when omitted)
+function getClassDetailRows(cls, onlyFields = null) {
+  const fields = [
+    ['lecturer', 'detailLecturer'],
+    ['studentGroup', 'detailStudentGroup'],
+    ['sessionNumber', 'detailSessionNumber'],
+    ['attendanceTaker', 'detailAttendanceTaker'],
+    ['comment', 'detailComment']
+  ];
+  return fields
+    .filter(([field]) => cls[field] && (!onlyFields || onlyFields.includes(field)))
+    .map(([field, labelKey]) => [getMessage(labelKey), cls[field]]);
+}
+
+// Fill the read-only session details panel of the edit modal
+function renderEditDetails(cls) {
+  const panel = document.getElementById('editDetails');
+  const list = document.getElementById('editDetailsList');
+  const rows = getClassDetailRows(cls);
+  
+  list.innerHTML = '';
+  rows.forEach(([label, value]) => {
+    list.appendChild(createElement('dt', '', label));
+    list.appendChild(createElement('dd', '', value));
+  });
+  panel.classList.toggle('hidden', rows.length === 0);
+}
+
 // Open edit modal
 function openEditModal(cls) {
   currentEditingClass = cls;
@@ -792,6 +1879,7 @@ function openEditModal(cls) {
   document.getElementById('editLocation').value = cls.location || '';
   document.getElementById('editMeetUrl').value = cls.meetUrl || '';
   document.getElementById('editStatus').value = cls.status || 'Not yet';
+  renderEditDetails(cls);
 
   modal.classList.add('active');
 }
@@ -807,14 +1895,22 @@ function closeEditModal() {
 async function saveEditedClass(formData) {
   if (!currentEditingClass) return;
 
-  const index = allClasses.findIndex(c => c.activityId === currentEditingClass.activityId);
+  // Find by reference: imported events have no activityId
+  const index = allClasses.indexOf(currentEditingClass);
   if (index === -1) return;
+  
+  // A new date or time is kept on sync, like a class moved in the week grid
+  const isRescheduled = formData.date !== currentEditingClass.date ||
+    formData.timeStart !== currentEditingClass.time.start ||
+    formData.timeEnd !== currentEditingClass.time.end;
 
-  // Update class
+  // Update class (a rescheduled class moves to the day and the slot closest to its new start)
   allClasses[index] = {
     ...allClasses[index],
     subjectCode: formData.subjectCode,
     date: formData.date,
+    day: isRescheduled ? DAY_CODES[new Date(formData.date + 'T00:00:00').getDay()] : allClasses[index].day,
+    slot: isRescheduled ? getNearestSlot(formData.date, formData.timeStart) : allClasses[index].slot,
     time: {
       start: formData.timeStart,
       end: formData.timeEnd
@@ -825,8 +1921,12 @@ async function saveEditedClass(formData) {
     materialsUrl: allClasses[index].materialsUrl || null, // Preserve materialsUrl
     isRelocated: allClasses[index].isRelocated || false, // Preserve isRelocated
     status: formData.status,
-    isOnline: formData.meetUrl ? true : allClasses[index].isOnline
+    isOnline: formData.meetUrl ? true : allClasses[index].isOnline,
+    userModified: allClasses[index].userModified === true || isRescheduled
   };
+  if (allClasses[index].userModified) {
+    allClasses[index].originalMatchKey = getOriginalMatchKey(currentEditingClass);
+  }
 
   await saveClasses();
   renderCalendar();
@@ -838,7 +1938,7 @@ async function deleteClass() {
   if (!currentEditingClass) return;
 
   if (confirm(getMessage('confirmDeleteClass'))) {
-    allClasses = allClasses.filter(c => c.activityId !== currentEditingClass.activityId);
+    allClasses = allClasses.filter(c => c !== currentEditingClass);
     await saveClasses();
     updateExportButtonState();
     renderCalendar();
@@ -846,6 +1946,404 @@ async function deleteClass() {
   }
 }
 
+// Change types in display order, mapped to their group title
+const CHANGE_TYPES = [
+  { key: 'added', label: 'changesTypeAdded' },
+  { key: 'removed', label: 'changesTypeRemoved' },
+  { key: 'moved', label: 'changesTypeMoved' },
+  { key: 'relocated', label: 'changesTypeRelocated' },
+  { key: 'statusChanged', label: 'changesTypeStatus' }
+];
+
+// Get localized label for a class status
+function getStatusLabel(status) {
+  if (status === 'attended') return getMessage('statusAttended');
+  if (status === 'absent') return getMessage('statusAbsent');
+  return getMessage('statusNotYet');
+}
+
+// Format a class snapshot as "DD/MM/YYYY · Slot N (HH:mm-HH:mm)"
+function formatChangeSnapshot(snapshot) {
+  return `${formatDate(snapshot.date + 'T00:00:00')} · ${getMessage('changesSlotLabel', [String(snapshot.slot)])} (${snapshot.time.start}-${snapshot.time.end})`;
+}
+
+// Describe a single change entry for the change log
+function describeChange(type, change) {
+  const { before, after } = change;
+  switch (type) {
+    case 'added':
+      return `${change.subjectCode} · ${formatChangeSnapshot(after)}${after.location ? ` · ${after.location}` : ''}`;
+    case 'removed':
+      return `${change.subjectCode} · ${formatChangeSnapshot(before)}${before.location ? ` · ${before.location}` : ''}`;
+    case 'moved':
+      return `${change.subjectCode} · ${formatChangeSnapshot(before)} → ${formatChangeSnapshot(after)}`;
+    case 'relocated': {
+      const relocatedText = after.isRelocated ? ` (${getMessage('classRelocated')})` : '';
+      return `${change.subjectCode} · ${formatDate(after.date + 'T00:00:00')} · ${before.location || '-'} → ${after.location || '-'}${relocatedText}`;
+    }
+    case 'statusChanged':
+      return `${change.subjectCode} · ${formatDate(after.date + 'T00:00:00')} · ${getStatusLabel(before.status)} → ${getStatusLabel(after.status)}`;
+    default:
+      return change.subjectCode;
+  }
+}
+
+// Render the change log recorded by the background on each sync
+async function renderChangeLog() {
+  const container = document.getElementById('changeLogList');
+  container.innerHTML = '';
+
+  const result = await chrome.storage.local.get(['scheduleChangeLog']);
+  const changeLog = result.scheduleChangeLog || [];
+
+  if (changeLog.length === 0) {
+    container.appendChild(createElement('div', 'change-log-empty', getMessage('changesEmpty')));
+    return;
+  }
+
+  changeLog.forEach(run => {
+    const runEl = createElement('div', 'change-log-run', '');
+    const header = createElement('div', 'change-log-run-header', '');
+
+    const runTime = new Date(run.timestamp);
+    const timeText = `${formatDate(runTime)} ${String(runTime.getHours()).padStart(2, '0')}:${String(runTime.getMinutes()).padStart(2, '0')}`;
+    header.appendChild(createElement('span', 'change-log-run-time', timeText));
+
+    const metaParts = [
+      getMessage(run.source === 'auto' ? 'changesSourceAuto' : 'changesSourceManual'),
+      getMessage(run.mode === 'merge' ? 'changesModeMerge' : 'changesModeReplace')
+    ];
+    if (run.startDate && run.endDate) {
+      metaParts.push(`${formatDate(run.startDate + 'T00:00:00')} - ${formatDate(run.endDate + 'T00:00:00')}`);
+    }
+    header.appendChild(createElement('span', 'change-log-run-meta', metaParts.join(' · ')));
+    runEl.appendChild(header);
+
+    let hasChanges = false;
+    CHANGE_TYPES.forEach(({ key, label }) => {
+      const list = (run.changes && run.changes[key]) || [];
+      if (list.length === 0) return;
+      hasChanges = true;
+
+      runEl.appendChild(createElement('div', 'change-log-group-title', `${getMessage(label)} (${list.length})`));
+      list.forEach(change => {
+        runEl.appendChild(createElement('div', `change-log-item change-${key}`, describeChange(key, change)));
+      });
+    });
+
+    if (!hasChanges) {
+      runEl.appendChild(createElement('div', 'change-log-empty', getMessage('changesNone')));
+    }
+
+    container.appendChild(runEl);
+  });
+}
+
+// Open changes modal
+async function openChangesModal() {
+  await renderChangeLog();
+  document.getElementById('changesModal').classList.add('active');
+}
+
+// Close changes modal
+function closeChangesModal() {
+  document.getElementById('changesModal').classList.remove('active');
+}
+
+// ========================================
+// ATTENDANCE DASHBOARD
+// ========================================
+
+// Share of a subject's sessions that may be missed before the exam ban
+const ABSENCE_QUOTA_PERCENT = 20;
+
+// Absences per subject against the quota, most at risk first
+// Uses the FAP attendance report when it has been fetched; subjects missing from it are
+// counted from the weekly class statuses (only the extracted weeks, so totals may be short)
+function getAttendanceSummary() {
+  const bySubject = {};
+  allClasses.forEach(cls => {
+    if (!bySubject[cls.subjectCode]) {
+      bySubject[cls.subjectCode] = {
+        subjectCode: cls.subjectCode,
+        totalSessions: 0,
+        attended: 0,
+        absent: 0,
+        notYet: 0,
+        source: 'classes'
+      };
+    }
+    const entry = bySubject[cls.subjectCode];
+    entry.totalSessions++;
+    if (cls.status === 'absent') {
+      entry.absent++;
+    } else if (cls.status === 'attended') {
+      entry.attended++;
+    } else {
+      entry.notYet++;
+    }
+  });
+  
+  if (attendanceReport && Array.isArray(attendanceReport.subjects)) {
+    attendanceReport.subjects.forEach(subject => {
+      bySubject[subject.subjectCode] = { ...subject, source: 'report' };
+    });
+  }
+  
+  return Object.values(bySubject).map(entry => {
+    const allowed = Math.floor(entry.totalSessions * ABSENCE_QUOTA_PERCENT / 100);
+    const remaining = allowed - entry.absent;
+    // Warn once a single further absence would use up the quota
+    let level = 'ok';
+    if (remaining < 0) {
+      level = 'banned';
+    } else if (remaining <= 1 && entry.absent > 0) {
+      level = 'warning';
+    }
+    return { ...entry, allowed, remaining, level };
+  }).sort((a, b) => a.remaining - b.remaining || a.subjectCode.localeCompare(b.subjectCode));
+}
+
+// Mark the attendance button when a subject is close to (or over) the quota
+function updateAttendanceIndicator() {
+  const attendanceBtn = document.getElementById('attendanceBtn');
+  if (!attendanceBtn) return;
+  const atRisk = getAttendanceSummary().some(entry => entry.level !== 'ok');
+  attendanceBtn.classList.toggle('has-warning', atRisk);
+}
+
+// Render the attendance dashboard
+function renderAttendanceDashboard() {
+  const container = document.getElementById('attendanceList');
+  container.innerHTML = '';
+  
+  const sourceEl = document.getElementById('attendanceSource');
+  if (attendanceReport) {
+    const fetchedAt = new Date(attendanceReport.timestamp);
+    const timeText = `${formatDate(fetchedAt)} ${String(fetchedAt.getHours()).padStart(2, '0')}:${String(fetchedAt.getMinutes()).padStart(2, '0')}`;
+    sourceEl.textContent = getMessage('attendanceSourceReport', [timeText]);
+  } else {
+    sourceEl.textContent = getMessage('attendanceSourceClasses');
+  }
+  
+  const summary = getAttendanceSummary();
+  if (summary.length === 0) {
+    container.appendChild(createElement('div', 'change-log-empty', getMessage('attendanceEmpty')));
+    return;
+  }
+  
+  summary.forEach(entry => {
+    const item = createElement('div', `attendance-item attendance-${entry.level}`, '');
+    
+    const header = createElement('div', 'attendance-item-header', '');
+    header.appendChild(createElement('span', 'attendance-subject', entry.subjectCode));
+    header.appendChild(createElement('span', 'attendance-counts', getMessage('attendanceAbsences', [
+      entry.absent.toString(),
+      entry.allowed.toString(),
+      entry.totalSessions.toString()
+    ])));
+    item.appendChild(header);
+    
+    // Bar: share of the allowed absences already used
+    const bar = createElement('div', 'attendance-bar', '');
+    const fill = createElement('div', 'attendance-bar-fill', '');
+    fill.style.width = `${Math.min(100, entry.absent / Math.max(entry.allowed, 1) * 100)}%`;
+    bar.appendChild(fill);
+    item.appendChild(bar);
+    
+    let statusText;
+    if (entry.level === 'banned') {
+      statusText = getMessage('attendanceOverLimit', [ABSENCE_QUOTA_PERCENT.toString()]);
+    } else if (entry.level === 'warning') {
+      statusText = getMessage('attendanceNearLimit', [entry.remaining.toString()]);
+    } else {
+      statusText = getMessage('attendanceRemaining', [entry.remaining.toString()]);
+    }
+    const metaParts = [statusText];
+    if (entry.subjectName) {
+      metaParts.unshift(entry.subjectName);
+    }
+    if (attendanceReport && entry.source === 'classes') {
+      metaParts.push(getMessage('attendanceFromClasses'));
+    }
+    item.appendChild(createElement('div', 'attendance-status', metaParts.join(' · ')));
+    
+    container.appendChild(item);
+  });
+}
+
+// Fetch the attendance report from FAP (done by the background script)
+async function refreshAttendanceReport() {
+  const refreshBtn = document.getElementById('attendanceRefreshBtn');
+  const sourceEl = document.getElementById('attendanceSource');
+  refreshBtn.disabled = true;
+  refreshBtn.textContent = getMessage('attendanceRefreshing');
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'fetchAttendanceReport' });
+    if (response && response.success) {
+      attendanceReport = response.report;
+      renderAttendanceDashboard();
+      updateAttendanceIndicator();
+    } else {
+      const error = response ? response.error : 'No response';
+      sourceEl.textContent = error === 'NOT_LOGGED_IN'
+        ? getMessage('attendanceNotLoggedIn')
+        : getMessage('attendanceRefreshFailed', [error]);
+    }
+  } catch (error) {
+    console.error('Error refreshing attendance report:', error);
+    sourceEl.textContent = getMessage('attendanceRefreshFailed', [error.message]);
+  } finally {
+    refreshBtn.disabled = false;
+    refreshBtn.textContent = getMessage('attendanceRefresh');
+  }
+}
+
+// Open attendance modal
+function openAttendanceModal() {
+  renderAttendanceDashboard();
+  document.getElementById('attendanceModal').classList.add('active');
+}
+
+// Close attendance modal
+function closeAttendanceModal() {
+  document.getElementById('attendanceModal').classList.remove('active');
+}
+
+// Import an .ics file: own exports become classes/exams again, other events become custom events
+async function importIcs(file) {
+  try {
+    const { classes, exams, matched, skipped } = importIcsFile(await file.text(), allClasses);
+    
+    // Skip events imported before (same subject/summary, date and start time)
+    const sessionKey = (record) => `${record.subjectCode}|${record.date}|${record.time.start}`;
+    const storedSessions = new Set(allClasses.map(sessionKey));
+    const newClasses = classes.filter(cls => !storedSessions.has(sessionKey(cls)));
+    const examKey = (exam) => `${exam.subjectCode}|${exam.examType}`;
+    const storedExams = new Set(allExams.map(examKey));
+    const newExams = exams.filter(exam => !storedExams.has(examKey(exam)));
+    const alreadyStored = matched + (classes.length - newClasses.length) + (exams.length - newExams.length);
+    
+    if (newClasses.length === 0 && newExams.length === 0) {
+      alert(getMessage('importIcsNothing', [String(alreadyStored)]));
+      return;
+    }
+    const confirmed = confirm(getMessage('importIcsConfirm', [
+      String(newClasses.length), String(newExams.length), String(alreadyStored), String(skipped)
+    ]));
+    if (!confirmed) {
+      return;
+    }
+    
+    await chrome.storage.local.set({
+      scrapedClasses: allClasses.concat(newClasses),
+      scrapedExams: allExams.concat(newExams)
+    });
+    await loadClasses();
+  } catch (error) {
+    console.error('Error importing ICS file:', error);
+    alert(getMessage('importIcsFailed', [error.message]));
+  }
+}
+
+// Backup file picked for restore, waiting for the merge/replace choice
+let pendingBackup = null;
+
+// Open backup modal
+function openBackupModal() {
+  pendingBackup = null;
+  document.getElementById('restoreChoice').classList.add('hidden');
+  document.getElementById('backupStatus').textContent = '';
+  document.getElementById('backupModal').classList.add('active');
+}
+
+// Close backup modal
+function closeBackupModal() {
+  pendingBackup = null;
+  document.getElementById('backupModal').classList.remove('active');
+}
+
+// Download all extension data as a versioned JSON file
+async function createBackupFile() {
+  const statusEl = document.getElementById('backupStatus');
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'createBackup' });
+    if (!response || !response.success) {
+      throw new Error(response ? response.error : 'No response');
+    }
+    const json = JSON.stringify(response.backup, null, 2);
+    const date = new Date().toISOString().split('T')[0];
+    downloadBlob(new Blob([json], { type: 'application/json' }), `fptu-study-calendar-backup-${date}.json`);
+    statusEl.textContent = getMessage('backupCreated');
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    statusEl.textContent = `Lỗi sao lưu: ${error.message}`;
+  }
+}
+
+// Read the picked backup file and ask how to restore it
+async function handleRestoreFile(file) {
+  const statusEl = document.getElementById('backupStatus');
+  statusEl.textContent = '';
+  try {
+    const backup = JSON.parse(await file.text());
+    if (!backup || !backup.data || typeof backup.data !== 'object') {
+      throw new Error('Backup has no data');
+    }
+    pendingBackup = backup;
+    
+    const createdAt = backup.createdAt ? new Date(backup.createdAt) : null;
+    const dateText = createdAt && !isNaN(createdAt)
+      ? `${createdAt.toLocaleTimeString('vi-VN', { hour: '2-digit', minute: '2-digit' })} ${formatDate(createdAt)}`
+      : '?';
+    const classCount = Array.isArray(backup.data.scrapedClasses) ? backup.data.scrapedClasses.length : 0;
+    document.getElementById('restoreSummary').textContent = getMessage('backupRestoreSummary', [dateText, String(classCount)]);
+    document.getElementById('restoreChoice').classList.remove('hidden');
+  } catch (error) {
+    pendingBackup = null;
+    document.getElementById('restoreChoice').classList.add('hidden');
+    statusEl.textContent = getMessage('backupInvalidFile', [error.message]);
+  }
+}
+
+// Restore the picked backup; the background script validates it and merges classes
+async function restorePendingBackup(mode) {
+  if (!pendingBackup) return;
+  const statusEl = document.getElementById('backupStatus');
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'restoreBackup', backup: pendingBackup, mode });
+    if (!response || !response.success) {
+      throw new Error(response ? response.error : 'No response');
+    }
+    alert(getMessage('backupRestored', [String(response.classCount)]));
+    // Settings, theme and data may all have changed
+    location.reload();
+  } catch (error) {
+    console.error('Error restoring backup:', error);
+    statusEl.textContent = getMessage('backupInvalidFile', [error.message]);
+  }
+}
+
+// Open export dialog, listing the subjects of all stored records
+async function openExportModal() {
+  await fillExportDialog(allClasses.concat(allExams), 'export-checkbox');
+  
+  // The toolbar filter applies to exports too
+  const filterHint = document.getElementById('exportActiveFilterHint');
+  filterHint.style.display = activeFilter ? '' : 'none';
+  filterHint.textContent = activeFilter
+    ? getMessage('exportActiveFilterHint', [activeFilter.name || getMessage('filterUnsaved')])
+    : '';
+  
+  document.getElementById('exportModal').classList.add('active');
+}
+
+// Close export dialog
+function closeExportModal() {
+  document.getElementById('exportModal').classList.remove('active');
+}
+
 // Helper function to create element
 function createElement(tag, className, textContent) {
   const el = document.createElement(tag);
@@ -932,26 +2430,79 @@ document.addEventListener('DOMContentLoaded', async () => {
     todayBtn.title = getMessage('today');
   }
   
+  // Initialize i18n for search buttons
+  document.getElementById('searchPrevBtn').title = getMessage('searchPrevWeek');
+  document.getElementById('searchNextBtn').title = getMessage('searchNextWeek');
+  
   // Initialize export button state (will be updated after loadClasses)
   updateExportButtonState();
   
+  // Reopen the last used view
+  const { calendarView } = await chrome.storage.local.get(['calendarView']);
+  if (calendarView) {
+    setActiveView(calendarView);
+  }
+  
+  await loadSavedFilters();
   loadClasses();
+  setInterval(refreshNowIndicators, NOW_REFRESH_INTERVAL);
 
   // View toggle
-  document.getElementById('weekViewBtn').addEventListener('click', () => {
-    document.getElementById('weekViewBtn').classList.add('active');
-    document.getElementById('listViewBtn').classList.remove('active');
-    document.getElementById('weekView').classList.remove('hidden');
-    document.getElementById('listView').classList.remove('active');
-    renderWeekView();
+  document.getElementById('weekViewBtn').addEventListener('click', () => showView('week'));
+
+  // Month view opens on the month of the week being shown
+  document.getElementById('monthViewBtn').addEventListener('click', () => {
+    if (currentWeekStart) {
+      currentMonthStart = getMonthStartForWeek(currentWeekStart);
+    }
+    showView('month');
   });
 
-  document.getElementById('listViewBtn').addEventListener('click', () => {
-    document.getElementById('listViewBtn').classList.add('active');
-    document.getElementById('weekViewBtn').classList.remove('active');
-    document.getElementById('weekView').classList.add('hidden');
-    document.getElementById('listView').classList.add('active');
-    renderListView();
+  document.getElementById('listViewBtn').addEventListener('click', () => showView('list'));
+  document.getElementById('agendaViewBtn').addEventListener('click', () => showView('agenda'));
+
+  // Search box (debounced), Enter / the arrow buttons open the next or previous week with a match
+  const searchInput = document.getElementById('searchInput');
+  let searchTimer = null;
+  searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => updateSearch(searchInput.value), 200);
+  });
+  searchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && searchQuery) {
+      e.preventDefault();
+      jumpToSearchMatch(e.shiftKey ? -1 : 1);
+    } else if (e.key === 'Escape') {
+      searchInput.value = '';
+      updateSearch('');
+    }
+  });
+  document.getElementById('searchPrevBtn').addEventListener('click', () => jumpToSearchMatch(-1));
+  document.getElementById('searchNextBtn').addEventListener('click', () => jumpToSearchMatch(1));
+
+  // Filter builder and saved filters
+  document.getElementById('filterBuilderBtn').addEventListener('click', openFilterModal);
+  document.getElementById('savedFilterSelect').addEventListener('change', (e) => {
+    if (e.target.value === '__unsaved') return;
+    const saved = e.target.value === '' ? null : savedFilters[Number(e.target.value)];
+    setActiveFilter(saved ? { name: saved.name, filter: saved.filter } : null);
+  });
+  document.getElementById('filterForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    await setActiveFilter({ name: null, filter: getFilterBuilderValues() });
+    closeFilterModal();
+  });
+  document.getElementById('saveFilterBtn').addEventListener('click', saveNamedFilter);
+  document.getElementById('deleteFilterBtn').addEventListener('click', deleteNamedFilter);
+  document.getElementById('clearFilterBtn').addEventListener('click', async () => {
+    await setActiveFilter(null);
+    closeFilterModal();
+  });
+  document.getElementById('cancelFilterBtn').addEventListener('click', closeFilterModal);
+  document.getElementById('filterModal').addEventListener('click', (e) => {
+    if (e.target.id === 'filterModal') {
+      closeFilterModal();
+    }
   });
 
   // List view filters
@@ -983,6 +2534,23 @@ document.addEventListener('DOMContentLoaded', async () => {
     updateWeekSelector();
   });
 
+  // Month navigation
+  document.getElementById('prevMonthBtn').addEventListener('click', () => {
+    currentMonthStart = new Date(currentMonthStart.getFullYear(), currentMonthStart.getMonth() - 1, 1);
+    renderMonthView();
+  });
+
+  document.getElementById('nextMonthBtn').addEventListener('click', () => {
+    currentMonthStart = new Date(currentMonthStart.getFullYear(), currentMonthStart.getMonth() + 1, 1);
+    renderMonthView();
+  });
+
+  document.getElementById('thisMonthBtn').addEventListener('click', () => {
+    const today = new Date();
+    currentMonthStart = new Date(today.getFullYear(), today.getMonth(), 1);
+    renderMonthView();
+  });
+
   // Week selector
   document.getElementById('weekSelector').addEventListener('change', (e) => {
     currentWeekStart = new Date(e.target.value);
@@ -997,33 +2565,6 @@ document.addEventListener('DOMContentLoaded', async () => {
     updateWeekSelector();
   });
 
-  // Update week selector to reflect current week
-  function updateWeekSelector() {
-    const weekSelector = document.getElementById('weekSelector');
-    const currentWeekValue = currentWeekStart.toISOString().split('T')[0];
-    const allWeeks = getAllWeeksWithClasses();
-    
-    // Check if current week is in the list
-    const weekExists = allWeeks.some(w => w.toISOString().split('T')[0] === currentWeekValue);
-    
-    if (!weekExists) {
-      // Add current week to selector if not present
-      const option = createElement('option', '', formatWeekForSelector(currentWeekStart));
-      option.value = currentWeekValue;
-      option.selected = true;
-      weekSelector.appendChild(option);
-      
-      // Sort options
-      const options = Array.from(weekSelector.options);
-      options.sort((a, b) => new Date(a.value) - new Date(b.value));
-      weekSelector.innerHTML = '';
-      options.forEach(opt => weekSelector.appendChild(opt));
-      weekSelector.value = currentWeekValue;
-    } else {
-      weekSelector.value = currentWeekValue;
-    }
-  }
-
   // Edit form
   document.getElementById('editForm').addEventListener('submit', async (e) => {
     e.preventDefault();
@@ -1042,23 +2583,41 @@ document.addEventListener('DOMContentLoaded', async () => {
   document.getElementById('deleteBtn').addEventListener('click', deleteClass);
   document.getElementById('cancelBtn').addEventListener('click', closeEditModal);
 
-  // Export button handler
-  document.getElementById('exportBtn').addEventListener('click', async () => {
+  // Import button picks an .ics file
+  document.getElementById('importIcsBtn').addEventListener('click', () => {
+    document.getElementById('importIcsInput').click();
+  });
+  document.getElementById('importIcsInput').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) {
+      importIcs(file);
+    }
+  });
+
+  // Export button opens the export dialog
+  document.getElementById('exportBtn').addEventListener('click', openExportModal);
+  document.getElementById('cancelExportBtn').addEventListener('click', closeExportModal);
+  document.getElementById('exportFormat').addEventListener('change', updateExportFormatFields);
+  document.getElementById('exportResolveConflictsBtn').addEventListener('click', () => {
+    closeExportModal();
+    showView('list');
+  });
+  document.getElementById('exportModal').addEventListener('click', (e) => {
+    if (e.target.id === 'exportModal') {
+      closeExportModal();
+    }
+  });
+
+  // Export dialog submit handler (the toolbar filter applies to exports too)
+  document.getElementById('exportForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
     try {
-      // Get classes from storage (all classes, not filtered)
-      const result = await chrome.storage.local.get(['scrapedClasses']);
-      const classes = result.scrapedClasses || [];
-      
-      if (classes.length === 0) {
-        alert(getMessage('emptyState') + '. ' + 'Vui lòng trích xuất lịch học trước.');
-        return;
+      const exportedCount = await runExportDialog(activeFilter ? activeFilter.filter : null);
+      if (exportedCount !== null) {
+        closeExportModal();
+        console.log(`Exported ${exportedCount} records`);
       }
-      
-      // Export to ICS
-      exportToIcs(classes);
-      
-      // Show brief success message (optional - could add a toast notification)
-      console.log(`Exported ${classes.length} classes to ICS file`);
     } catch (error) {
       console.error('Export error:', error);
       alert(`Lỗi xuất file: ${error.message}`);
@@ -1076,10 +2635,12 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     try {
       // Clear data from storage
-      await chrome.storage.local.remove(['scrapedClasses']);
+      await chrome.storage.local.remove(['scrapedClasses', 'scrapedExams', 'attendanceReport']);
       
       // Clear local state
       allClasses = [];
+      allExams = [];
+      attendanceReport = null;
       currentWeekStart = null;
       
       // Show empty state
@@ -1102,11 +2663,60 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   });
 
+  // Changes panel
+  document.getElementById('changesBtn').addEventListener('click', openChangesModal);
+  document.getElementById('closeChangesBtn').addEventListener('click', closeChangesModal);
+  document.getElementById('changesModal').addEventListener('click', (e) => {
+    if (e.target.id === 'changesModal') {
+      closeChangesModal();
+    }
+  });
+
+  // Attendance dashboard
+  document.getElementById('attendanceBtn').addEventListener('click', openAttendanceModal);
+  document.getElementById('closeAttendanceBtn').addEventListener('click', closeAttendanceModal);
+  document.getElementById('attendanceRefreshBtn').addEventListener('click', refreshAttendanceReport);
+  document.getElementById('attendanceModal').addEventListener('click', (e) => {
+    if (e.target.id === 'attendanceModal') {
+      closeAttendanceModal();
+    }
+  });
+
+  // Backup and restore
+  document.getElementById('backupBtn').addEventListener('click', openBackupModal);
+  document.getElementById('closeBackupBtn').addEventListener('click', closeBackupModal);
+  document.getElementById('createBackupBtn').addEventListener('click', createBackupFile);
+  document.getElementById('restoreBackupBtn').addEventListener('click', () => {
+    document.getElementById('restoreFileInput').click();
+  });
+  document.getElementById('restoreFileInput').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) {
+      handleRestoreFile(file);
+    }
+  });
+  document.getElementById('restoreMergeBtn').addEventListener('click', () => restorePendingBackup('merge'));
+  document.getElementById('restoreReplaceBtn').addEventListener('click', () => restorePendingBackup('replace'));
+  document.getElementById('backupModal').addEventListener('click', (e) => {
+    if (e.target.id === 'backupModal') {
+      closeBackupModal();
+    }
+  });
+
+  document.getElementById('clearChangeLogBtn').addEventListener('click', async () => {
+    if (!confirm(getMessage('confirmClearChangeLog'))) {
+      return;
+    }
+    await chrome.storage.local.remove(['scheduleChangeLog']);
+    await renderChangeLog();
+  });
+
   // Theme change handler (called from message listener or system theme change)
   function handleThemeChange(theme) {
     applyTheme(theme);
     // Re-render calendar to apply new theme colors
-    if (allClasses.length > 0) {
+    if (allClasses.length > 0 || allExams.length > 0) {
       renderCalendar();
     }
   }
@@ -0,0 +1,162 @@
+// Export dialog shared by the popup and the calendar page (same element IDs on both pages)
+// These functions fill the dialog, read it and run the export for both pages
+// Uses ics-export.js and table-export.js (loaded first)
+
+/**
+ * Checkbox with its label, for the lists of the export dialog
+ * @param {string} value - Checkbox value
+ * @param {string} text - Label text
+ * @param {boolean} checked - Initial state
+ * @param {string} labelClass - Class of the label on the page
+ * @returns {HTMLLabelElement} Label containing the checkbox
+ */
+function createExportCheckbox(value, text, checked, labelClass) {
+  const label = document.createElement('label');
+  label.className = labelClass;
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.value = value;
+  checkbox.checked = checked;
+  const span = document.createElement('span');
+  span.textContent = text;
+  label.appendChild(checkbox);
+  label.appendChild(span);
+  return label;
+}
+
+/**
+ * Fill the export dialog before it opens: spreadsheet columns (remembered between exports),
+ * one checked box per subject and the conflict option
+ * @param {Array} records - All stored class and exam records
+ * @param {string} labelClass - Class of the checkbox labels on the page
+ */
+async function fillExportDialog(records, labelClass) {
+  const result = await chrome.storage.local.get(['tableExportColumns']);
+  const selectedColumns = result.tableExportColumns || TABLE_EXPORT_COLUMNS.map(column => column.key);
+  
+  const columnList = document.getElementById('exportColumnList');
+  columnList.innerHTML = '';
+  TABLE_EXPORT_COLUMNS.forEach(column => {
+    const label = createExportCheckbox(column.key, getIcsMessage(column.labelKey), selectedColumns.includes(column.key), labelClass);
+    label.querySelector('input').addEventListener('change', () => {
+      const keys = Array.from(columnList.querySelectorAll('input:checked')).map(input => input.value);
+      chrome.storage.local.set({ tableExportColumns: keys });
+    });
+    columnList.appendChild(label);
+  });
+  
+  const subjectList = document.getElementById('exportSubjectList');
+  subjectList.innerHTML = '';
+  [...new Set(records.map(record => record.subjectCode))].filter(Boolean).sort().forEach(code => {
+    subjectList.appendChild(createExportCheckbox(code, code, true, labelClass));
+  });
+  
+  // Offer to resolve or skip overlapping sessions first
+  const conflicts = findScheduleConflicts(records);
+  document.getElementById('exportConflictGroup').style.display = conflicts.length > 0 ? '' : 'none';
+  document.getElementById('exportConflictSummary').textContent = getIcsMessage('exportConflictSummary', [String(conflicts.length)]);
+  document.getElementById('exportConflictMode').value = 'include';
+  
+  updateExportFormatFields();
+}
+
+/**
+ * Show the options of the chosen export format (columns for CSV/XLSX, file layout for ICS)
+ */
+function updateExportFormatFields() {
+  const isTable = document.getElementById('exportFormat').value !== 'ics';
+  document.getElementById('exportColumnsGroup').style.display = isTable ? '' : 'none';
+  document.getElementById('exportOutputGroup').style.display = isTable ? 'none' : '';
+}
+
+/**
+ * Read the export dialog into filters for filterExportRecords
+ * A list with every box checked means no filter, so records without a subject code stay included.
+ * @returns {Object} Filters
+ */
+function getExportDialogFilters() {
+  const getChecked = (containerId) => {
+    const checkboxes = Array.from(document.querySelectorAll(`#${containerId} input[type="checkbox"]`));
+    const checked = checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+    return checked.length === checkboxes.length ? null : checked;
+  };
+  
+  return {
+    startDate: document.getElementById('exportDateFrom').value,
+    endDate: document.getElementById('exportDateTo').value,
+    subjectCodes: getChecked('exportSubjectList'),
+    mode: document.getElementById('exportMode').value,
+    statuses: getChecked('exportStatusList'),
+    recordTypes: document.getElementById('exportRecordTypes').value
+  };
+}
+
+/**
+ * Export what the dialog selects from the stored records: the saved filter first, then the
+ * dialog's filters, then the conflict option. ICS exports remember their export state so the
+ * next export can update or cancel these events.
+ * Shows an alert and returns null when there is nothing to export or no column is chosen.
+ * @param {Object|null} [savedFilter] - Filter builder filters to apply first
+ * @returns {Promise<number|null>} Number of exported records
+ */
+async function runExportDialog(savedFilter = null) {
+  const result = await chrome.storage.local.get([
+    'scrapedClasses', 'scrapedExams', 'icsExportMode', 'icsTimeMode', 'reminderRules', 'icsCancelMode', 'icsExportState'
+  ]);
+  // Exams become their own events
+  const records = (result.scrapedClasses || []).concat(result.scrapedExams || []);
+  if (records.length === 0) {
+    alert('Không có dữ liệu lớp học để xuất. Vui lòng trích xuất lịch học trước.');
+    return null;
+  }
+  
+  let selected = filterExportRecords(savedFilter ? filterExportRecords(records, savedFilter) : records, getExportDialogFilters());
+  if (document.getElementById('exportConflictMode').value === 'skip') {
+    selected = skipConflictingClasses(selected);
+  }
+  if (selected.length === 0) {
+    alert(getIcsMessage('exportNoMatch'));
+    return null;
+  }
+  
+  // CSV/XLSX: one row per session with the chosen columns
+  const format = document.getElementById('exportFormat').value;
+  if (format !== 'ics') {
+    const columnKeys = Array.from(
+      document.querySelectorAll('#exportColumnList input[type="checkbox"]:checked')
+    ).map(checkbox => checkbox.value);
+    if (columnKeys.length === 0) {
+      alert(getIcsMessage('exportNoColumns'));
+      return null;
+    }
+    exportToTable(selected, format, columnKeys);
+    return selected.length;
+  }
+  
+  const options = {
+    series: result.icsExportMode === 'series',
+    timeMode: result.icsTimeMode || 'tzid',
+    reminderRules: result.reminderRules,
+    cancelMode: result.icsCancelMode || 'status',
+    exportState: result.icsExportState,
+    // Compared with everything stored: what a filter leaves out must not be cancelled
+    partial: selected.length < records.length
+  };
+  
+  // One file, or one file per subject in a ZIP
+  const exportState = document.getElementById('exportOutput').value === 'bySubject'
+    ? exportToIcsBySubject(selected, options)
+    : exportToIcs(selected, undefined, options);
+  await chrome.storage.local.set({ icsExportState: exportState });
+  return selected.length;
+}
+
+// Export functions for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    fillExportDialog,
+    updateExportFormatFields,
+    getExportDialogFilters,
+    runExportDialog
+  };
+}
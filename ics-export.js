@@ -1,15 +1,47 @@
 // ICS (iCalendar) export utility for FPTU Study Calendar
 // Compatible with Google Calendar, Apple Calendar, and other major calendar applications
 
+// FAP times are Vietnam local time
+const ICS_TIMEZONE = 'Asia/Ho_Chi_Minh';
+
+// FAP's slot times (8-slot day), used for slots no stored class shows the times of
+const DEFAULT_SLOT_TIMES = {
+  1: { start: '07:30', end: '09:00' },
+  2: { start: '09:10', end: '10:40' },
+  3: { start: '10:50', end: '12:20' },
+  4: { start: '12:50', end: '14:20' },
+  5: { start: '14:30', end: '16:00' },
+  6: { start: '16:10', end: '17:40' },
+  7: { start: '18:00', end: '19:30' },
+  8: { start: '19:45', end: '21:15' }
+};
+
+// UIDs written before the export year was dropped ("2025-v2-…@fptu-study-calendar")
+const LEGACY_UID_PATTERN = /^\d{4}-(v2-.+)$/;
+
+// Reminder rules used until the user edits them (the original fixed reminders)
+// A rule: { conditions: { recordType, mode, firstOfDay, subjectCodes, timeFrom, timeTo }, alarms }
+// - recordType: 'class' | 'exam', mode: 'online' | 'offline', firstOfDay: 'yes' | 'no'
+//   (missing or 'any' matches everything)
+// - subjectCodes: subject codes to match (empty matches every subject)
+// - timeFrom/timeTo: 'HH:mm' range the start time must fall in (empty for no bound)
+// - alarms: minutes before the start, one VALARM each (empty for no reminder)
+const DEFAULT_REMINDER_RULES = [
+  { conditions: { recordType: 'exam' }, alarms: [1440, 60] },
+  { conditions: { recordType: 'class', mode: 'offline', firstOfDay: 'yes' }, alarms: [30] },
+  { conditions: { recordType: 'class' }, alarms: [15] }
+];
+
 /**
  * Internationalization helper for ICS export
  * @param {string} key - Message key
+ * @param {Array<string>} [substitutions] - Placeholder values
  * @returns {string} Localized message
  */
-function getIcsMessage(key) {
+function getIcsMessage(key, substitutions = []) {
   // Use chrome.i18n if available (in extension context)
   if (typeof chrome !== 'undefined' && chrome.i18n) {
-    return chrome.i18n.getMessage(key) || key;
+    return chrome.i18n.getMessage(key, substitutions) || key;
   }
   // Fallback to English for testing outside extension context
   const fallbacks = {
@@ -19,7 +51,15 @@ function getIcsMessage(key) {
     'icsMeetLabel': 'Google Meet',
     'icsHasEduNext': '* Has discussion on EduNext',
     'icsHasMaterials': '* Has materials on FLM',
-    'icsViewLinksNote': '(Please check schedule on FAP to see the links)'
+    'icsViewLinksNote': '(Please check schedule on FAP to see the links)',
+    'detailLecturer': 'Lecturer',
+    'detailStudentGroup': 'Group',
+    'detailSessionNumber': 'Session',
+    'detailAttendanceTaker': 'Attendance taker',
+    'detailComment': 'Comment',
+    'icsSummaryExam': 'Exam',
+    'icsExamFormLabel': 'Exam form',
+    'icsExamPublishDateLabel': 'Publish date'
   };
   return fallbacks[key] || key;
 }
@@ -112,7 +152,7 @@ function foldIcsLine(line) {
 }
 
 /**
- * Format date-time for ICS format (floating time, no timezone)
+ * Format date-time for ICS format (local time, qualified with TZID by formatIcsTimeProperty)
  * @param {string} dateStr - Date in ISO format (YYYY-MM-DD)
  * @param {string} timeStr - Time in format (HH:mm) - in local time (Vietnam)
  * @returns {string} Formatted date-time string (YYYYMMDDTHHmmss)
@@ -127,9 +167,9 @@ function formatIcsDateTime(dateStr, timeStr) {
   const minutes = Number(timeParts[1]);
   const seconds = timeParts.length > 2 ? Number(timeParts[2]) : 0;
   
-  // Format as floating time (no timezone indicator) - this preserves the exact time
-  // Times from FAP are in Vietnam local time, so we use floating format
-  // Format: YYYYMMDDTHHmmss (no Z suffix = floating time)
+  // Format as local time (no Z suffix) - this preserves the exact time
+  // Times from FAP are in Vietnam local time; the TZID parameter is added by formatIcsTimeProperty
+  // Format: YYYYMMDDTHHmmss
   const yearStr = String(year).padStart(4, '0');
   const monthStr = String(month).padStart(2, '0');
   const dayStr = String(day).padStart(2, '0');
@@ -170,6 +210,129 @@ function formatIcsDateTimeUtc(dateStr, timeStr) {
   return `${yearStr}${monthStr}${dayStr}T${hourStr}${minStr}${secStr}Z`;
 }
 
+/**
+ * Format a Vietnam local date-time as UTC (UTC+7, no daylight saving)
+ * @param {string} dateStr - Date in ISO format (YYYY-MM-DD)
+ * @param {string} timeStr - Time in format (HH:mm) - in local time (Vietnam)
+ * @returns {string} Formatted date-time string (YYYYMMDDTHHmmssZ)
+ */
+function formatIcsDateTimeFromVietnam(dateStr, timeStr) {
+  if (!dateStr || !timeStr) return '';
+  
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const [hours, minutes, seconds = 0] = timeStr.split(':').map(Number);
+  const utc = new Date(Date.UTC(year, month - 1, day, hours - 7, minutes, seconds));
+  
+  return formatIcsDateTimeUtc(
+    utc.toISOString().split('T')[0],
+    utc.toISOString().split('T')[1].substring(0, 8)
+  );
+}
+
+/**
+ * Format a Vietnam local date-time value for the chosen time mode
+ * @param {string} dateStr - Date in ISO format (YYYY-MM-DD)
+ * @param {string} timeStr - Time in format (HH:mm)
+ * @param {string} timeMode - 'tzid' (local time with TZID) or 'utc'
+ * @returns {string} Formatted date-time string
+ */
+function formatIcsTimeValue(dateStr, timeStr, timeMode) {
+  return timeMode === 'utc' ? formatIcsDateTimeFromVietnam(dateStr, timeStr) : formatIcsDateTime(dateStr, timeStr);
+}
+
+/**
+ * Build a date-time property line (DTSTART, DTEND, EXDATE, RECURRENCE-ID)
+ * @param {string} name - Property name
+ * @param {Array<string>} values - Values from formatIcsTimeValue
+ * @param {string} timeMode - 'tzid' or 'utc'
+ * @returns {string} e.g. "DTSTART;TZID=Asia/Ho_Chi_Minh:20260105T073000" or "DTSTART:20260105T003000Z"
+ */
+function formatIcsTimeProperty(name, values, timeMode) {
+  const params = timeMode === 'utc' ? '' : `;TZID=${ICS_TIMEZONE}`;
+  return `${name}${params}:${values.join(',')}`;
+}
+
+/**
+ * VTIMEZONE component for Asia/Ho_Chi_Minh (UTC+7 all year)
+ * @returns {Array<string>} Array of ICS lines
+ */
+function generateIcsTimezone() {
+  return [
+    'BEGIN:VTIMEZONE',
+    `TZID:${ICS_TIMEZONE}`,
+    `X-LIC-LOCATION:${ICS_TIMEZONE}`,
+    'BEGIN:STANDARD',
+    'TZOFFSETFROM:+0700',
+    'TZOFFSETTO:+0700',
+    'TZNAME:+07',
+    'DTSTART:19700101T000000',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+  ];
+}
+
+/**
+ * Check whether a class or exam meets the conditions of a reminder rule
+ * @param {Object} rule - Reminder rule (see DEFAULT_REMINDER_RULES)
+ * @param {Object} record - Class or exam data object
+ * @param {boolean} isFirstClassOfDay - Whether this is the first class of the day
+ * @returns {boolean} True if every condition matches
+ */
+function matchesReminderRule(rule, record, isFirstClassOfDay) {
+  const conditions = rule.conditions || {};
+  const isExam = record.recordType === 'exam';
+  
+  if (conditions.recordType === 'class' && isExam) return false;
+  if (conditions.recordType === 'exam' && !isExam) return false;
+  if (conditions.mode === 'online' && record.isOnline !== true) return false;
+  if (conditions.mode === 'offline' && record.isOnline === true) return false;
+  if (conditions.firstOfDay === 'yes' && !isFirstClassOfDay) return false;
+  if (conditions.firstOfDay === 'no' && isFirstClassOfDay) return false;
+  
+  if (Array.isArray(conditions.subjectCodes) && conditions.subjectCodes.length > 0) {
+    const subjectCode = (record.subjectCode || '').toUpperCase();
+    if (!conditions.subjectCodes.some(code => code.toUpperCase() === subjectCode)) return false;
+  }
+  
+  const startTime = record.time ? record.time.start.padStart(5, '0') : '';
+  if (conditions.timeFrom && startTime < conditions.timeFrom) return false;
+  if (conditions.timeTo && startTime > conditions.timeTo) return false;
+  
+  return true;
+}
+
+/**
+ * Reminder offsets for a class or exam: the alarms of the first matching rule
+ * @param {Object} record - Class or exam data object
+ * @param {boolean} isFirstClassOfDay - Whether this is the first class of the day
+ * @param {Array} [rules] - Reminder rules (defaults to DEFAULT_REMINDER_RULES)
+ * @returns {Array<number>} Minutes before the start (empty for no reminder)
+ */
+function getReminderMinutes(record, isFirstClassOfDay, rules = DEFAULT_REMINDER_RULES) {
+  const rule = (rules || DEFAULT_REMINDER_RULES).find(candidate => matchesReminderRule(candidate, record, isFirstClassOfDay));
+  return rule && Array.isArray(rule.alarms) ? rule.alarms : [];
+}
+
+/**
+ * Build VALARM components
+ * @param {Array<number>} minutesList - Minutes before the start, one alarm each
+ * @param {string} summary - Event summary, shown in the reminder
+ * @returns {Array<string>} Array of ICS lines
+ */
+function generateIcsAlarms(minutesList, summary) {
+  const lines = [];
+  minutesList.forEach(minutes => {
+    // Whole days read better in calendar apps (-P1D instead of -PT1440M)
+    const trigger = minutes > 0 && minutes % 1440 === 0 ? `-P${minutes / 1440}D` : `-PT${minutes}M`;
+    lines.push('BEGIN:VALARM');
+    lines.push(`TRIGGER:${trigger}`);
+    lines.push('ACTION:DISPLAY');
+    lines.push(`DESCRIPTION:Reminder: ${escapeIcsText(summary)}`);
+    lines.push('END:VALARM');
+  });
+  return lines;
+}
+
 /**
  * Extract base URL from a URL that may contain JWT tokens
  * @param {string} url - Full URL potentially with tokens
@@ -215,16 +378,36 @@ function hasJwtToken(url) {
 function generateEventUid(activityId, dateStr, timeStr) {
   // Use activityId + date + time for uniqueness
   const uniqueStr = `${activityId || 'class'}-${dateStr}-${timeStr}`;
-  // Generate a simple hash-like string
+  // Version prefix avoids conflicts with exports of older versions. UIDs must not change
+  // between exports, so the export year is not part of them (see LEGACY_UID_PATTERN)
+  return `v2-${hashIcsString(uniqueStr)}@fptu-study-calendar`;
+}
+
+/**
+ * Simple non-negative 32-bit hash of a string
+ * @param {string} str - String to hash
+ * @returns {number} Hash value
+ */
+function hashIcsString(str) {
   let hash = 0;
-  for (let i = 0; i < uniqueStr.length; i++) {
-    const char = uniqueStr.charCodeAt(i);
+  for (let i = 0; i < str.length; i++) {
+    const char = str.charCodeAt(i);
     hash = ((hash << 5) - hash) + char;
     hash = hash & hash; // Convert to 32-bit integer
   }
-  // Use year + version format to avoid conflicts with previous exports
-  const year = new Date().getFullYear();
-  return `${year}-v2-${Math.abs(hash)}@fptu-study-calendar`;
+  return Math.abs(hash);
+}
+
+/**
+ * Current time in UTC, for DTSTAMP
+ * @returns {string} Formatted date-time string (YYYYMMDDTHHmmssZ)
+ */
+function getIcsDtStamp() {
+  const now = new Date();
+  return formatIcsDateTimeUtc(
+    now.toISOString().split('T')[0],
+    String(now.getUTCHours()).padStart(2, '0') + ':' + String(now.getUTCMinutes()).padStart(2, '0') + ':' + String(now.getUTCSeconds()).padStart(2, '0')
+  );
 }
 
 /**
@@ -232,9 +415,13 @@ function generateEventUid(activityId, dateStr, timeStr) {
  * @param {Object} classData - Class data object
  * @param {number} index - Index for sequence number
  * @param {boolean} isFirstClassOfDay - Whether this is the first class of the day
+ * @param {Object} [seriesInfo] - Recurring series fields: { uid, rrule, startTime, exdates } for
+ *   the series master, { uid, startTime, recurrenceDate } for an override of one occurrence
+ *   (exdates and recurrenceDate are YYYY-MM-DD dates of occurrences starting at startTime)
+ * @param {Object} [eventOptions] - { timeMode: 'tzid' | 'utc', reminderRules }
  * @returns {Array<string>} Array of ICS event lines
  */
-function generateIcsEvent(classData, index = 0, isFirstClassOfDay = false) {
+function generateIcsEvent(classData, index = 0, isFirstClassOfDay = false, seriesInfo = null, eventOptions = {}) {
   const {
     subjectCode,
     date,
@@ -246,7 +433,12 @@ function generateIcsEvent(classData, index = 0, isFirstClassOfDay = false) {
     materialsUrl,
     isRelocated,
     status,
-    activityId
+    activityId,
+    lecturer,
+    studentGroup,
+    sessionNumber,
+    attendanceTaker,
+    comment
   } = classData;
   
   if (!date || !time || !time.start || !time.end) {
@@ -255,8 +447,9 @@ function generateIcsEvent(classData, index = 0, isFirstClassOfDay = false) {
   }
   
   // Format date-times
-  const dtStart = formatIcsDateTime(date, time.start);
-  const dtEnd = formatIcsDateTime(date, time.end);
+  const timeMode = eventOptions.timeMode || 'tzid';
+  const dtStart = formatIcsTimeValue(date, time.start, timeMode);
+  const dtEnd = formatIcsTimeValue(date, time.end, timeMode);
   
   // Validate date-time formatting
   if (!dtStart || !dtEnd) {
@@ -265,14 +458,10 @@ function generateIcsEvent(classData, index = 0, isFirstClassOfDay = false) {
   }
   
   // Generate DTSTAMP (current time in UTC)
-  const now = new Date();
-  const dtStamp = formatIcsDateTimeUtc(
-    now.toISOString().split('T')[0],
-    String(now.getUTCHours()).padStart(2, '0') + ':' + String(now.getUTCMinutes()).padStart(2, '0') + ':' + String(now.getUTCSeconds()).padStart(2, '0')
-  );
+  const dtStamp = getIcsDtStamp();
   
-  // Generate UID
-  const uid = generateEventUid(activityId, date, time.start);
+  // Generate UID (events of a recurring series share the series UID)
+  const uid = seriesInfo ? seriesInfo.uid : generateEventUid(activityId, date, time.start);
   
   // Build summary (title) - required field
   let summary = (subjectCode && subjectCode.trim()) || 'Class';
@@ -292,6 +481,23 @@ function generateIcsEvent(classData, index = 0, isFirstClassOfDay = false) {
     mainParts.push(`${getIcsMessage('icsLocationLabel')}: ${location.trim()}`);
   }
   
+  // Session details (only present when fetched from ActivityDetail pages)
+  if (lecturer) {
+    mainParts.push(`${getIcsMessage('detailLecturer')}: ${lecturer}`);
+  }
+  if (studentGroup) {
+    mainParts.push(`${getIcsMessage('detailStudentGroup')}: ${studentGroup}`);
+  }
+  if (sessionNumber) {
+    mainParts.push(`${getIcsMessage('detailSessionNumber')}: ${sessionNumber}`);
+  }
+  if (attendanceTaker) {
+    mainParts.push(`${getIcsMessage('detailAttendanceTaker')}: ${attendanceTaker}`);
+  }
+  if (comment) {
+    mainParts.push(`${getIcsMessage('detailComment')}: ${comment}`);
+  }
+  
   // Status field removed as requested
   
   // Add relocated warning with localized message
@@ -354,11 +560,23 @@ function generateIcsEvent(classData, index = 0, isFirstClassOfDay = false) {
     'BEGIN:VEVENT',
     `UID:${uid}`,
     `DTSTAMP:${dtStamp}`,
-    `DTSTART:${dtStart}`,
-    `DTEND:${dtEnd}`,
+    formatIcsTimeProperty('DTSTART', [dtStart], timeMode),
+    formatIcsTimeProperty('DTEND', [dtEnd], timeMode),
     `SUMMARY:${escapeIcsText(summary)}`,
   ];
   
+  if (seriesInfo && seriesInfo.rrule) {
+    lines.push(`RRULE:${seriesInfo.rrule}`);
+  }
+  if (seriesInfo && seriesInfo.exdates && seriesInfo.exdates.length > 0) {
+    const exdates = seriesInfo.exdates.map(exdate => formatIcsTimeValue(exdate, seriesInfo.startTime, timeMode));
+    lines.push(formatIcsTimeProperty('EXDATE', exdates, timeMode));
+  }
+  if (seriesInfo && seriesInfo.recurrenceDate) {
+    const recurrenceId = formatIcsTimeValue(seriesInfo.recurrenceDate, seriesInfo.startTime, timeMode);
+    lines.push(formatIcsTimeProperty('RECURRENCE-ID', [recurrenceId], timeMode));
+  }
+  
   // Add DESCRIPTION only if not empty
   if (description) {
     lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
@@ -377,25 +595,11 @@ function generateIcsEvent(classData, index = 0, isFirstClassOfDay = false) {
   // Google Calendar has strict requirements and long token URLs cause import failures
   // URLs are already included in DESCRIPTION (as base URLs if they contain tokens)
   
-  // Determine reminder time based on rules:
-  // - Online classes: 15 minutes before
-  // - First class of day (offline): 30 minutes before
-  // - Other classes: 15 minutes before
-  let reminderMinutes = 15; // Default
-  if (isOnline) {
-    reminderMinutes = 15; // Online classes: always 15 minutes
-  } else if (isFirstClassOfDay) {
-    reminderMinutes = 30; // First class of day (offline): 30 minutes
-  } else {
-    reminderMinutes = 15; // Other classes: 15 minutes
-  }
-  
-  // Add alarm/reminder
-  lines.push('BEGIN:VALARM');
-  lines.push(`TRIGGER:-PT${reminderMinutes}M`);
-  lines.push('ACTION:DISPLAY');
-  lines.push(`DESCRIPTION:Reminder: ${escapeIcsText(summary)}`);
-  lines.push('END:VALARM');
+  // Reminders from the first matching reminder rule (none when no rule matches)
+  lines.push(...generateIcsAlarms(
+    getReminderMinutes(classData, isFirstClassOfDay, eventOptions.reminderRules),
+    summary
+  ));
   
   lines.push('END:VEVENT');
   
@@ -403,16 +607,416 @@ function generateIcsEvent(classData, index = 0, isFirstClassOfDay = false) {
   return lines;
 }
 
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} dateStr - Date in ISO format (YYYY-MM-DD)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date in ISO format (YYYY-MM-DD)
+ */
+function addIcsDays(dateStr, days) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+}
+
+/**
+ * Monday of the week a date falls in
+ * @param {string} dateStr - Date in ISO format (YYYY-MM-DD)
+ * @returns {string} Monday in ISO format (YYYY-MM-DD)
+ */
+function getIcsWeekStart(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return addIcsDays(dateStr, weekday === 0 ? -6 : 1 - weekday);
+}
+
+/**
+ * Find weekly series among classes: same subject, weekday and time.
+ * Each series runs weekly from its first to its last session; weeks without a session are
+ * missing occurrences (EXDATE) and sessions in another room or mode than usual are overrides.
+ * A lone session of a series' subject in a week where that series has no session is treated
+ * as the moved occurrence of that week (override with the original date as RECURRENCE-ID).
+ * @param {Array} classes - Array of class data objects (no exams)
+ * @returns {Object} { series: [{ key, template, firstDate, count, missing, overrides }], standalone }
+ */
+function groupIcsSeries(classes) {
+  const groups = {};
+  classes.forEach(classData => {
+    const [year, month, day] = classData.date.split('-').map(Number);
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    const key = `${classData.subjectCode}|${weekday}|${classData.time.start}|${classData.time.end}`;
+    if (!groups[key]) {
+      groups[key] = [];
+    }
+    groups[key].push(classData);
+  });
+  
+  const series = [];
+  const singles = [];
+  Object.keys(groups).forEach(key => {
+    const sessions = groups[key].sort((a, b) => a.date.localeCompare(b.date));
+    if (sessions.length < 2) {
+      singles.push(...sessions);
+      return;
+    }
+    
+    // Usual room and mode: the most common among the sessions
+    const placeCounts = {};
+    sessions.forEach(session => {
+      const place = `${session.location || ''}|${session.isOnline === true}`;
+      placeCounts[place] = (placeCounts[place] || 0) + 1;
+    });
+    const usualPlace = Object.keys(placeCounts).sort((a, b) => placeCounts[b] - placeCounts[a])[0];
+    const isUsualPlace = (session) => `${session.location || ''}|${session.isOnline === true}` === usualPlace;
+    
+    const firstDate = sessions[0].date;
+    const lastDate = sessions[sessions.length - 1].date;
+    const sessionDates = new Set(sessions.map(session => session.date));
+    const missing = [];
+    let count = 0;
+    for (let date = firstDate; date <= lastDate; date = addIcsDays(date, 7)) {
+      count++;
+      if (!sessionDates.has(date)) {
+        missing.push(date);
+      }
+    }
+    
+    series.push({
+      key,
+      template: sessions.find(isUsualPlace),
+      firstDate,
+      count,
+      missing,
+      overrides: sessions
+        .filter(session => !isUsualPlace(session) || session.isRelocated === true)
+        .map(session => ({ occurrenceDate: session.date, session }))
+    });
+  });
+  
+  // Moved sessions: lone sessions that replace a missing occurrence in the same week
+  const standalone = [];
+  singles.forEach(classData => {
+    const weekStart = getIcsWeekStart(classData.date);
+    const target = series.find(candidate =>
+      candidate.template.subjectCode === classData.subjectCode &&
+      candidate.missing.some(date => getIcsWeekStart(date) === weekStart)
+    );
+    if (!target) {
+      standalone.push(classData);
+      return;
+    }
+    const occurrenceDate = target.missing.find(date => getIcsWeekStart(date) === weekStart);
+    target.missing = target.missing.filter(date => date !== occurrenceDate);
+    target.overrides.push({ occurrenceDate, session: classData });
+  });
+  
+  return { series, standalone };
+}
+
+/**
+ * Generate ICS events for a weekly series: the master VEVENT with RRULE/EXDATE and one
+ * VEVENT with RECURRENCE-ID for every occurrence that differs
+ * @param {Object} seriesData - One entry of groupIcsSeries().series
+ * @param {Function} isFirstClassOfDay - (classData) => boolean, for reminders
+ * @param {Object} [eventOptions] - Passed to generateIcsEvent
+ * @returns {Array<string>} Array of ICS event lines
+ */
+function generateIcsSeriesEvents(seriesData, isFirstClassOfDay, eventOptions = {}) {
+  const { key, template, firstDate, count, missing, overrides } = seriesData;
+  const startTime = template.time.start;
+  const uid = generateEventUid(`series-${key}`, firstDate, startTime);
+  
+  // Per-session details don't describe the whole series
+  const masterData = {
+    ...template,
+    date: firstDate,
+    isRelocated: false,
+    sessionNumber: undefined,
+    attendanceTaker: undefined,
+    comment: undefined
+  };
+  const lines = generateIcsEvent(masterData, 0, isFirstClassOfDay(template), {
+    uid,
+    rrule: `FREQ=WEEKLY;COUNT=${count}`,
+    startTime,
+    exdates: missing
+  }, eventOptions);
+  
+  overrides.forEach(({ occurrenceDate, session }) => {
+    lines.push(...generateIcsEvent(session, 0, isFirstClassOfDay(session), {
+      uid,
+      startTime,
+      recurrenceDate: occurrenceDate
+    }, eventOptions));
+  });
+  
+  return lines;
+}
+
+/**
+ * Generate ICS content for a single exam event
+ * Exams get a fixed UID per subject and exam type (so a rescheduled exam updates
+ * the same event); their reminders come from the exam reminder rules.
+ * @param {Object} examData - Exam data object (recordType 'exam')
+ * @param {Object} [eventOptions] - { timeMode: 'tzid' | 'utc', reminderRules }
+ * @returns {Array<string>} Array of ICS event lines
+ */
+function generateIcsExamEvent(examData, eventOptions = {}) {
+  const { subjectCode, subjectName, date, time, location, examForm, examType, publishDate } = examData;
+  
+  if (!date || !time || !time.start || !time.end) {
+    console.warn('Invalid exam data for ICS export:', examData);
+    return [];
+  }
+  
+  const timeMode = eventOptions.timeMode || 'tzid';
+  const dtStart = formatIcsTimeValue(date, time.start, timeMode);
+  const dtEnd = formatIcsTimeValue(date, time.end, timeMode);
+  if (!dtStart || !dtEnd) {
+    console.warn('Failed to format date-time for exam:', examData);
+    return [];
+  }
+  
+  const uid = `exam-${subjectCode}-${examType || 'exam'}@fptu-study-calendar`.replace(/\s+/g, '');
+  
+  // Summary: "[Exam FE] MAE101"
+  const examLabel = [getIcsMessage('icsSummaryExam'), examType].filter(Boolean).join(' ');
+  const summary = `[${examLabel}] ${(subjectCode && subjectCode.trim()) || ''}`.trim();
+  
+  const descriptionParts = [];
+  if (subjectName) {
+    descriptionParts.push(subjectName);
+  }
+  if (location && location.trim()) {
+    descriptionParts.push(`${getIcsMessage('icsLocationLabel')}: ${location.trim()}`);
+  }
+  if (examForm) {
+    descriptionParts.push(`${getIcsMessage('icsExamFormLabel')}: ${examForm}`);
+  }
+  if (publishDate) {
+    descriptionParts.push(`${getIcsMessage('icsExamPublishDateLabel')}: ${publishDate}`);
+  }
+  
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${getIcsDtStamp()}`,
+    formatIcsTimeProperty('DTSTART', [dtStart], timeMode),
+    formatIcsTimeProperty('DTEND', [dtEnd], timeMode),
+    `SUMMARY:${escapeIcsText(summary)}`,
+  ];
+  
+  if (descriptionParts.length > 0) {
+    lines.push(`DESCRIPTION:${escapeIcsText(descriptionParts.join('\n'))}`);
+  }
+  if (location && location.trim()) {
+    lines.push(`LOCATION:${escapeIcsText(location.trim())}`);
+  }
+  
+  lines.push('SEQUENCE:0');
+  lines.push('STATUS:CONFIRMED');
+  lines.push('TRANSP:OPAQUE');
+  
+  lines.push(...generateIcsAlarms(getReminderMinutes(examData, false, eventOptions.reminderRules), summary));
+  
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Split event lines into one array per VEVENT
+ * @param {Array<string>} lines - Lines of consecutive VEVENTs
+ * @returns {Array<Array<string>>} Lines of each VEVENT
+ */
+function splitIcsEvents(lines) {
+  const events = [];
+  let current = null;
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      current = [];
+    }
+    if (current) {
+      current.push(line);
+    }
+    if (line === 'END:VEVENT' && current) {
+      events.push(current);
+      current = null;
+    }
+  });
+  return events;
+}
+
+/**
+ * Value of the first line of an event with the given property name (parameters ignored)
+ * @param {Array<string>} eventLines - Lines of one VEVENT
+ * @param {string} name - Property name, e.g. 'UID'
+ * @returns {string|null} Full line, or null when missing
+ */
+function findIcsProperty(eventLines, name) {
+  return eventLines.find(line => line.startsWith(`${name}:`) || line.startsWith(`${name};`)) || null;
+}
+
+/**
+ * Map current UIDs to the year-prefixed UIDs they were exported under before
+ * When a session was exported under several years, the UID that is not cancelled wins.
+ * @param {Object} previousState - Export state of the previous export
+ * @returns {Object} Current UID → legacy UID
+ */
+function getLegacyIcsUids(previousState) {
+  const legacyUids = {};
+  Object.keys(previousState).forEach(key => {
+    const uid = key.split('#')[0];
+    const match = uid.match(LEGACY_UID_PATTERN);
+    if (match && (!legacyUids[match[1]] || !previousState[key].cancelled)) {
+      legacyUids[match[1]] = uid;
+    }
+  });
+  return legacyUids;
+}
+
+/**
+ * Compare events with the previous export and set SEQUENCE/STATUS
+ * The export state maps each event key (UID, plus the RECURRENCE-ID value for series
+ * overrides) to { sequence, fingerprint, dtStart, dtEnd, summary, date, cancelled }.
+ * Changed events get SEQUENCE + 1; events of the previous export that are gone become
+ * cancellations (SEQUENCE + 1, STATUS:CANCELLED) until their date has passed.
+ * Events the previous export wrote under a year-prefixed UID keep that UID, so calendar
+ * apps keep updating the same event.
+ * @param {Array<Array<string>>} events - VEVENT lines from splitIcsEvents
+ * @param {Object} [previousState] - Export state of the previous export
+ * @param {string} [cancelMode] - 'status' or 'file' to write cancellations, 'none' to skip them
+ * @returns {Object} { events, cancelledEvents, exportState }
+ */
+function applyIcsExportState(events, previousState = {}, cancelMode = 'status') {
+  const exportState = {};
+  const today = new Date().toISOString().split('T')[0].replace(/-/g, '');
+  const legacyUids = getLegacyIcsUids(previousState);
+  
+  const updatedEvents = events.map(originalLines => {
+    const uid = findIcsProperty(originalLines, 'UID').substring(4);
+    const eventLines = legacyUids[uid]
+      ? originalLines.map(line => (line === `UID:${uid}` ? `UID:${legacyUids[uid]}` : line))
+      : originalLines;
+    const uidLine = findIcsProperty(eventLines, 'UID');
+    const recurrenceLine = findIcsProperty(eventLines, 'RECURRENCE-ID');
+    const key = uidLine.substring(4) + (recurrenceLine ? `#${recurrenceLine.split(':').pop()}` : '');
+    
+    // Content without DTSTAMP and SEQUENCE, which change on every export
+    const fingerprint = hashIcsString(eventLines
+      .filter(line => !line.startsWith('DTSTAMP:') && !line.startsWith('SEQUENCE:'))
+      .join('\n'));
+    const previous = previousState[key];
+    let sequence = 0;
+    if (previous) {
+      sequence = previous.fingerprint === fingerprint && !previous.cancelled ? previous.sequence : previous.sequence + 1;
+    }
+    
+    const dtStart = findIcsProperty(eventLines, 'DTSTART');
+    exportState[key] = {
+      sequence,
+      fingerprint,
+      dtStart,
+      dtEnd: findIcsProperty(eventLines, 'DTEND'),
+      summary: findIcsProperty(eventLines, 'SUMMARY'),
+      date: dtStart.split(':').pop().substring(0, 8),
+      isOverride: recurrenceLine !== null
+    };
+    return eventLines.map(line => (line.startsWith('SEQUENCE:') ? `SEQUENCE:${sequence}` : line));
+  });
+  
+  // Events that are no longer exported; overrides just fall back to their series
+  const cancelledEvents = [];
+  Object.keys(previousState).forEach(key => {
+    const previous = previousState[key];
+    if (exportState[key] || previous.isOverride || cancelMode === 'none' || previous.date < today) {
+      return;
+    }
+    const sequence = previous.cancelled ? previous.sequence : previous.sequence + 1;
+    exportState[key] = { ...previous, sequence, cancelled: true };
+    cancelledEvents.push([
+      'BEGIN:VEVENT',
+      `UID:${key}`,
+      `DTSTAMP:${getIcsDtStamp()}`,
+      previous.dtStart,
+      previous.dtEnd,
+      previous.summary,
+      `SEQUENCE:${sequence}`,
+      'STATUS:CANCELLED',
+      'END:VEVENT'
+    ]);
+  });
+  
+  return { events: updatedEvents, cancelledEvents, exportState };
+}
+
+/**
+ * Wrap events in a VCALENDAR and fold/join the lines
+ * @param {Array<Array<string>>} events - VEVENT lines
+ * @param {string} method - 'PUBLISH' or 'CANCEL'
+ * @param {string} [calendarName] - X-WR-CALNAME, the name calendar apps give the imported calendar
+ * @returns {string} Complete ICS file content
+ */
+function buildIcsCalendar(events, method, calendarName = 'FPTU Study Calendar') {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//FPTU Study Calendar//FPTU Study Calendar Exporter//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    `X-WR-CALNAME:${escapeIcsText(calendarName)}`,
+    `X-WR-CALDESC:Study schedule exported from FPTU FAP`,
+    `X-WR-TIMEZONE:${ICS_TIMEZONE}`,
+  ];
+  
+  // Local times refer to this VTIMEZONE, so apps that ignore X-WR-TIMEZONE still place them correctly
+  if (events.some(eventLines => eventLines.some(line => line.includes(`;TZID=${ICS_TIMEZONE}:`)))) {
+    lines.push(...generateIcsTimezone());
+  }
+  
+  events.forEach(eventLines => lines.push(...eventLines));
+  lines.push('END:VCALENDAR');
+  
+  // Fold all lines according to RFC 5545
+  const foldedLines = lines.map(line => foldIcsLine(line));
+  
+  // Join with CRLF and ensure file ends with CRLF (RFC 5545 requirement)
+  return foldedLines.join('\r\n') + '\r\n';
+}
+
 /**
  * Generate complete ICS file content from classes array
- * @param {Array} classes - Array of class data objects
+ * Records with recordType 'exam' are exported as exam events.
+ * @param {Array} records - Array of class (and exam) data objects
+ * @param {Object} [options] - { series: true } to write weekly series as recurring events
+ *   instead of one event per session; { timeMode: 'utc' } to write all times in UTC instead of
+ *   Vietnam local time with a VTIMEZONE (default 'tzid'); { reminderRules } to replace
+ *   DEFAULT_REMINDER_RULES; { exportState, cancelMode } see buildIcsExport
  * @returns {string} Complete ICS file content
  */
-function generateIcsFile(classes) {
-  if (!Array.isArray(classes) || classes.length === 0) {
+function generateIcsFile(records, options = {}) {
+  return buildIcsExport(records, options).content;
+}
+
+/**
+ * Build the ICS export and the state needed to update it on the next export
+ * Takes the same options as generateIcsFile, plus { exportState } (the state returned by the
+ * previous export) and { cancelMode } ('status' to add STATUS:CANCELLED events to the file,
+ * 'file' to put them in a separate METHOD:CANCEL file, 'none' to leave removed events alone).
+ * { partial: true } marks an export of only some records: nothing is cancelled and the events
+ * left out keep their state. { calendarName } sets X-WR-CALNAME.
+ * @param {Array} records - Array of class (and exam) data objects
+ * @param {Object} [options] - Export options
+ * @returns {Object} { content, cancelContent (null when nothing was cancelled), exportState }
+ */
+function buildIcsExport(records, options = {}) {
+  if (!Array.isArray(records) || records.length === 0) {
     throw new Error('No classes to export');
   }
   
+  const timeMode = options.timeMode === 'utc' ? 'utc' : 'tzid';
+  const eventOptions = { timeMode, reminderRules: options.reminderRules || DEFAULT_REMINDER_RULES };
+  const classes = records.filter(record => record.recordType !== 'exam');
+  const exams = records.filter(record => record.recordType === 'exam');
+  
   // Sort classes by date and time
   const sortedClasses = [...classes].sort((a, b) => {
     const dateA = new Date(a.date + 'T' + a.time.start);
@@ -439,49 +1043,67 @@ function generateIcsFile(classes) {
     });
   });
   
-  // Build ICS file
-  const lines = [
-    'BEGIN:VCALENDAR',
-    'VERSION:2.0',
-    'PRODID:-//FPTU Study Calendar//FPTU Study Calendar Exporter//EN',
-    'CALSCALE:GREGORIAN',
-    'METHOD:PUBLISH',
-    `X-WR-CALNAME:FPTU Study Calendar`,
-    `X-WR-CALDESC:Study schedule exported from FPTU FAP`,
-    `X-WR-TIMEZONE:Asia/Ho_Chi_Minh`,
-  ];
+  // Collect the VEVENT lines; the calendar wrapper is added once SEQUENCE is known
+  const lines = [];
   
-  // Add each event with information about whether it's the first class of the day
-  sortedClasses.forEach((classData, index) => {
-    // Check if this is the first class of the day
-    // Compare by date and time to find the earliest class on this date
-    const dateKey = classData.date;
-    const dayClasses = classesByDate[dateKey];
-    let isFirstClassOfDay = false;
-    
-    if (dayClasses && dayClasses.length > 0) {
-      // The first class in the sorted array for this day is the earliest
-      const firstClassOfDay = dayClasses[0];
-      isFirstClassOfDay = (
-        firstClassOfDay.date === classData.date &&
-        firstClassOfDay.time.start === classData.time.start &&
-        firstClassOfDay.activityId === classData.activityId
-      );
+  // Check if a class is the first class of its day
+  // Compare by date and time to find the earliest class on this date
+  const isFirstClassOfDay = (classData) => {
+    const dayClasses = classesByDate[classData.date];
+    if (!dayClasses || dayClasses.length === 0) {
+      return false;
     }
-    
-    const eventLines = generateIcsEvent(classData, index, isFirstClassOfDay);
+    // The first class in the sorted array for this day is the earliest
+    const firstClassOfDay = dayClasses[0];
+    return (
+      firstClassOfDay.date === classData.date &&
+      firstClassOfDay.time.start === classData.time.start &&
+      firstClassOfDay.activityId === classData.activityId
+    );
+  };
+  
+  // Weekly series as recurring events, the remaining sessions one by one
+  let singleClasses = sortedClasses;
+  if (options.series) {
+    const { series, standalone } = groupIcsSeries(sortedClasses);
+    series.forEach(seriesData => {
+      lines.push(...generateIcsSeriesEvents(seriesData, isFirstClassOfDay, eventOptions));
+    });
+    singleClasses = standalone;
+  }
+  
+  // Add each event with information about whether it's the first class of the day
+  singleClasses.forEach((classData, index) => {
+    const eventLines = generateIcsEvent(classData, index, isFirstClassOfDay(classData), null, eventOptions);
     if (eventLines && Array.isArray(eventLines) && eventLines.length > 0) {
       lines.push(...eventLines);
     }
   });
   
-  lines.push('END:VCALENDAR');
+  // Exams are separate events and don't affect the first-class-of-day reminder
+  exams.forEach(examData => {
+    lines.push(...generateIcsExamEvent(examData, eventOptions));
+  });
   
-  // Fold all lines according to RFC 5545
-  const foldedLines = lines.map(line => foldIcsLine(line));
+  // A partial export says nothing about the records it leaves out, so it can't cancel them
+  const previousState = options.exportState || {};
+  let cancelMode = ['status', 'file', 'none'].includes(options.cancelMode) ? options.cancelMode : 'status';
+  if (options.partial) {
+    cancelMode = 'none';
+  }
+  const { events, cancelledEvents, exportState } = applyIcsExportState(
+    splitIcsEvents(lines),
+    previousState,
+    cancelMode
+  );
   
-  // Join with CRLF and ensure file ends with CRLF (RFC 5545 requirement)
-  return foldedLines.join('\r\n') + '\r\n';
+  const calendarName = options.calendarName || 'FPTU Study Calendar';
+  const hasCancelFile = cancelMode === 'file' && cancelledEvents.length > 0;
+  return {
+    content: buildIcsCalendar(cancelMode === 'status' ? events.concat(cancelledEvents) : events, 'PUBLISH', calendarName),
+    cancelContent: hasCancelFile ? buildIcsCalendar(cancelledEvents, 'CANCEL', calendarName) : null,
+    exportState: options.partial ? { ...previousState, ...exportState } : exportState
+  };
 }
 
 /**
@@ -491,7 +1113,15 @@ function generateIcsFile(classes) {
  */
 function downloadIcsFile(icsContent, filename = 'fptu-calendar.ics') {
   // Create blob with proper MIME type
-  const blob = new Blob([icsContent], { type: 'text/calendar;charset=utf-8' });
+  downloadBlob(new Blob([icsContent], { type: 'text/calendar;charset=utf-8' }), filename);
+}
+
+/**
+ * Download a blob as a file
+ * @param {Blob} blob - File content
+ * @param {string} filename - Filename
+ */
+function downloadBlob(blob, filename) {
   const url = URL.createObjectURL(blob);
   
   // Create download link
@@ -511,19 +1141,260 @@ function downloadIcsFile(icsContent, filename = 'fptu-calendar.ics') {
   }, 100);
 }
 
+/**
+ * CRC-32 of bytes, as required by the ZIP format
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc ^= bytes[i];
+    for (let bit = 0; bit < 8; bit++) {
+      crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+    }
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Create a ZIP archive (stored, not compressed) from text files
+ * ICS files are small, so compression isn't worth a dependency.
+ * @param {Array<Object>} files - { name, content } entries
+ * @returns {Uint8Array} ZIP file bytes
+ */
+function createZipFile(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  
+  files.forEach(file => {
+    const nameBytes = encoder.encode(file.name);
+    const data = encoder.encode(file.content);
+    const crc = crc32(data);
+    
+    // Local file header; flag 0x0800 marks UTF-8 file names
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true);
+    local.setUint16(8, 0, true);
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+    
+    // Central directory entry pointing at the local header
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+    
+    offset += 30 + nameBytes.length + data.length;
+  });
+  
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  
+  const parts = localParts.concat(centralParts, [new Uint8Array(end.buffer)]);
+  const zip = new Uint8Array(offset + centralSize + 22);
+  let position = 0;
+  parts.forEach(part => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+}
+
+/**
+ * Building code of a room ("BE" for "BE-305", "DE" for "DE-C201")
+ * @param {string} location - Class or exam location
+ * @returns {string} Uppercase building code, empty when the location has none
+ */
+function getLocationBuilding(location) {
+  const match = /^\s*([A-Za-z]+)/.exec(location || '');
+  return match ? match[1].toUpperCase() : '';
+}
+
+/**
+ * Filter records for a selective export (also used by the calendar's filter builder)
+ * @param {Array} records - Class and exam records
+ * @param {Object} filters - { startDate, endDate ('YYYY-MM-DD', empty for no bound),
+ *   subjectCodes (null for all), mode ('all' | 'online' | 'offline'),
+ *   statuses (class statuses 'notYet' | 'attended' | 'absent', null for all),
+ *   recordTypes ('all' | 'classes' | 'exams'),
+ *   weekdays (0 = Sunday ... 6 = Saturday, null for all),
+ *   slotFrom, slotTo (class slot range, null for no bound), relocatedOnly (boolean),
+ *   buildings (codes from getLocationBuilding, null for all) }
+ * @returns {Array} Records matching every filter
+ */
+function filterExportRecords(records, filters = {}) {
+  const subjectCodes = filters.subjectCodes ? filters.subjectCodes.map(code => code.toUpperCase()) : null;
+  const statuses = filters.statuses || null;
+  const weekdays = filters.weekdays || null;
+  const buildings = filters.buildings || null;
+  const hasSlotFrom = filters.slotFrom !== undefined && filters.slotFrom !== null;
+  const hasSlotTo = filters.slotTo !== undefined && filters.slotTo !== null;
+  
+  return records.filter(record => {
+    const isExam = record.recordType === 'exam';
+    if (filters.recordTypes === 'classes' && isExam) return false;
+    if (filters.recordTypes === 'exams' && !isExam) return false;
+    if (filters.startDate && record.date < filters.startDate) return false;
+    if (filters.endDate && record.date > filters.endDate) return false;
+    if (subjectCodes && !subjectCodes.includes((record.subjectCode || '').toUpperCase())) return false;
+    // Exams always take place on campus
+    const isOnline = !isExam && record.isOnline === true;
+    if (filters.mode === 'online' && !isOnline) return false;
+    if (filters.mode === 'offline' && isOnline) return false;
+    // Status only applies to classes
+    if (!isExam && statuses) {
+      const status = record.status === 'attended' || record.status === 'absent' ? record.status : 'notYet';
+      if (!statuses.includes(status)) return false;
+    }
+    if (weekdays && !weekdays.includes(new Date(record.date + 'T00:00:00').getDay())) return false;
+    // Slots only apply to classes (exams have their own times)
+    if (!isExam && hasSlotFrom && !(record.slot >= filters.slotFrom)) return false;
+    if (!isExam && hasSlotTo && !(record.slot <= filters.slotTo)) return false;
+    if (filters.relocatedOnly && record.isRelocated !== true) return false;
+    if (buildings && !buildings.includes(getLocationBuilding(record.location))) return false;
+    return true;
+  });
+}
+
+/**
+ * Find sessions that overlap in time on the same day
+ * (retakes, an exam clashing with a class, imported or moved events)
+ * @param {Array} records - Class and exam records
+ * @returns {Array<Array>} Groups of overlapping records, sorted by date and start time
+ */
+function findScheduleConflicts(records) {
+  const byDate = {};
+  records.forEach(record => {
+    if (!record.date || !record.time || !record.time.start) return;
+    if (!byDate[record.date]) {
+      byDate[record.date] = [];
+    }
+    byDate[record.date].push(record);
+  });
+  
+  const conflicts = [];
+  Object.keys(byDate).sort().forEach(date => {
+    const sorted = byDate[date].sort((a, b) => a.time.start.localeCompare(b.time.start));
+    // Sweep by start time: a record overlaps the group while it starts before the group ends
+    let group = [sorted[0]];
+    let groupEnd = sorted[0].time.end;
+    sorted.slice(1).forEach(record => {
+      if (record.time.start < groupEnd) {
+        group.push(record);
+        if (record.time.end > groupEnd) {
+          groupEnd = record.time.end;
+        }
+        return;
+      }
+      if (group.length > 1) {
+        conflicts.push(group);
+      }
+      group = [record];
+      groupEnd = record.time.end;
+    });
+    if (group.length > 1) {
+      conflicts.push(group);
+    }
+  });
+  return conflicts;
+}
+
+/**
+ * Leave out classes that overlap another session (exams are kept)
+ * @param {Array} records - Class and exam records
+ * @returns {Array} Records without conflicting classes
+ */
+function skipConflictingClasses(records) {
+  const conflicting = new Set(findScheduleConflicts(records).flat());
+  return records.filter(record => record.recordType === 'exam' || !conflicting.has(record));
+}
+
+/**
+ * Export one calendar per subject, bundled as a ZIP
+ * Each file gets its own X-WR-CALNAME so it can be imported as a separate calendar.
+ * Removed sessions are never cancelled here (every file is a partial export).
+ * @param {Array} records - Class and exam records
+ * @param {Object} [options] - Passed to buildIcsExport for each subject
+ * @returns {Object} Export state to store and pass as options.exportState next time
+ */
+function exportToIcsBySubject(records, options = {}) {
+  if (!Array.isArray(records) || records.length === 0) {
+    throw new Error('No classes to export');
+  }
+  
+  const bySubject = {};
+  records.forEach(record => {
+    const code = record.subjectCode || 'OTHER';
+    if (!bySubject[code]) {
+      bySubject[code] = [];
+    }
+    bySubject[code].push(record);
+  });
+  
+  let exportState = options.exportState || {};
+  const files = Object.keys(bySubject).sort().map(code => {
+    const result = buildIcsExport(bySubject[code], {
+      ...options,
+      exportState,
+      partial: true,
+      calendarName: `FPTU - ${code}`
+    });
+    exportState = result.exportState;
+    return { name: `${code.replace(/[^A-Za-z0-9_-]/g, '_')}.ics`, content: result.content };
+  });
+  
+  const dates = records.map(r => r.date).sort();
+  const filename = `fptu-calendar-by-subject-${dates[0]}-to-${dates[dates.length - 1]}.zip`;
+  downloadBlob(new Blob([createZipFile(files)], { type: 'application/zip' }), filename);
+  
+  return exportState;
+}
+
 /**
  * Export classes to ICS file
  * @param {Array} classes - Array of class data objects
  * @param {string} filename - Optional filename
+ * @param {Object} [options] - Passed to buildIcsExport
+ * @returns {Object} Export state to store and pass as options.exportState next time
  */
-function exportToIcs(classes, filename) {
+function exportToIcs(classes, filename, options = {}) {
   try {
     if (!Array.isArray(classes) || classes.length === 0) {
       throw new Error('No classes to export');
     }
     
     // Generate ICS content
-    const icsContent = generateIcsFile(classes);
+    const { content, cancelContent, exportState } = buildIcsExport(classes, options);
     
     // Generate filename with date range if not provided
     if (!filename) {
@@ -534,22 +1405,68 @@ function exportToIcs(classes, filename) {
     }
     
     // Download file
-    downloadIcsFile(icsContent, filename);
+    downloadIcsFile(content, filename);
     
-    return true;
+    // Cancellations go to their own file so it can be imported after the update
+    if (cancelContent) {
+      downloadIcsFile(cancelContent, filename.replace(/\.ics$/, '') + '-cancelled.ics');
+    }
+    
+    return exportState;
   } catch (error) {
     console.error('Error exporting to ICS:', error);
     throw error;
   }
 }
 
+/**
+ * Start and end time of every known slot on a date
+ * FAP has changed slot times between semesters, so the FAP class of each slot closest to the
+ * date wins over DEFAULT_SLOT_TIMES. Moved and imported classes don't count (their slot
+ * doesn't have to match their times).
+ * @param {Array} classes - Stored classes
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @returns {Object} Slot number → { start, end }
+ */
+function getSlotTimes(classes, dateKey) {
+  const slotTimes = {};
+  Object.keys(DEFAULT_SLOT_TIMES).forEach(slot => {
+    slotTimes[slot] = { ...DEFAULT_SLOT_TIMES[slot] };
+  });
+  
+  const distances = {};
+  const day = new Date(`${dateKey}T00:00:00`);
+  classes.forEach(cls => {
+    if (cls.slot === undefined || cls.slot === null || !cls.time || !cls.date || cls.userModified || cls.source === 'ics') return;
+    const distance = Math.abs(new Date(`${cls.date}T00:00:00`) - day);
+    if (distances[cls.slot] === undefined || distance < distances[cls.slot]) {
+      distances[cls.slot] = distance;
+      slotTimes[cls.slot] = { start: cls.time.start, end: cls.time.end };
+    }
+  });
+  return slotTimes;
+}
+
 // Export functions for use in other scripts
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     exportToIcs,
     generateIcsFile,
+    buildIcsExport,
+    filterExportRecords,
+    getLocationBuilding,
+    getSlotTimes,
+    findScheduleConflicts,
+    skipConflictingClasses,
+    exportToIcsBySubject,
+    createZipFile,
     generateIcsEvent,
+    generateIcsExamEvent,
+    groupIcsSeries,
+    getReminderMinutes,
+    DEFAULT_REMINDER_RULES,
     formatIcsDateTime,
+    formatIcsDateTimeFromVietnam,
     escapeIcsText
   };
 }
@@ -0,0 +1,494 @@
+// ICS (iCalendar) import utility for FPTU Study Calendar
+// Reads .ics files written by ics-export.js (round trip) and by other calendar apps
+// Uses getIcsMessage, generateEventUid and getSlotTimes from ics-export.js (loaded first)
+
+// Recurring events from other apps are expanded up to this many occurrences
+const MAX_IMPORT_OCCURRENCES = 366;
+
+/**
+ * Unfold ICS content into logical lines (reverses foldIcsLine)
+ * A line starting with a space or tab continues the previous line.
+ * @param {string} text - ICS file content
+ * @returns {Array<string>} Unfolded lines
+ */
+function unfoldIcsLines(text) {
+  const lines = [];
+  String(text).replace(/^\uFEFF/, '').split(/\r?\n/).forEach(line => {
+    if ((line.startsWith(' ') || line.startsWith('\t')) && lines.length > 0) {
+      lines[lines.length - 1] += line.substring(1);
+    } else if (line) {
+      lines.push(line);
+    }
+  });
+  return lines;
+}
+
+/**
+ * Unescape ICS text (reverses escapeIcsText)
+ * @param {string} text - Escaped text
+ * @returns {string} Plain text
+ */
+function unescapeIcsText(text) {
+  if (!text) return '';
+  return String(text).replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Split a content line into name, parameters and value
+ * @param {string} line - Unfolded content line, e.g. 'DTSTART;TZID=Asia/Ho_Chi_Minh:20250106T073000'
+ * @returns {Object|null} { name, params, value }, or null for a malformed line
+ */
+function parseIcsProperty(line) {
+  // The value starts at the first colon outside a quoted parameter value
+  let inQuotes = false;
+  let colonIndex = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ':' && !inQuotes) {
+      colonIndex = i;
+      break;
+    }
+  }
+  if (colonIndex < 0) {
+    return null;
+  }
+  
+  const [name, ...paramParts] = line.substring(0, colonIndex).split(';');
+  const params = {};
+  paramParts.forEach(part => {
+    const equalsIndex = part.indexOf('=');
+    if (equalsIndex > 0) {
+      params[part.substring(0, equalsIndex).toUpperCase()] = part.substring(equalsIndex + 1).replace(/^"|"$/g, '');
+    }
+  });
+  return { name: name.toUpperCase(), params, value: line.substring(colonIndex + 1) };
+}
+
+/**
+ * Offset of a time zone from UTC at a moment, in milliseconds
+ * @param {string} timeZone - IANA time zone name
+ * @param {number} utcMillis - Moment as UTC milliseconds
+ * @returns {number} Offset (local minus UTC)
+ */
+function getTimeZoneOffset(timeZone, utcMillis) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(new Date(utcMillis)).forEach(part => {
+    parts[part.type] = Number(part.value);
+  });
+  const localMillis = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return localMillis - Math.floor(utcMillis / 1000) * 1000;
+}
+
+/**
+ * Convert an ICS date-time to Vietnam local date and time (FAP times are Vietnam local time)
+ * UTC values and values with another TZID are converted; floating values are taken as Vietnam time.
+ * @param {string} value - ICS date-time, e.g. '20250106T073000' or '20250106T003000Z'
+ * @param {Object} params - Property parameters (TZID, VALUE)
+ * @returns {Object|null} { date: 'YYYY-MM-DD', time: 'HH:mm' }, or null for dates without time
+ */
+function parseIcsDateTime(value, params = {}) {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})?(Z)?$/.exec(value || '');
+  if (!match || params.VALUE === 'DATE') {
+    return null;
+  }
+  const [, year, month, day, hour, minute, second, utc] = match;
+  let utcMillis = null;
+  
+  if (utc) {
+    utcMillis = Date.UTC(+year, +month - 1, +day, +hour, +minute, +(second || 0));
+  } else if (params.TZID && params.TZID !== ICS_TIMEZONE) {
+    try {
+      // Local time in TZID → UTC (second pass corrects for a DST change between guess and result)
+      const localMillis = Date.UTC(+year, +month - 1, +day, +hour, +minute, +(second || 0));
+      utcMillis = localMillis - getTimeZoneOffset(params.TZID, localMillis);
+      utcMillis = localMillis - getTimeZoneOffset(params.TZID, utcMillis);
+    } catch (error) {
+      // Unknown time zone name (e.g. Windows names): treat as Vietnam time
+      utcMillis = null;
+    }
+  }
+  
+  if (utcMillis === null) {
+    return { date: `${year}-${month}-${day}`, time: `${hour}:${minute}` };
+  }
+  
+  // Vietnam is UTC+7 without daylight saving time
+  const vietnam = new Date(utcMillis + 7 * 60 * 60 * 1000);
+  return {
+    date: vietnam.toISOString().split('T')[0],
+    time: vietnam.toISOString().substring(11, 16)
+  };
+}
+
+/**
+ * Parse an ICS duration (e.g. 'PT1H30M', 'P1D') in minutes
+ * @param {string} value - ICS duration
+ * @returns {number|null} Minutes, or null when not a duration
+ */
+function parseIcsDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value || '');
+  if (!match) {
+    return null;
+  }
+  const [, sign, weeks, days, hours, minutes] = match;
+  const total = (+weeks || 0) * 7 * 1440 + (+days || 0) * 1440 + (+hours || 0) * 60 + (+minutes || 0);
+  return sign === '-' ? -total : total;
+}
+
+/**
+ * Add minutes to a Vietnam local date and time
+ * @param {Object} dateTime - { date, time }
+ * @param {number} minutes - Minutes to add
+ * @returns {Object} { date, time }
+ */
+function addImportMinutes(dateTime, minutes) {
+  const shifted = new Date(new Date(`${dateTime.date}T${dateTime.time}:00Z`).getTime() + minutes * 60000);
+  return { date: shifted.toISOString().split('T')[0], time: shifted.toISOString().substring(11, 16) };
+}
+
+/**
+ * Parse the VEVENTs of an ICS file (VALARMs and other components are skipped)
+ * @param {string} text - ICS file content
+ * @returns {Array<Object>} Events: { uid, summary, description, location, url, status, start, end,
+ *   rrule, exdates, recurrenceId } with start/end/exdates/recurrenceId as { date, time }
+ *   (start is null for all-day events)
+ */
+function parseIcsEvents(text) {
+  const events = [];
+  let current = null;
+  let nestedDepth = 0;
+  
+  unfoldIcsLines(text).forEach(line => {
+    const property = parseIcsProperty(line);
+    if (!property) return;
+    const { name, params, value } = property;
+    
+    if (name === 'BEGIN') {
+      if (value.toUpperCase() === 'VEVENT') {
+        current = { uid: null, summary: '', description: '', location: '', url: null, status: null,
+          start: null, end: null, durationMinutes: null, rrule: null, exdates: [], recurrenceId: null };
+      } else if (current) {
+        nestedDepth++;
+      }
+      return;
+    }
+    if (name === 'END') {
+      if (current && nestedDepth > 0) {
+        nestedDepth--;
+      } else if (current && value.toUpperCase() === 'VEVENT') {
+        if (!current.end && current.start) {
+          current.end = current.durationMinutes !== null
+            ? addImportMinutes(current.start, current.durationMinutes)
+            : current.start;
+        }
+        delete current.durationMinutes;
+        events.push(current);
+        current = null;
+      }
+      return;
+    }
+    if (!current || nestedDepth > 0) return;
+    
+    switch (name) {
+      case 'UID': current.uid = value; break;
+      case 'SUMMARY': current.summary = unescapeIcsText(value); break;
+      case 'DESCRIPTION': current.description = unescapeIcsText(value); break;
+      case 'LOCATION': current.location = unescapeIcsText(value); break;
+      case 'URL': current.url = value; break;
+      case 'STATUS': current.status = value.toUpperCase(); break;
+      case 'DTSTART': current.start = parseIcsDateTime(value, params); break;
+      case 'DTEND': current.end = parseIcsDateTime(value, params); break;
+      case 'DURATION': current.durationMinutes = parseIcsDuration(value); break;
+      case 'RRULE': current.rrule = value; break;
+      case 'RECURRENCE-ID': current.recurrenceId = parseIcsDateTime(value, params); break;
+      case 'EXDATE':
+        value.split(',').forEach(exdate => {
+          const parsed = parseIcsDateTime(exdate, params);
+          if (parsed) current.exdates.push(parsed);
+        });
+        break;
+      default:
+        break;
+    }
+  });
+  
+  return events;
+}
+
+/**
+ * Expand a recurring event into its occurrences
+ * Supports FREQ=DAILY/WEEKLY with INTERVAL, COUNT, UNTIL and BYDAY (what ics-export.js and most
+ * school timetables use); other rules only import the first occurrence.
+ * @param {Object} event - Event from parseIcsEvents
+ * @returns {Array<Object>} Occurrence start dates/times: { date, time }
+ */
+function expandIcsOccurrences(event) {
+  if (!event.rrule) {
+    return [event.start];
+  }
+  
+  const rule = {};
+  event.rrule.split(';').forEach(part => {
+    const [key, val] = part.split('=');
+    rule[key.toUpperCase()] = val;
+  });
+  if (rule.FREQ !== 'DAILY' && rule.FREQ !== 'WEEKLY') {
+    return [event.start];
+  }
+  
+  const interval = Math.max(1, parseInt(rule.INTERVAL, 10) || 1);
+  const count = rule.COUNT ? parseInt(rule.COUNT, 10) : null;
+  let until = null;
+  if (rule.UNTIL) {
+    const untilValue = /^\d{8}$/.test(rule.UNTIL) ? `${rule.UNTIL}T235959` : rule.UNTIL;
+    until = parseIcsDateTime(untilValue);
+  }
+  const dayCodes = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+  const byDay = rule.FREQ === 'WEEKLY' && rule.BYDAY
+    ? rule.BYDAY.split(',').map(code => dayCodes.indexOf(code.slice(-2))).filter(index => index >= 0)
+    : null;
+  
+  const occurrences = [];
+  const startDate = new Date(`${event.start.date}T00:00:00Z`);
+  const startDay = startDate.getUTCDay();
+  const isAfterUntil = (date) => until && `${date}T${event.start.time}` > `${until.date}T${until.time}`;
+  
+  for (let step = 0; occurrences.length < MAX_IMPORT_OCCURRENCES; step++) {
+    // Dates of this period: one day (DAILY, WEEKLY without BYDAY) or the BYDAY days of the week
+    const periodDates = [];
+    if (rule.FREQ === 'DAILY') {
+      periodDates.push(addIcsDays(event.start.date, step * interval));
+    } else if (!byDay) {
+      periodDates.push(addIcsDays(event.start.date, step * interval * 7));
+    } else {
+      const weekStart = addIcsDays(event.start.date, step * interval * 7 - startDay);
+      byDay.slice().sort((a, b) => a - b).forEach(day => {
+        const date = addIcsDays(weekStart, day);
+        if (date >= event.start.date) periodDates.push(date);
+      });
+    }
+    
+    let finished = false;
+    for (const date of periodDates) {
+      if (isAfterUntil(date) || (count !== null && occurrences.length >= count)) {
+        finished = true;
+        break;
+      }
+      occurrences.push({ date, time: event.start.time });
+    }
+    if (finished || step > MAX_IMPORT_OCCURRENCES) {
+      break;
+    }
+  }
+  
+  // EXDATE removes occurrences
+  const excluded = new Set(event.exdates.map(exdate => `${exdate.date}T${exdate.time}`));
+  return occurrences.filter(occurrence => !excluded.has(`${occurrence.date}T${occurrence.time}`));
+}
+
+/**
+ * Slot of an imported event: the slot whose start time (see getSlotTimes) is closest
+ * @param {string} date - Event date (YYYY-MM-DD)
+ * @param {string} startTime - Start time (HH:mm)
+ * @param {Array} existingClasses - Stored classes
+ * @returns {number} Slot number
+ */
+function getImportSlot(date, startTime, existingClasses) {
+  const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+  const start = toMinutes(startTime);
+  const slotTimes = getSlotTimes(existingClasses, date);
+  let bestSlot = null;
+  let bestDistance = Infinity;
+  
+  Object.keys(slotTimes).forEach(slot => {
+    const distance = Math.abs(toMinutes(slotTimes[slot].start) - start);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      bestSlot = Number(slot);
+    }
+  });
+  return bestSlot;
+}
+
+/**
+ * Read "Label: value" lines of a description written by generateIcsEvent
+ * @param {string} description - Event description
+ * @returns {Object} Values by label
+ */
+function parseIcsDescriptionFields(description) {
+  const fields = {};
+  (description || '').split('\n').forEach(line => {
+    const separatorIndex = line.indexOf(': ');
+    if (separatorIndex > 0) {
+      fields[line.substring(0, separatorIndex)] = line.substring(separatorIndex + 2).trim();
+    }
+  });
+  return fields;
+}
+
+/**
+ * Turn parsed events into class and exam records
+ * Events exported by this extension become classes/exams again; their activityId is recovered by
+ * matching the generateEventUid hash (or subject, date and start time) with stored classes.
+ * Events from other apps become custom events (isCustom: true). Every imported record has
+ * source: 'ics'.
+ * @param {Array<Object>} events - Events from parseIcsEvents
+ * @param {Array} existingClasses - Stored classes (scrapedClasses)
+ * @returns {Object} { classes, exams, matched, skipped }; matched counts events that are already
+ *   stored, skipped counts all-day and cancelled events
+ */
+function buildImportedRecords(events, existingClasses = []) {
+  const classes = [];
+  const exams = [];
+  let matched = 0;
+  let skipped = 0;
+  
+  // UIDs without the year prefix that older versions wrote (the year of the export)
+  const uidHash = (uid) => (uid || '').replace(/^\d{4}-/, '');
+  const byUid = new Map();
+  const bySession = new Map();
+  existingClasses.forEach(cls => {
+    if (!cls.time) return;
+    byUid.set(uidHash(generateEventUid(cls.activityId, cls.date, cls.time.start)), cls);
+    bySession.set(`${cls.subjectCode}|${cls.date}|${cls.time.start}`, cls);
+  });
+  
+  // Overrides of recurring events replace the occurrence they refer to
+  const overrides = new Map();
+  events.filter(event => event.recurrenceId).forEach(event => {
+    overrides.set(`${event.uid}|${event.recurrenceId.date}T${event.recurrenceId.time}`, event);
+  });
+  
+  events.filter(event => !event.recurrenceId).forEach(event => {
+    if (!event.start || event.status === 'CANCELLED') {
+      skipped++;
+      return;
+    }
+    const durationMinutes = Math.round(
+      (new Date(`${event.end.date}T${event.end.time}:00Z`) - new Date(`${event.start.date}T${event.start.time}:00Z`)) / 60000
+    );
+    const isOwnEvent = /@fptu-study-calendar$/.test(event.uid || '');
+    const examMatch = /^exam-([^-]+)-(.*)@fptu-study-calendar$/.exec(event.uid || '');
+    
+    expandIcsOccurrences(event).forEach(occurrence => {
+      const override = overrides.get(`${event.uid}|${occurrence.date}T${occurrence.time}`);
+      const source = override || event;
+      if (source.status === 'CANCELLED' || !source.start) {
+        skipped++;
+        return;
+      }
+      const start = override ? override.start : occurrence;
+      const end = override ? override.end : addImportMinutes(occurrence, durationMinutes);
+      const time = { start: start.time, end: end.time };
+      const fields = parseIcsDescriptionFields(source.description);
+      
+      if (examMatch) {
+        exams.push({
+          recordType: 'exam',
+          subjectCode: examMatch[1],
+          subjectName: '',
+          date: start.date,
+          time,
+          location: fields[getIcsMessage('icsLocationLabel')] || source.location || '',
+          examForm: fields[getIcsMessage('icsExamFormLabel')] || '',
+          examType: examMatch[2],
+          publishDate: fields[getIcsMessage('icsExamPublishDateLabel')] || '',
+          source: 'ics'
+        });
+        return;
+      }
+      
+      if (isOwnEvent) {
+        // Summary is "CODE (Online) [Relocated]"
+        const summary = source.summary || '';
+        const subjectCode = summary.split(' ')[0] || 'Class';
+        const existing = byUid.get(uidHash(source.uid)) || bySession.get(`${subjectCode}|${start.date}|${start.time}`);
+        if (existing && existing.date === start.date && existing.time.start === start.time) {
+          matched++;
+          return;
+        }
+        
+        const isOnline = summary.includes('(Online)');
+        const meetUrl = fields[getIcsMessage('icsMeetLabel')] || null;
+        classes.push({
+          subjectCode,
+          day: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][new Date(`${start.date}T00:00:00`).getDay()],
+          date: start.date,
+          slot: getImportSlot(start.date, start.time, existingClasses),
+          time,
+          // LOCATION has " (Online)" appended for online classes
+          location: fields[getIcsMessage('icsLocationLabel')] || (isOnline ? (source.location || '').replace(/ ?\(?Online\)?$/, '') : source.location || ''),
+          isOnline,
+          meetUrl,
+          edunextUrl: null,
+          materialsUrl: null,
+          isRelocated: (source.description || '').includes(getIcsMessage('icsRelocatedWarning')),
+          status: 'Not yet',
+          activityId: existing ? existing.activityId : null,
+          lecturer: fields[getIcsMessage('detailLecturer')] || undefined,
+          studentGroup: fields[getIcsMessage('detailStudentGroup')] || undefined,
+          source: 'ics'
+        });
+        return;
+      }
+      
+      // Events from other apps: the summary stands in for the subject code
+      const meetMatch = /https:\/\/meet\.google\.com\/[\w-]+/.exec(`${source.url || ''} ${source.description || ''}`);
+      classes.push({
+        subjectCode: (source.summary || '').trim() || 'Event',
+        day: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][new Date(`${start.date}T00:00:00`).getDay()],
+        date: start.date,
+        slot: getImportSlot(start.date, start.time, existingClasses),
+        time,
+        location: source.location || '',
+        isOnline: meetMatch !== null,
+        meetUrl: meetMatch ? meetMatch[0] : null,
+        edunextUrl: null,
+        materialsUrl: null,
+        isRelocated: false,
+        status: 'Not yet',
+        activityId: null,
+        description: source.description || '',
+        isCustom: true,
+        icsUid: source.uid,
+        source: 'ics'
+      });
+    });
+  });
+  
+  return { classes, exams, matched, skipped };
+}
+
+/**
+ * Read an ICS file into class and exam records
+ * @param {string} text - ICS file content
+ * @param {Array} existingClasses - Stored classes (scrapedClasses)
+ * @returns {Object} See buildImportedRecords
+ */
+function importIcsFile(text, existingClasses = []) {
+  if (!/BEGIN:VCALENDAR/i.test(text)) {
+    throw new Error('Not an ICS file');
+  }
+  return buildImportedRecords(parseIcsEvents(text), existingClasses);
+}
+
+// Export functions for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    unfoldIcsLines,
+    unescapeIcsText,
+    parseIcsEvents,
+    expandIcsOccurrences,
+    buildImportedRecords,
+    importIcsFile
+  };
+}
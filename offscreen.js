@@ -0,0 +1,116 @@
+// Offscreen document for the fetch extraction engine
+// The service worker has no DOMParser, so fetched timetable HTML is parsed here
+// with the same rules as the content script (schedule-parser.js).
+// Also parses ActivityDetail pages (session details), the exam schedule and the attendance report.
+
+// Parse a ScheduleOfWeek.aspx response
+// yearOptions: pass to extract classes, omit when only the form state is needed
+function parseTimetablePage(html, loginCheckSelector, yearOptions) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  
+  // Resolve relative links (ActivityDetail.aspx?id=...) against FAP instead of the extension URL
+  const base = doc.createElement('base');
+  base.href = 'https://fap.fpt.edu.vn/Report/ScheduleOfWeek.aspx';
+  doc.head.prepend(base);
+  
+  // Collect the fields the browser would post back: hidden inputs (__VIEWSTATE,
+  // __EVENTVALIDATION, ...) and the current value of every dropdown
+  const formFields = {};
+  doc.querySelectorAll('form input[type="hidden"]').forEach(input => {
+    if (input.name) {
+      formFields[input.name] = input.value;
+    }
+  });
+  doc.querySelectorAll('form select').forEach(select => {
+    if (select.name) {
+      formFields[select.name] = select.value;
+    }
+  });
+  
+  const yearSelect = doc.querySelector('#ctl00_mainContent_drpYear');
+  const weekSelect = doc.querySelector('#ctl00_mainContent_drpSelectWeek');
+  
+  return {
+    isLoggedIn: doc.querySelector(loginCheckSelector) !== null && weekSelect !== null,
+    formFields,
+    yearValue: yearSelect ? parseInt(yearSelect.value, 10) : null,
+    selectedWeek: weekSelect ? weekSelect.value : null,
+    weekOptions: weekSelect
+      ? Array.from(weekSelect.options).map(opt => ({ value: opt.value, text: opt.text.trim() }))
+      : [],
+    classes: yearOptions ? extractScheduleData(doc, yearOptions) : []
+  };
+}
+
+// Parse an ActivityDetail.aspx response
+function parseActivityDetailPage(html, loginCheckSelector) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  return {
+    isLoggedIn: doc.querySelector(loginCheckSelector) !== null,
+    details: extractActivityDetail(doc)
+  };
+}
+
+// Parse an Exam/ScheduleExams.aspx response
+function parseExamPage(html, loginCheckSelector) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  return {
+    isLoggedIn: doc.querySelector(loginCheckSelector) !== null,
+    exams: extractExamData(doc)
+  };
+}
+
+// Parse a Report/ViewAttendstudent.aspx response: the course links and, when a course
+// is selected, its session counts
+function parseAttendancePage(html, loginCheckSelector) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  
+  // Course links are relative (?id=...&course=...)
+  const base = doc.createElement('base');
+  base.href = 'https://fap.fpt.edu.vn/Report/ViewAttendstudent.aspx';
+  doc.head.prepend(base);
+  
+  return {
+    isLoggedIn: doc.querySelector(loginCheckSelector) !== null,
+    courses: extractAttendanceCourses(doc),
+    attendance: extractAttendanceReport(doc)
+  };
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Only handle messages addressed to the offscreen document
+  if (message.target !== 'offscreen') {
+    return false;
+  }
+  
+  if (message.action === 'parseTimetable') {
+    try {
+      sendResponse(parseTimetablePage(message.html, message.loginCheckSelector, message.yearOptions));
+    } catch (error) {
+      console.error('Error parsing timetable HTML:', error);
+      sendResponse({ error: error.message });
+    }
+  } else if (message.action === 'parseActivityDetail') {
+    try {
+      sendResponse(parseActivityDetailPage(message.html, message.loginCheckSelector));
+    } catch (error) {
+      console.error('Error parsing activity detail HTML:', error);
+      sendResponse({ error: error.message });
+    }
+  } else if (message.action === 'parseAttendance') {
+    try {
+      sendResponse(parseAttendancePage(message.html, message.loginCheckSelector));
+    } catch (error) {
+      console.error('Error parsing attendance report HTML:', error);
+      sendResponse({ error: error.message });
+    }
+  } else if (message.action === 'parseExams') {
+    try {
+      sendResponse(parseExamPage(message.html, message.loginCheckSelector));
+    } catch (error) {
+      console.error('Error parsing exam schedule HTML:', error);
+      sendResponse({ error: error.message });
+    }
+  }
+  return false;
+});
@@ -5,6 +5,13 @@ const WAIT_TIMES = {
   PROGRESS_RESET_DELAY: 3000         // Delay before resetting progress message (ms)
 };
 
+// Auto sync setting limits (defaults mirror AUTO_SYNC_DEFAULTS in background.js)
+const AUTO_SYNC = {
+  DEFAULT_INTERVAL_HOURS: 24,
+  DEFAULT_WEEKS_AHEAD: 4,
+  MAX_WEEKS_AHEAD: 12
+};
+
 // Internationalization helper
 function getMessage(key, substitutions = []) {
   return chrome.i18n.getMessage(key, substitutions);
@@ -92,6 +99,276 @@ function showMergeReplaceDialog() {
   });
 }
 
+// Show cancel scraping dialog and return user choice ('keep', 'discard' or null to continue)
+function showCancelScrapeDialog() {
+  return new Promise((resolve) => {
+    const overlay = document.getElementById('cancelScrapeOverlay');
+    const keepButton = document.getElementById('cancelScrapeKeepButton');
+    const discardButton = document.getElementById('cancelScrapeDiscardButton');
+    const backButton = document.getElementById('cancelScrapeBackButton');
+    const closeButton = document.getElementById('cancelScrapeOverlayClose');
+    
+    overlay.classList.add('active');
+    
+    const handleChoice = (choice) => {
+      overlay.classList.remove('active');
+      resolve(choice);
+    };
+    
+    keepButton.addEventListener('click', () => handleChoice('keep'), { once: true });
+    discardButton.addEventListener('click', () => handleChoice('discard'), { once: true });
+    backButton.addEventListener('click', () => handleChoice(null), { once: true });
+    closeButton.addEventListener('click', () => handleChoice(null), { once: true });
+    
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) {
+        handleChoice(null);
+      }
+    }, { once: true });
+  });
+}
+
+// Format ETA seconds for the live scraping status
+function formatEta(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const remainingSeconds = seconds % 60;
+  if (minutes > 0) {
+    return getMessage('scrapeEtaMinutes', [minutes.toString(), remainingSeconds.toString()]);
+  }
+  return getMessage('scrapeEtaSeconds', [remainingSeconds.toString()]);
+}
+
+// Get localized label for a week status (pending / extracting / done / failed)
+function getWeekStatusLabel(week) {
+  if (week.status === 'done') {
+    return getMessage('scrapeWeekDone', [week.classCount.toString()]);
+  } else if (week.status === 'extracting') {
+    return getMessage('scrapeWeekExtracting');
+  } else if (week.status === 'failed') {
+    return getMessage('scrapeWeekFailed');
+  }
+  return getMessage('scrapeWeekPending');
+}
+
+// Render live per-week status, ETA and control buttons
+function renderScrapeStatus(status) {
+  const container = document.getElementById('scrapeStatus');
+  const weekList = document.getElementById('scrapeWeekList');
+  const etaEl = document.getElementById('scrapeStatusEta');
+  const pauseButton = document.getElementById('pauseScrapeButton');
+  const cancelButton = document.getElementById('cancelScrapeButton');
+  
+  container.classList.remove('hidden');
+  weekList.innerHTML = '';
+  status.weeks.forEach(week => {
+    const item = document.createElement('li');
+    item.className = `scrape-week-item ${week.status}`;
+    const text = document.createElement('span');
+    text.textContent = week.text;
+    const statusText = document.createElement('span');
+    statusText.className = 'scrape-week-status';
+    statusText.textContent = getWeekStatusLabel(week);
+    item.appendChild(text);
+    item.appendChild(statusText);
+    weekList.appendChild(item);
+  });
+  
+  const currentItem = weekList.querySelector('.scrape-week-item.extracting');
+  if (currentItem) {
+    currentItem.scrollIntoView({ block: 'nearest' });
+  }
+  
+  const isPaused = status.state === 'paused';
+  pauseButton.dataset.paused = isPaused ? 'true' : 'false';
+  pauseButton.textContent = getMessage(isPaused ? 'scrapeResume' : 'scrapePause');
+  pauseButton.disabled = status.state === 'cancelling' || status.state === 'waitingLogin';
+  cancelButton.disabled = status.state === 'cancelling';
+  
+  if (status.state === 'cancelling') {
+    etaEl.textContent = getMessage('scrapeCancelling');
+  } else if (status.state === 'waitingLogin') {
+    etaEl.textContent = getMessage('scrapeWaitingLogin');
+  } else if (isPaused) {
+    etaEl.textContent = getMessage('scrapePaused');
+  } else {
+    etaEl.textContent = formatEta(status.etaSeconds);
+  }
+}
+
+// Hide live scraping status when the run has ended
+function hideScrapeStatus() {
+  document.getElementById('scrapeStatus').classList.add('hidden');
+  document.getElementById('scrapeWeekList').innerHTML = '';
+}
+
+// Render the weeks that still failed after all retries (hidden when there are none)
+function renderFailedWeeksReport(report) {
+  const container = document.getElementById('failedWeeksReport');
+  const list = document.getElementById('failedWeeksList');
+  
+  list.innerHTML = '';
+  if (!report || !report.weeks || report.weeks.length === 0) {
+    container.classList.add('hidden');
+    return;
+  }
+  
+  document.getElementById('failedWeeksTitle').textContent = getMessage('failedWeeksTitle', [report.weeks.length.toString()]);
+  report.weeks.forEach(failure => {
+    const item = document.createElement('li');
+    item.className = 'scrape-week-item failed';
+    item.title = failure.error;
+    const text = document.createElement('span');
+    text.textContent = `${failure.week} (${failure.year})`;
+    const statusText = document.createElement('span');
+    statusText.className = 'scrape-week-status';
+    statusText.textContent = getMessage('scrapeWeekFailed');
+    item.appendChild(text);
+    item.appendChild(statusText);
+    list.appendChild(item);
+  });
+  container.classList.remove('hidden');
+}
+
+// Parse "30, 15" into reminder offsets in minutes (invalid entries are dropped)
+function parseReminderMinutes(text) {
+  return text.split(/[,\s]+/)
+    .map(part => parseInt(part, 10))
+    .filter(minutes => !isNaN(minutes) && minutes >= 0);
+}
+
+// Build a <select> for one reminder rule condition
+function createRuleSelect(options, value, onChange) {
+  const select = document.createElement('select');
+  options.forEach(([optionValue, messageKey]) => {
+    const option = document.createElement('option');
+    option.value = optionValue;
+    option.textContent = getMessage(messageKey);
+    select.appendChild(option);
+  });
+  select.value = value || 'any';
+  select.addEventListener('change', () => onChange(select.value));
+  return select;
+}
+
+// Wrap a rule field with its label
+function createRuleField(labelKey, input) {
+  const field = document.createElement('label');
+  field.className = 'reminder-rule-field';
+  const label = document.createElement('span');
+  label.textContent = getMessage(labelKey);
+  field.appendChild(label);
+  field.appendChild(input);
+  return field;
+}
+
+// Render the reminder rules editor; onChange receives the updated rules list
+function renderReminderRules(rules, onChange) {
+  const container = document.getElementById('reminderRulesList');
+  container.innerHTML = '';
+  
+  rules.forEach((rule, index) => {
+    const conditions = rule.conditions || {};
+    const updateConditions = (changes) => {
+      const updated = rules.slice();
+      updated[index] = { ...rule, conditions: { ...conditions, ...changes } };
+      onChange(updated);
+    };
+    
+    const ruleEl = document.createElement('div');
+    ruleEl.className = 'reminder-rule';
+    
+    const header = document.createElement('div');
+    header.className = 'reminder-rule-header';
+    const title = document.createElement('span');
+    title.textContent = getMessage('reminderRuleTitle', [(index + 1).toString()]);
+    header.appendChild(title);
+    
+    const moveUpButton = document.createElement('button');
+    moveUpButton.type = 'button';
+    moveUpButton.className = 'btn-outline reminder-rule-button';
+    moveUpButton.textContent = '↑';
+    moveUpButton.title = getMessage('reminderRuleMoveUp');
+    moveUpButton.disabled = index === 0;
+    moveUpButton.addEventListener('click', () => {
+      const updated = rules.slice();
+      [updated[index - 1], updated[index]] = [updated[index], updated[index - 1]];
+      onChange(updated);
+    });
+    
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.className = 'btn-outline reminder-rule-button';
+    deleteButton.textContent = '✕';
+    deleteButton.title = getMessage('reminderRuleDelete');
+    deleteButton.addEventListener('click', () => {
+      onChange(rules.filter((_, ruleIndex) => ruleIndex !== index));
+    });
+    
+    header.appendChild(moveUpButton);
+    header.appendChild(deleteButton);
+    ruleEl.appendChild(header);
+    
+    const fields = document.createElement('div');
+    fields.className = 'reminder-rule-fields';
+    
+    fields.appendChild(createRuleField('reminderRuleType', createRuleSelect([
+      ['any', 'reminderRuleAny'],
+      ['class', 'reminderRuleTypeClass'],
+      ['exam', 'reminderRuleTypeExam']
+    ], conditions.recordType, (value) => updateConditions({ recordType: value }))));
+    
+    fields.appendChild(createRuleField('reminderRuleMode', createRuleSelect([
+      ['any', 'reminderRuleAny'],
+      ['online', 'reminderRuleModeOnline'],
+      ['offline', 'reminderRuleModeOffline']
+    ], conditions.mode, (value) => updateConditions({ mode: value }))));
+    
+    fields.appendChild(createRuleField('reminderRuleFirstOfDay', createRuleSelect([
+      ['any', 'reminderRuleAny'],
+      ['yes', 'reminderRuleFirstOfDayYes'],
+      ['no', 'reminderRuleFirstOfDayNo']
+    ], conditions.firstOfDay, (value) => updateConditions({ firstOfDay: value }))));
+    
+    const subjectsInput = document.createElement('input');
+    subjectsInput.type = 'text';
+    subjectsInput.placeholder = getMessage('reminderRuleSubjectsPlaceholder');
+    subjectsInput.value = (conditions.subjectCodes || []).join(', ');
+    subjectsInput.addEventListener('change', () => {
+      const subjectCodes = subjectsInput.value.split(/[,\s]+/).map(code => code.trim().toUpperCase()).filter(Boolean);
+      updateConditions({ subjectCodes });
+    });
+    fields.appendChild(createRuleField('reminderRuleSubjects', subjectsInput));
+    
+    const timeFromInput = document.createElement('input');
+    timeFromInput.type = 'time';
+    timeFromInput.value = conditions.timeFrom || '';
+    timeFromInput.addEventListener('change', () => updateConditions({ timeFrom: timeFromInput.value }));
+    fields.appendChild(createRuleField('reminderRuleTimeFrom', timeFromInput));
+    
+    const timeToInput = document.createElement('input');
+    timeToInput.type = 'time';
+    timeToInput.value = conditions.timeTo || '';
+    timeToInput.addEventListener('change', () => updateConditions({ timeTo: timeToInput.value }));
+    fields.appendChild(createRuleField('reminderRuleTimeTo', timeToInput));
+    
+    const alarmsInput = document.createElement('input');
+    alarmsInput.type = 'text';
+    alarmsInput.placeholder = getMessage('reminderRuleAlarmsPlaceholder');
+    alarmsInput.value = (rule.alarms || []).join(', ');
+    alarmsInput.addEventListener('change', () => {
+      const updated = rules.slice();
+      updated[index] = { ...rule, alarms: parseReminderMinutes(alarmsInput.value) };
+      onChange(updated);
+    });
+    const alarmsField = createRuleField('reminderRuleAlarms', alarmsInput);
+    alarmsField.classList.add('reminder-rule-field-wide');
+    fields.appendChild(alarmsField);
+    
+    ruleEl.appendChild(fields);
+    container.appendChild(ruleEl);
+  });
+}
+
 // Theme management
 function getSystemTheme() {
   return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
@@ -149,6 +426,7 @@ async function initPopup() {
   document.getElementById('startDateLabel').textContent = getMessage('startDateLabel');
   document.getElementById('endDateLabel').textContent = getMessage('endDateLabel');
   document.getElementById('waitTimeLabel').textContent = getMessage('waitTimeLabel');
+  document.getElementById('waitTimeHint').textContent = getMessage('waitTimeHint');
   document.getElementById('advancedSettingsText').textContent = getMessage('advancedSettings');
   document.getElementById('aboutTitle').textContent = getMessage('aboutTitle');
   document.getElementById('aboutVersionLabel').textContent = getMessage('aboutVersionLabel');
@@ -166,9 +444,81 @@ async function initPopup() {
   document.getElementById('themeSystemOption').textContent = getMessage('themeSystem');
   document.getElementById('themeLightOption').textContent = getMessage('themeLight');
   document.getElementById('themeDarkOption').textContent = getMessage('themeDark');
+  document.getElementById('scrapeEngineLabel').textContent = getMessage('scrapeEngineLabel');
+  document.getElementById('scrapeEngineTabOption').textContent = getMessage('scrapeEngineTab');
+  document.getElementById('scrapeEngineFetchOption').textContent = getMessage('scrapeEngineFetch');
+  document.getElementById('scrapeEngineHint').textContent = getMessage('scrapeEngineHint');
+  document.getElementById('enrichActivityDetailsLabel').textContent = getMessage('enrichActivityDetailsLabel');
+  document.getElementById('enrichActivityDetailsHint').textContent = getMessage('enrichActivityDetailsHint');
+  document.getElementById('extractExamsLabel').textContent = getMessage('extractExamsLabel');
+  document.getElementById('extractExamsHint').textContent = getMessage('extractExamsHint');
+  document.getElementById('icsExportModeLabel').textContent = getMessage('icsExportModeLabel');
+  document.getElementById('icsExportModeSingleOption').textContent = getMessage('icsExportModeSingle');
+  document.getElementById('icsExportModeSeriesOption').textContent = getMessage('icsExportModeSeries');
+  document.getElementById('icsExportModeHint').textContent = getMessage('icsExportModeHint');
+  document.getElementById('icsTimeModeLabel').textContent = getMessage('icsTimeModeLabel');
+  document.getElementById('icsTimeModeTzidOption').textContent = getMessage('icsTimeModeTzid');
+  document.getElementById('icsTimeModeUtcOption').textContent = getMessage('icsTimeModeUtc');
+  document.getElementById('icsTimeModeHint').textContent = getMessage('icsTimeModeHint');
+  document.getElementById('icsCancelModeLabel').textContent = getMessage('icsCancelModeLabel');
+  document.getElementById('icsCancelModeStatusOption').textContent = getMessage('icsCancelModeStatus');
+  document.getElementById('icsCancelModeFileOption').textContent = getMessage('icsCancelModeFile');
+  document.getElementById('icsCancelModeNoneOption').textContent = getMessage('icsCancelModeNone');
+  document.getElementById('icsCancelModeHint').textContent = getMessage('icsCancelModeHint');
+  document.getElementById('reminderRulesTitle').textContent = getMessage('reminderRulesTitle');
+  document.getElementById('reminderRulesHint').textContent = getMessage('reminderRulesHint');
+  document.getElementById('addReminderRuleButton').textContent = getMessage('reminderRulesAdd');
+  document.getElementById('resetReminderRulesButton').textContent = getMessage('reminderRulesReset');
+  document.getElementById('autoSyncTitle').textContent = getMessage('autoSyncTitle');
+  document.getElementById('autoSyncEnabledLabel').textContent = getMessage('autoSyncEnabledLabel');
+  document.getElementById('autoSyncIntervalLabel').textContent = getMessage('autoSyncIntervalLabel');
+  document.getElementById('autoSyncIntervalDailyOption').textContent = getMessage('autoSyncIntervalDaily');
+  document.getElementById('autoSyncInterval12hOption').textContent = getMessage('autoSyncInterval12h');
+  document.getElementById('autoSyncInterval6hOption').textContent = getMessage('autoSyncInterval6h');
+  document.getElementById('autoSyncWeeksAheadLabel').textContent = getMessage('autoSyncWeeksAheadLabel');
+  document.getElementById('pauseScrapeButton').textContent = getMessage('scrapePause');
+  document.getElementById('cancelScrapeButton').textContent = getMessage('scrapeCancel');
+  document.getElementById('retryFailedWeeksButton').textContent = getMessage('retryFailedWeeksButton');
+  document.getElementById('cancelScrapeTitle').textContent = getMessage('scrapeCancelTitle');
+  document.getElementById('cancelScrapeQuestion').textContent = getMessage('scrapeCancelQuestion');
+  document.getElementById('cancelScrapeKeepText').textContent = getMessage('scrapeCancelKeep');
+  document.getElementById('cancelScrapeDiscardText').textContent = getMessage('scrapeCancelDiscard');
+  document.getElementById('cancelScrapeBackText').textContent = getMessage('scrapeCancelBack');
   document.getElementById('scrapeButtonText').textContent = getMessage('scrapeButton');
   document.getElementById('previewButtonText').textContent = getMessage('previewButton');
   document.getElementById('exportButtonText').textContent = getMessage('exportButton');
+  document.getElementById('exportDialogTitle').textContent = getMessage('exportDialogTitle');
+  document.getElementById('exportFormatLabel').textContent = getMessage('exportFormatLabel');
+  document.getElementById('exportFormatIcsOption').textContent = getMessage('exportFormatIcs');
+  document.getElementById('exportFormatCsvOption').textContent = getMessage('exportFormatCsv');
+  document.getElementById('exportFormatXlsxOption').textContent = getMessage('exportFormatXlsx');
+  document.getElementById('exportColumnsLabel').textContent = getMessage('exportColumnsLabel');
+  document.getElementById('exportColumnsHint').textContent = getMessage('exportColumnsHint');
+  document.getElementById('exportSavedFilterLabel').textContent = getMessage('exportSavedFilterLabel');
+  document.getElementById('exportDateFromLabel').textContent = getMessage('exportDateFrom');
+  document.getElementById('exportDateToLabel').textContent = getMessage('exportDateTo');
+  document.getElementById('exportSubjectsLabel').textContent = getMessage('exportSubjectsLabel');
+  document.getElementById('exportRecordTypesLabel').textContent = getMessage('exportRecordTypesLabel');
+  document.getElementById('exportRecordTypesAllOption').textContent = getMessage('exportRecordTypesAll');
+  document.getElementById('exportRecordTypesClassesOption').textContent = getMessage('exportRecordTypesClasses');
+  document.getElementById('exportRecordTypesExamsOption').textContent = getMessage('exportRecordTypesExams');
+  document.getElementById('exportModeLabel').textContent = getMessage('exportModeLabel');
+  document.getElementById('exportModeAllOption').textContent = getMessage('filterAll');
+  document.getElementById('exportModeOnlineOption').textContent = getMessage('filterOnline');
+  document.getElementById('exportModeOfflineOption').textContent = getMessage('filterOffline');
+  document.getElementById('exportStatusLabel').textContent = getMessage('exportStatusLabel');
+  document.getElementById('exportStatusNotYetLabel').textContent = getMessage('statusNotYet');
+  document.getElementById('exportStatusAttendedLabel').textContent = getMessage('statusAttended');
+  document.getElementById('exportStatusAbsentLabel').textContent = getMessage('statusAbsent');
+  document.getElementById('exportOutputLabel').textContent = getMessage('exportOutputLabel');
+  document.getElementById('exportOutputSingleOption').textContent = getMessage('exportOutputSingle');
+  document.getElementById('exportOutputBySubjectOption').textContent = getMessage('exportOutputBySubject');
+  document.getElementById('exportOutputHint').textContent = getMessage('exportOutputHint');
+  document.getElementById('exportConflictLabel').textContent = getMessage('exportConflictLabel');
+  document.getElementById('exportConflictIncludeOption').textContent = getMessage('exportConflictInclude');
+  document.getElementById('exportConflictSkipOption').textContent = getMessage('exportConflictSkip');
+  document.getElementById('exportResolveConflictsButton').textContent = getMessage('exportConflictResolve');
+  document.getElementById('exportConfirmText').textContent = getMessage('exportConfirm');
   document.getElementById('progress').textContent = getMessage('progressDefault');
   
   // Set page title
@@ -270,6 +620,8 @@ async function initPopup() {
         helpOverlay.classList.remove('active');
       } else if (settingsOverlay.classList.contains('active')) {
         closeSettingsOverlay();
+      } else if (document.getElementById('exportOverlay').classList.contains('active')) {
+        document.getElementById('exportOverlay').classList.remove('active');
       }
     }
   });
@@ -428,11 +780,158 @@ async function initPopup() {
     }
   });
 
+  // Extraction engine setting ('tab' drives a FAP tab, 'fetch' replays postbacks headlessly)
+  const scrapeEngineSelect = document.getElementById('scrapeEngine');
+  const engineResult = await chrome.storage.local.get(['scrapeEngine']);
+  scrapeEngineSelect.value = engineResult.scrapeEngine || 'tab';
+  scrapeEngineSelect.addEventListener('change', (e) => {
+    chrome.storage.local.set({ scrapeEngine: e.target.value });
+  });
+
+  // Session details enrichment (fetches every ActivityDetail page after a run)
+  const enrichActivityDetailsInput = document.getElementById('enrichActivityDetails');
+  const enrichResult = await chrome.storage.local.get(['enrichActivityDetails']);
+  enrichActivityDetailsInput.checked = enrichResult.enrichActivityDetails === true;
+  enrichActivityDetailsInput.addEventListener('change', (e) => {
+    chrome.storage.local.set({ enrichActivityDetails: e.target.checked });
+  });
+  
+  // Exam schedule extraction (on by default)
+  const extractExamsInput = document.getElementById('extractExams');
+  const examsResult = await chrome.storage.local.get(['extractExams']);
+  extractExamsInput.checked = examsResult.extractExams !== false;
+  extractExamsInput.addEventListener('change', (e) => {
+    chrome.storage.local.set({ extractExams: e.target.checked });
+  });
+  
+  // ICS export mode (one event per session, or weekly series with RRULE)
+  const icsExportModeSelect = document.getElementById('icsExportMode');
+  const exportModeResult = await chrome.storage.local.get(['icsExportMode']);
+  icsExportModeSelect.value = exportModeResult.icsExportMode || 'single';
+  icsExportModeSelect.addEventListener('change', (e) => {
+    chrome.storage.local.set({ icsExportMode: e.target.value });
+  });
+  
+  // ICS time mode (Vietnam local time with VTIMEZONE, or UTC)
+  const icsTimeModeSelect = document.getElementById('icsTimeMode');
+  const timeModeResult = await chrome.storage.local.get(['icsTimeMode']);
+  icsTimeModeSelect.value = timeModeResult.icsTimeMode || 'tzid';
+  icsTimeModeSelect.addEventListener('change', (e) => {
+    chrome.storage.local.set({ icsTimeMode: e.target.value });
+  });
+  
+  // How sessions removed since the last export are written
+  const icsCancelModeSelect = document.getElementById('icsCancelMode');
+  const cancelModeResult = await chrome.storage.local.get(['icsCancelMode']);
+  icsCancelModeSelect.value = cancelModeResult.icsCancelMode || 'status';
+  icsCancelModeSelect.addEventListener('change', (e) => {
+    chrome.storage.local.set({ icsCancelMode: e.target.value });
+  });
+
+  // Reminder rules for exported events (DEFAULT_REMINDER_RULES from ics-export.js until edited)
+  const reminderRulesResult = await chrome.storage.local.get(['reminderRules']);
+  let reminderRules = reminderRulesResult.reminderRules || DEFAULT_REMINDER_RULES;
+  const saveReminderRules = (rules) => {
+    reminderRules = rules;
+    chrome.storage.local.set({ reminderRules: rules });
+    renderReminderRules(rules, saveReminderRules);
+  };
+  renderReminderRules(reminderRules, saveReminderRules);
+  
+  document.getElementById('addReminderRuleButton').addEventListener('click', () => {
+    saveReminderRules(reminderRules.concat([{ conditions: {}, alarms: [15] }]));
+  });
+  
+  document.getElementById('resetReminderRulesButton').addEventListener('click', async () => {
+    if (!confirm(getMessage('confirmResetReminderRules'))) {
+      return;
+    }
+    await chrome.storage.local.remove(['reminderRules']);
+    reminderRules = DEFAULT_REMINDER_RULES;
+    renderReminderRules(reminderRules, saveReminderRules);
+  });
+
+  // Auto sync settings
+  const autoSyncEnabledInput = document.getElementById('autoSyncEnabled');
+  const autoSyncIntervalSelect = document.getElementById('autoSyncInterval');
+  const autoSyncWeeksAheadInput = document.getElementById('autoSyncWeeksAhead');
+  const autoSyncLastRunEl = document.getElementById('autoSyncLastRun');
+  
+  const autoSyncSettings = await chrome.storage.local.get([
+    'autoSyncEnabled',
+    'autoSyncIntervalHours',
+    'autoSyncWeeksAhead',
+    'autoSyncLastRun'
+  ]);
+  autoSyncEnabledInput.checked = autoSyncSettings.autoSyncEnabled === true;
+  autoSyncIntervalSelect.value = String(autoSyncSettings.autoSyncIntervalHours || AUTO_SYNC.DEFAULT_INTERVAL_HOURS);
+  autoSyncWeeksAheadInput.value = autoSyncSettings.autoSyncWeeksAhead || AUTO_SYNC.DEFAULT_WEEKS_AHEAD;
+  autoSyncIntervalSelect.disabled = !autoSyncEnabledInput.checked;
+  autoSyncWeeksAheadInput.disabled = !autoSyncEnabledInput.checked;
+  
+  // Show result of the last auto sync run
+  const lastRun = autoSyncSettings.autoSyncLastRun;
+  if (!lastRun) {
+    autoSyncLastRunEl.textContent = getMessage('autoSyncNeverRun');
+  } else {
+    const lastRunTime = new Date(lastRun.timestamp);
+    const timeText = `${formatDate(lastRunTime)} ${String(lastRunTime.getHours()).padStart(2, '0')}:${String(lastRunTime.getMinutes()).padStart(2, '0')}`;
+    autoSyncLastRunEl.textContent = lastRun.success
+      ? getMessage('autoSyncLastRunSuccess', [timeText, String(lastRun.classCount)])
+      : getMessage('autoSyncLastRunFailed', [timeText]);
+  }
+  
+  // Save auto sync settings and let background reschedule the alarm
+  async function saveAutoSyncSettings() {
+    let weeksAhead = parseInt(autoSyncWeeksAheadInput.value, 10);
+    if (isNaN(weeksAhead) || weeksAhead < 1) {
+      weeksAhead = 1;
+    } else if (weeksAhead > AUTO_SYNC.MAX_WEEKS_AHEAD) {
+      weeksAhead = AUTO_SYNC.MAX_WEEKS_AHEAD;
+    }
+    autoSyncWeeksAheadInput.value = weeksAhead;
+    autoSyncIntervalSelect.disabled = !autoSyncEnabledInput.checked;
+    autoSyncWeeksAheadInput.disabled = !autoSyncEnabledInput.checked;
+    
+    await chrome.storage.local.set({
+      autoSyncEnabled: autoSyncEnabledInput.checked,
+      autoSyncIntervalHours: parseInt(autoSyncIntervalSelect.value, 10),
+      autoSyncWeeksAhead: weeksAhead
+    });
+    chrome.runtime.sendMessage({ action: 'autoSyncSettingsChanged' }).catch(() => {
+      // Ignore errors if background is not reachable
+    });
+  }
+  
+  autoSyncEnabledInput.addEventListener('change', saveAutoSyncSettings);
+  autoSyncIntervalSelect.addEventListener('change', saveAutoSyncSettings);
+  autoSyncWeeksAheadInput.addEventListener('change', saveAutoSyncSettings);
+
   // Get button references early so they're available in all handlers
   const scrapeButton = document.getElementById('scrapeButton');
   const previewButton = document.getElementById('previewButton');
   const exportButton = document.getElementById('exportButton');
   const progress = document.getElementById('progress');
+  const pauseScrapeButton = document.getElementById('pauseScrapeButton');
+  const cancelScrapeButton = document.getElementById('cancelScrapeButton');
+  const retryFailedWeeksButton = document.getElementById('retryFailedWeeksButton');
+  
+  // Re-arms the response timeout of a running scrape (set while waiting for the response)
+  let rearmScrapeTimeout = null;
+
+  // Pause/Resume and Cancel drive the loop in the background script
+  pauseScrapeButton.addEventListener('click', () => {
+    const isPaused = pauseScrapeButton.dataset.paused === 'true';
+    chrome.runtime.sendMessage({ action: isPaused ? 'resumeScraping' : 'pauseScraping' }).catch(() => {});
+  });
+  
+  cancelScrapeButton.addEventListener('click', async () => {
+    const choice = await showCancelScrapeDialog();
+    if (choice === null) {
+      return; // Continue scraping
+    }
+    chrome.runtime.sendMessage({ action: 'cancelScraping', keepPartial: choice === 'keep' }).catch(() => {});
+  });
 
   // Scrape button handler
   scrapeButton.addEventListener('click', async () => {
@@ -470,8 +969,46 @@ async function initPopup() {
     }
     // If no existing data, proceed directly (mergeMode stays false)
 
+    await requestScrape({ startDate, endDate, waitTime, mergeMode });
+  });
+
+  // Retry only the weeks of the failed weeks report, merged into the stored schedule
+  retryFailedWeeksButton.addEventListener('click', async () => {
+    if (!isWaitTimeValid()) {
+      settingsOverlay.classList.add('active');
+      validateWaitTime(waitTimeInput.value, true);
+      alert(getMessage('errorWaitTimeInvalid'));
+      return;
+    }
+    
+    const { lastFailedWeeks } = await chrome.storage.local.get(['lastFailedWeeks']);
+    if (!lastFailedWeeks || lastFailedWeeks.weeks.length === 0) {
+      renderFailedWeeksReport(null);
+      return;
+    }
+    
+    // One run per dropdown year: retry the weeks of the first year, the rest stay in the report
+    const year = lastFailedWeeks.weeks[0].year;
+    const weeks = lastFailedWeeks.weeks.filter(failure => failure.year === year);
+    const startDate = weeks.map(failure => failure.startDate).sort()[0];
+    const endDate = weeks.map(failure => failure.endDate).sort()[weeks.length - 1];
+    
+    await requestScrape({
+      startDate,
+      endDate,
+      waitTime: parseInt(document.getElementById('waitTime').value, 10),
+      mergeMode: true,
+      onlyWeeks: weeks.map(failure => failure.week),
+      year
+    });
+  });
+
+  // Send a scrape request to the background and show its outcome
+  // request: { startDate, endDate, waitTime, mergeMode, [onlyWeeks, year] }
+  async function requestScrape(request) {
     // Disable button and show progress
     scrapeButton.disabled = true;
+    retryFailedWeeksButton.disabled = true;
     progress.className = 'progress loading';
     progress.textContent = getMessage('progressInitializing');
 
@@ -480,17 +1017,19 @@ async function initPopup() {
       progress.textContent = getMessage('progressSending');
       
       const response = await new Promise((resolve, reject) => {
-        // Set timeout
-        const timeout = setTimeout(() => {
-          reject(new Error('Timeout: Không nhận được phản hồi sau 30 giây. Vui lòng kiểm tra console của background script.'));
-        }, WAIT_TIMES.SCRAPING_TIMEOUT);
+        // Set timeout (re-armed on every status update, so long or paused runs don't time out)
+        let timeout = null;
+        rearmScrapeTimeout = () => {
+          clearTimeout(timeout);
+          timeout = setTimeout(() => {
+            reject(new Error('Timeout: Không nhận được phản hồi sau 30 giây. Vui lòng kiểm tra console của background script.'));
+          }, WAIT_TIMES.SCRAPING_TIMEOUT);
+        };
+        rearmScrapeTimeout();
         
         chrome.runtime.sendMessage({
           action: 'startScraping',
-          startDate,
-          endDate,
-          waitTime,
-          mergeMode: mergeMode
+          ...request
         }, (response) => {
           clearTimeout(timeout);
           
@@ -513,11 +1052,14 @@ async function initPopup() {
       if (response.success) {
         // Show success message
         progress.className = 'progress success';
-        progress.textContent = getMessage('progressSuccess');
+        progress.textContent = response.cancelled
+          ? getMessage('progressCancelledKept')
+          : getMessage('progressSuccess');
         
-        // Log errors if any
+        // Weeks that still failed after all retries are listed in the failed weeks report
         if (response.errors && response.errors.length > 0) {
           console.log('Các tuần không thể trích xuất:', response.errors);
+          progress.textContent = getMessage('progressSuccessWithFailures', [response.errors.length.toString()]);
         }
         
         // Enable export button
@@ -535,6 +1077,13 @@ async function initPopup() {
           errorMsg = getMessage('errorNotLoggedIn');
         } else if (errorMsg === 'NAVIGATION_FAILED') {
           errorMsg = getMessage('errorNavigation');
+        } else if (errorMsg === 'SCRAPING_IN_PROGRESS') {
+          errorMsg = getMessage('errorScrapingInProgress');
+        } else if (errorMsg === 'SCRAPING_CANCELLED') {
+          // Cancelled by the user and extracted weeks were discarded, not an error
+          progress.className = 'progress';
+          progress.textContent = getMessage('progressCancelledDiscarded');
+          return;
         }
         throw new Error(errorMsg);
       }
@@ -543,33 +1092,91 @@ async function initPopup() {
       progress.textContent = `${getMessage('errorPrefix')} ${error.message}`;
       console.error('Scraping error:', error);
     } finally {
+      rearmScrapeTimeout = null;
       scrapeButton.disabled = false;
+      retryFailedWeeksButton.disabled = false;
+      hideScrapeStatus();
     }
-  });
+  }
 
   // Preview button handler
   previewButton.addEventListener('click', () => {
     chrome.tabs.create({ url: chrome.runtime.getURL('calendar.html') });
   });
 
-  // Export button handler
+  // Export dialog: pick what to export, then write one file or one file per subject
+  const exportOverlay = document.getElementById('exportOverlay');
+  
+  // Filters from the calendar's filter builder, by option value of #exportSavedFilter
+  let exportFilterChoices = {};
+  
   exportButton.addEventListener('click', async () => {
+    const result = await chrome.storage.local.get(['scrapedClasses', 'scrapedExams', 'savedFilters', 'activeFilter']);
+    const records = (result.scrapedClasses || []).concat(result.scrapedExams || []);
+    
+    // Saved filters, starting with the one in use in the calendar
+    const savedFilterSelect = document.getElementById('exportSavedFilter');
+    savedFilterSelect.innerHTML = '';
+    exportFilterChoices = {};
+    const addFilterChoice = (value, label, filter) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      savedFilterSelect.appendChild(option);
+      exportFilterChoices[value] = filter;
+    };
+    // Saved filters by index, so no filter name can collide with the other options
+    const savedFilters = result.savedFilters || [];
+    addFilterChoice('', getMessage('filterNone'), null);
+    savedFilters.forEach((saved, index) => addFilterChoice(String(index), saved.name, saved.filter));
+    const activeFilter = result.activeFilter || null;
+    if (activeFilter && !activeFilter.name) {
+      addFilterChoice('__unsaved', getMessage('filterUnsaved'), activeFilter.filter);
+    }
+    if (!activeFilter) {
+      savedFilterSelect.value = '';
+    } else {
+      savedFilterSelect.value = activeFilter.name
+        ? String(savedFilters.findIndex(saved => saved.name === activeFilter.name))
+        : '__unsaved';
+    }
+    
+    await fillExportDialog(records, 'checkbox-label');
+    
+    exportOverlay.classList.add('active');
+  });
+  
+  // Columns for CSV/XLSX, file layout for ICS
+  document.getElementById('exportFormat').addEventListener('change', updateExportFormatFields);
+  
+  // Conflicts are listed in the sidebar of the calendar's list view
+  document.getElementById('exportResolveConflictsButton').addEventListener('click', async () => {
+    await chrome.storage.local.set({ calendarView: 'list' });
+    chrome.tabs.create({ url: chrome.runtime.getURL('calendar.html') });
+  });
+  
+  document.getElementById('exportOverlayClose').addEventListener('click', () => {
+    exportOverlay.classList.remove('active');
+  });
+  
+  exportOverlay.addEventListener('click', (e) => {
+    if (e.target === exportOverlay) {
+      exportOverlay.classList.remove('active');
+    }
+  });
+  
+  document.getElementById('exportConfirmButton').addEventListener('click', async () => {
     try {
-      // Get classes from storage
-      const result = await chrome.storage.local.get(['scrapedClasses']);
-      const classes = result.scrapedClasses || [];
-      
-      if (classes.length === 0) {
-        alert('Không có dữ liệu lớp học để xuất. Vui lòng trích xuất lịch học trước.');
+      const exportedCount = await runExportDialog(exportFilterChoices[document.getElementById('exportSavedFilter').value]);
+      if (exportedCount === null) {
         return;
       }
       
-      // Export to ICS
-      exportToIcs(classes);
+      exportOverlay.classList.remove('active');
       
       // Show success message
       progress.className = 'progress success';
-      progress.textContent = `Đã xuất ${classes.length} lớp học thành công!`;
+      progress.textContent = `Đã xuất ${exportedCount} lớp học thành công!`;
       
       // Reset progress after configured delay
       setTimeout(() => {
@@ -578,6 +1185,7 @@ async function initPopup() {
       }, WAIT_TIMES.PROGRESS_RESET_DELAY);
     } catch (error) {
       console.error('Export error:', error);
+      exportOverlay.classList.remove('active');
       progress.className = 'progress error';
       progress.textContent = `Lỗi xuất file: ${error.message}`;
       
@@ -591,25 +1199,81 @@ async function initPopup() {
 
   // Check if there's existing scraped data to enable export button
   async function checkExistingData() {
-    const result = await chrome.storage.local.get(['scrapedClasses']);
-    if (result.scrapedClasses && result.scrapedClasses.length > 0) {
+    const result = await chrome.storage.local.get(['scrapedClasses', 'scrapedExams']);
+    if ((result.scrapedClasses && result.scrapedClasses.length > 0) ||
+        (result.scrapedExams && result.scrapedExams.length > 0)) {
       document.getElementById('exportButton').disabled = false;
     }
   }
   checkExistingData();
+
+  // Failed weeks report from the last runs (manual or auto sync); kept in sync with storage
+  chrome.storage.local.get(['lastFailedWeeks']).then(({ lastFailedWeeks }) => {
+    renderFailedWeeksReport(lastFailedWeeks);
+  });
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.lastFailedWeeks) {
+      renderFailedWeeksReport(changes.lastFailedWeeks.newValue);
+    }
+  });
   
   // Preview button is always enabled (no need to check for data)
   previewButton.disabled = false;
 
+  // Popup opened while a run is active (e.g. reopened mid-run): show its status
+  chrome.runtime.sendMessage({ action: 'getScrapeStatus' }).then((response) => {
+    if (response && response.inProgress) {
+      scrapeButton.disabled = true;
+      progress.className = 'progress loading';
+      progress.textContent = getMessage('progressInitializing');
+      if (response.status) {
+        renderScrapeStatus(response.status);
+        progress.textContent = getMessage('progressScraping', [response.status.currentWeek, response.status.totalWeeks]);
+      }
+    }
+  }).catch(() => {
+    // Background not reachable, nothing to show
+  });
+
   // Listen for progress updates from background
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    if (message.action === 'progressUpdate') {
+    if (message.action === 'scrapeStatus') {
+      if (!message.status) {
+        // Run ended; the popup that started it re-enables the button when the response arrives
+        hideScrapeStatus();
+        if (!rearmScrapeTimeout) {
+          scrapeButton.disabled = false;
+        }
+      } else {
+        renderScrapeStatus(message.status);
+        if (rearmScrapeTimeout) {
+          rearmScrapeTimeout();
+        }
+      }
+    } else if (message.action === 'progressUpdate') {
       progress.className = 'progress loading';
       progress.textContent = getMessage('progressScraping', [message.currentWeek, message.totalWeeks]);
+    } else if (message.action === 'enrichProgress') {
+      // Session details are fetched after the weeks, before the response arrives
+      progress.className = 'progress loading';
+      progress.textContent = getMessage('progressEnriching', [message.current.toString(), message.total.toString()]);
+      if (rearmScrapeTimeout) {
+        rearmScrapeTimeout();
+      }
+    } else if (message.action === 'examProgress') {
+      // The exam schedule is read after the weeks
+      progress.className = 'progress loading';
+      progress.textContent = getMessage('progressExams');
+      if (rearmScrapeTimeout) {
+        rearmScrapeTimeout();
+      }
     } else if (message.action === 'scrapingComplete') {
       // Update progress to show completion with week count
       progress.className = 'progress success';
-      if (message.totalWeeks !== undefined && message.successCount !== undefined) {
+      hideScrapeStatus();
+      if (message.cancelled) {
+        progress.textContent = getMessage('progressCancelledWithWeeks', [message.successCount.toString(), message.totalWeeks.toString()]);
+      } else if (message.totalWeeks !== undefined && message.successCount !== undefined) {
         progress.textContent = getMessage('progressSuccessWithWeeks', [message.successCount.toString(), message.totalWeeks.toString()]);
       } else {
         progress.textContent = getMessage('progressSuccess');
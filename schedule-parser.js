@@ -0,0 +1,666 @@
+// Schedule parser for the FPTU FAP timetable page (ScheduleOfWeek.aspx), session pages
+// (ActivityDetail.aspx), the exam schedule (ScheduleExams.aspx) and the attendance report
+// (ViewAttendstudent.aspx)
+// Shared by the content script (live FAP tab) and the offscreen document (fetched HTML),
+// so both extraction engines follow exactly the same parsing rules.
+// Only function declarations at the top level: this file is injected again on every page load.
+
+// Parse time from string like "(7:30-9:00)" or "(12:50-15:10)"
+function parseTime(timeStr) {
+  const match = timeStr.match(/\((\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})\)/);
+  if (!match) return null;
+  
+  return {
+    start: `${match[1].padStart(2, '0')}:${match[2]}`,
+    end: `${match[3].padStart(2, '0')}:${match[4]}`
+  };
+}
+
+// Extract slot number from text like "Slot 1" or "Slot 12"
+function extractSlotNumber(slotText) {
+  const match = slotText.match(/Slot\s+(\d+)/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Parse date from DD/MM format and return as YYYY-MM-DD string
+// This avoids timezone issues with Date objects
+function parseDate(dateStr, year) {
+  const [day, month] = dateStr.split('/').map(Number);
+  const dayStr = String(day).padStart(2, '0');
+  const monthStr = String(month).padStart(2, '0');
+  return {
+    date: `${year}-${monthStr}-${dayStr}`,
+    dateObj: new Date(year, month - 1, day)
+  };
+}
+
+// Extract class information from a cell
+function extractClassFromCell(cell, dayIndex, dates, baseYear, slotNumber, weekSpansBoundary, selectedYear) {
+  const classes = [];
+  
+  // Check if cell is empty - but be careful, "-" might be in a text node
+  const cellText = cell.textContent.trim();
+  if (cellText === '-' || cellText === '' || cellText === 'Slot') {
+    return classes;
+  }
+  
+  // Check if cell has any class links - this is the most reliable indicator
+  const allLinks = cell.querySelectorAll('a[href*="ActivityDetail"]');
+  if (allLinks.length === 0) {
+    return classes;
+  }
+  
+  // Get all paragraph elements in cell (each represents a class)
+  const paragraphs = cell.querySelectorAll('p');
+  
+  if (paragraphs.length === 0) {
+    // Try to extract from cell directly if no paragraphs
+    allLinks.forEach(link => {
+      const classData = extractClassData(link, cell, dayIndex, dates, baseYear, slotNumber, weekSpansBoundary, selectedYear);
+      if (classData) {
+        classes.push(classData);
+        console.log(`Extracted class: ${classData.subjectCode} from cell (no paragraphs)`);
+      }
+    });
+  } else {
+    // Extract from each paragraph
+    paragraphs.forEach((paragraph, pIndex) => {
+      const link = paragraph.querySelector('a[href*="ActivityDetail"]');
+      if (link) {
+        const classData = extractClassData(link, paragraph, dayIndex, dates, baseYear, slotNumber, weekSpansBoundary, selectedYear);
+        if (classData) {
+          classes.push(classData);
+          console.log(`Extracted class: ${classData.subjectCode} from paragraph ${pIndex}`);
+        } else {
+          console.warn(`Failed to extract class data from paragraph ${pIndex}:`, paragraph.textContent.substring(0, 100));
+        }
+      }
+    });
+  }
+  
+  return classes;
+}
+
+// Extract class data from link and container
+function extractClassData(link, container, dayIndex, dates, baseYear, slotNumber, weekSpansBoundary, selectedYear) {
+  try {
+    // Extract subject code (text before "-" in link, including postfix letters like 'c')
+    // Pattern: Main code (A-Z0-9) + optional postfix (lowercase letters) + optional dash
+    const subjectCodeMatch = link.textContent.match(/^([A-Z0-9]+[a-z]*)-?/);
+    const subjectCode = subjectCodeMatch ? subjectCodeMatch[1] : '';
+    
+    // Extract activity ID from href
+    const activityIdMatch = link.href.match(/id=(\d+)/);
+    const activityId = activityIdMatch ? activityIdMatch[1] : '';
+    
+    // Extract location (text after "at ")
+    // Stop before " - " (Meet URL), "-EduNext", status patterns like "(Not yet)", or time patterns like "(12:50-15:10)"
+    // Also stop at line breaks or HTML tags
+    let location = '';
+    const containerText = container.textContent;
+    // Updated regex to stop before "-EduNext" as well
+    const atMatch = containerText.match(/at\s+(.+?)(?:\s*-\s*(?:EduNext|Meet\s+URL|$)|\(Not\s+yet\)|\(attended\)|\(absent\)|\(\d{1,2}:\d{2}-\d{1,2}:\d{2}\)|\n|\r|<|$)/i);
+    if (atMatch) {
+      location = atMatch[1].trim();
+      // Remove trailing dash if present
+      location = location.replace(/\s*-\s*$/, '').trim();
+    }
+    
+    // Check if location has been relocated (contains "(_ChangeSlot)")
+    let isRelocated = false;
+    if (location && location.includes('(_ChangeSlot)')) {
+      isRelocated = true;
+      // Remove (_ChangeSlot) from location text (handle various formats)
+      location = location.replace(/\s*\(_ChangeSlot\)\s*/gi, '').trim();
+    }
+    
+    // Extract EduNext URL if present (check for both fu-edunext and edunext domains)
+    let edunextUrl = null;
+    const edunextLink = container.querySelector('a[href*="edunext.fpt.edu.vn"]');
+    if (edunextLink) {
+      edunextUrl = edunextLink.href;
+    }
+    
+    // Clean location text - remove any remaining EduNext references and other artifacts
+    // Remove "-EduNext" text (with various spacing) - in case it wasn't caught by regex
+    location = location.replace(/\s*-\s*EduNext\s*/gi, '').trim();
+    // Remove any trailing dashes or spaces
+    location = location.replace(/\s*-\s*$/, '').trim();
+    // Remove any double spaces
+    location = location.replace(/\s+/g, ' ').trim();
+    
+    // Extract time from label-success span
+    const timeSpan = container.querySelector('span.label.label-success');
+    const timeStr = timeSpan ? timeSpan.textContent.trim() : '';
+    const time = parseTime(timeStr);
+    
+    if (!time) {
+      console.warn(`[DEBUG] Could not parse time for class ${subjectCode}: timeStr="${timeStr}" from container text: "${container.textContent.substring(0, 150)}"`);
+      return null;
+    }
+    
+    // Extract status
+    let status = 'Not yet';
+    if (container.textContent.includes('attended')) {
+      status = 'attended';
+    } else if (container.textContent.includes('absent')) {
+      status = 'absent';
+    } else if (container.textContent.includes('Not yet')) {
+      status = 'Not yet';
+    }
+    
+    // Extract Meet URL if present
+    let meetUrl = null;
+    const meetLink = container.querySelector('a[href*="meet.google.com"]');
+    if (meetLink) {
+      meetUrl = meetLink.href;
+    }
+    
+    // Extract Materials URL (View Materials link - always the first link with label-warning)
+    let materialsUrl = null;
+    const materialsLink = container.querySelector('a.label.label-warning[href*="flm.fpt.edu.vn"]');
+    if (materialsLink) {
+      materialsUrl = materialsLink.href;
+    }
+    
+    // Check if online - look for online-indicator in the cell (parent of container)
+    const cell = container.closest('td');
+    const hasOnlineIndicator = cell ? cell.querySelector('.online-indicator') !== null : false;
+    const isOnline = hasOnlineIndicator;
+    
+    // Get date for this day
+    const dateStr = dates[dayIndex];
+    if (!dateStr) {
+      console.warn(`[DEBUG] No date string for day index ${dayIndex} in dates array of length ${dates.length}`);
+      return null;
+    }
+    
+    // Parse date and determine correct year
+    const [day, month] = dateStr.split('/').map(Number);
+    let dateYear = baseYear;
+    
+    // If week spans year boundary (Dec to Jan), adjust year for January dates
+    if (weekSpansBoundary && month === 1) {
+      // January dates are in the selected year (next year relative to baseYear)
+      dateYear = selectedYear;
+    } else if (weekSpansBoundary && month === 12) {
+      // December dates are in the base year (previous year relative to selectedYear)
+      dateYear = baseYear;
+    }
+    
+    const parsedDate = parseDate(dateStr, dateYear);
+    const date = parsedDate.dateObj;
+    const dateString = parsedDate.date;
+    
+    // Get day name
+    const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const dayName = dayNames[date.getDay()];
+    
+    return {
+      subjectCode,
+      day: dayName,
+      date: dateString,
+      slot: slotNumber,
+      time: {
+        start: time.start,
+        end: time.end
+      },
+      location: location || '',
+      isOnline,
+      meetUrl: meetUrl,
+      edunextUrl: edunextUrl,
+      materialsUrl: materialsUrl,
+      isRelocated: isRelocated,
+      status,
+      activityId
+    };
+  } catch (error) {
+    console.error('Error extracting class data:', error);
+    return null;
+  }
+}
+
+/**
+ * Extract all classes from a ScheduleOfWeek.aspx document
+ * @param {Document} doc - Timetable page document (live page or parsed HTML)
+ * @param {Object} [yearOptions] - Year values set by the background script
+ * @param {number} [yearOptions.selectedYear] - Year selected in the dropdown
+ * @param {number} [yearOptions.baseYear] - Year used to parse December dates of boundary weeks
+ * @returns {Array} Extracted classes (empty array if the table is not found)
+ */
+function extractScheduleData(doc, yearOptions = {}) {
+  try {
+    // Get year from dropdown, but prefer the values set by background script
+    const yearSelect = doc.querySelector('#ctl00_mainContent_drpYear');
+    let selectedYear = yearSelect ? parseInt(yearSelect.value, 10) : new Date().getFullYear();
+    let baseYear = selectedYear;
+    
+    // Check if background script set year values (for handling year boundaries)
+    if (typeof yearOptions.selectedYear !== 'undefined') {
+      selectedYear = yearOptions.selectedYear;
+      console.log('Using selected year from background script:', selectedYear);
+    }
+    if (typeof yearOptions.baseYear !== 'undefined') {
+      baseYear = yearOptions.baseYear;
+      console.log('Using base year from background script:', baseYear);
+    }
+    
+    // Get week range from dropdown to determine if week spans year boundary
+    const weekSelect = doc.querySelector('#ctl00_mainContent_drpSelectWeek');
+    const selectedOption = weekSelect ? weekSelect.options[weekSelect.selectedIndex] : null;
+    const weekRange = selectedOption ? selectedOption.text.trim() : '';
+    
+    // Determine if week spans year boundary
+    // baseYear is already set from yearOptions.baseYear if provided by background script
+    // If not provided, calculate it based on whether week spans boundary
+    let weekSpansBoundary = false;
+    
+    if (weekRange) {
+      const weekMatch = weekRange.match(/(\d{2}\/\d{2})\s+To\s+(\d{2}\/\d{2})/);
+      if (weekMatch) {
+        const [, startStr, endStr] = weekMatch;
+        const [startDay, startMonth] = startStr.split('/').map(Number);
+        const [endDay, endMonth] = endStr.split('/').map(Number);
+        
+        // If week spans year boundary (e.g., Dec to Jan)
+        if (startMonth === 12 && endMonth === 1) {
+          weekSpansBoundary = true;
+          // If baseYear wasn't set by background script, calculate it
+          if (typeof yearOptions.baseYear === 'undefined') {
+            baseYear = selectedYear - 1;
+          }
+        }
+      }
+    }
+    
+    // Find the correct schedule table - it has a thead with th[rowspan="2"] containing year/week dropdowns
+    // AND a tbody with rows starting with "Slot" in the first cell
+    const allTables = doc.querySelectorAll('table');
+    let scheduleTable = null;
+    let thead = null;
+    
+    console.log(`Found ${allTables.length} tables on page`);
+    
+    for (let i = 0; i < allTables.length; i++) {
+      const table = allTables[i];
+      const testThead = table.querySelector('thead');
+      const testTbody = table.querySelector('tbody');
+      
+      if (testThead && testTbody) {
+        // Check if this table has the year/week selector structure
+        const yearWeekTh = testThead.querySelector('th[rowspan="2"]');
+        const yearSelect = yearWeekTh ? yearWeekTh.querySelector('#ctl00_mainContent_drpYear') : null;
+        
+        // Also verify it has slot rows (not just the "FAP mobile app" table)
+        const firstRow = testTbody.querySelector('tr');
+        const firstCell = firstRow ? firstRow.querySelector('td') : null;
+        const hasSlotRows = firstCell && firstCell.textContent.trim().toLowerCase().startsWith('slot');
+        
+        if (yearSelect && hasSlotRows) {
+          scheduleTable = table;
+          thead = testThead;
+          console.log(`Found schedule table at index ${i} with year dropdown and slot rows`);
+          break;
+        }
+      }
+    }
+    
+    if (!scheduleTable || !thead) {
+      console.error('Schedule table not found - could not find table with year/week dropdowns and slot rows');
+      return []; // Return empty array instead of null
+    }
+    
+    const dateRow = thead.querySelector('tr:nth-child(2)');
+    if (!dateRow) {
+      console.error('Date row not found');
+      return []; // Return empty array instead of null
+    }
+    
+    const dateHeaders = Array.from(dateRow.querySelectorAll('th'));
+    // Skip first column (year/week selector)
+    const dates = dateHeaders.slice(1).map(th => th.textContent.trim());
+    
+    if (dates.length !== 7) {
+      console.warn(`Expected 7 date headers, found: ${dates.length}. Attempting to reconstruct missing dates`);
+      
+      // If we have fewer dates than expected, reconstruct the full week
+      if (dates.length > 0 && dates.length < 7) {
+        // Parse the first available date
+        const firstDateStr = dates[0];
+        const [firstDay, firstMonth] = firstDateStr.split('/').map(Number);
+        const firstDate = new Date(selectedYear, firstMonth - 1, firstDay);
+        
+        // Get which day of week the first date is (0=Sun, 1=Mon, ..., 6=Sat)
+        const firstDayOfWeek = firstDate.getDay();
+        
+        // If the first date is not Monday, we're missing days at the start
+        // FPTU weeks start on Monday (1)
+        if (firstDayOfWeek !== 1) {
+          // Go back to Monday of the same week
+          // If Mon=1, Tue=2, ..., Sun=0, then days back to Monday is (firstDayOfWeek + 6) % 7
+          const daysBackToMonday = (firstDayOfWeek + 6) % 7;
+          
+          firstDate.setDate(firstDate.getDate() - daysBackToMonday);
+          
+          // Now generate all 7 dates for the week, starting from Monday
+          const reconstructedDates = [];
+          const currentDate = new Date(firstDate);
+          
+          for (let i = 0; i < 7; i++) {
+            const d = currentDate.getDate();
+            const m = currentDate.getMonth() + 1;
+            const dateStr = String(d).padStart(2, '0') + '/' + String(m).padStart(2, '0');
+            reconstructedDates.push(dateStr);
+            
+            // Move to next day
+            currentDate.setDate(currentDate.getDate() + 1);
+          }
+          
+          // Replace dates array with reconstructed dates
+          dates.length = 0;
+          dates.push(...reconstructedDates);
+        }
+      }
+    }
+    
+    console.log('Date headers:', dates);
+    
+    // Get table body from the correct schedule table
+    const tbody = scheduleTable.querySelector('tbody');
+    
+    if (!tbody) {
+      console.error('Table body not found');
+      return []; // Return empty array instead of null
+    }
+    
+    const rows = Array.from(tbody.querySelectorAll('tr'));
+    const classes = [];
+    
+    console.log(`Found ${rows.length} rows in table body`);
+    
+    // Process each row (slot)
+    rows.forEach((row, rowIndex) => {
+      const cells = Array.from(row.querySelectorAll('td'));
+      if (cells.length < 2) {
+        console.log(`Row ${rowIndex}: Skipping - only ${cells.length} cells`);
+        return; // Need at least slot + one day
+      }
+      
+      // First cell contains slot number
+      const slotCell = cells[0];
+      const slotText = slotCell ? slotCell.textContent.trim() : '';
+      const slotNumber = extractSlotNumber(slotText);
+      
+      if (slotNumber === null) {
+        console.log(`Row ${rowIndex}: Skipping - no slot number found in "${slotText}"`);
+        return; // Skip if slot number not found
+      }
+      
+      // Process each day column (skip first column which is slot number)
+      // Handle cases where there might be fewer date headers than day columns
+      const dayColumns = Math.min(dates.length, cells.length - 1);
+      for (let dayIndex = 0; dayIndex < dayColumns; dayIndex++) {
+        const cell = cells[dayIndex + 1];
+        if (!cell) continue;
+        
+        // Check if cell has any links before processing
+        const links = cell.querySelectorAll('a[href*="ActivityDetail"]');
+        if (links.length > 0) {
+          console.log(`Row ${rowIndex}, Slot ${slotNumber}, Day ${dayIndex}: Found ${links.length} class link(s)`);
+        }
+        
+        // Pass the year context for proper date parsing
+        const cellClasses = extractClassFromCell(cell, dayIndex, dates, baseYear, slotNumber, weekSpansBoundary, selectedYear);
+        if (cellClasses && cellClasses.length > 0) {
+          classes.push(...cellClasses);
+          console.log(`Row ${rowIndex}, Slot ${slotNumber}, Day ${dayIndex}: Successfully extracted ${cellClasses.length} class(es)`);
+        } else if (links.length > 0) {
+          // Log when we have links but didn't extract anything
+          console.warn(`Row ${rowIndex}, Slot ${slotNumber}, Day ${dayIndex}: Found ${links.length} link(s) but extraction returned empty. Date: ${dates[dayIndex]}`);
+        }
+      }
+    });
+    
+    console.log(`Total extracted: ${classes.length} classes from table`);
+    
+    // Return empty array if no classes found (not null)
+    return classes;
+    
+  } catch (error) {
+    console.error('Error extracting schedule data:', error);
+    return []; // Return empty array instead of null
+  }
+}
+
+// Labels of the ActivityDetail.aspx rows we keep, matched against the first cell of each row
+// (FAP shows English labels; Vietnamese variants are accepted as well)
+function getActivityDetailField(label) {
+  const normalized = label.replace(/:\s*$/, '').trim().toLowerCase();
+  if (/^(instructor|lecturer|teacher|giảng viên)$/.test(normalized)) return 'lecturer';
+  if (/^(student group|group|class|nhóm|lớp)$/.test(normalized)) return 'studentGroup';
+  if (/^(course session number|session number|session no\.?|buổi số|buổi)$/.test(normalized)) return 'sessionNumber';
+  if (/^(attendance taker|taker|người điểm danh)$/.test(normalized)) return 'attendanceTaker';
+  if (/^(comments?|note|ghi chú|nhận xét)$/.test(normalized)) return 'comment';
+  return null;
+}
+
+/**
+ * Extract session details from an ActivityDetail.aspx page
+ * @param {Document} doc - Parsed ActivityDetail page
+ * @returns {Object} Any of lecturer, studentGroup, sessionNumber, attendanceTaker, comment
+ *   (fields missing or empty on the page are left out, so merging keeps older values)
+ */
+function extractActivityDetail(doc) {
+  const details = {};
+  
+  doc.querySelectorAll('table tr').forEach(row => {
+    const cells = row.querySelectorAll('th, td');
+    if (cells.length < 2) return;
+    
+    const field = getActivityDetailField(cells[0].textContent);
+    if (!field || details[field]) return;
+    
+    const value = cells[1].textContent.replace(/\s+/g, ' ').trim();
+    if (value && value !== '-') {
+      details[field] = value;
+    }
+  });
+  
+  return details;
+}
+
+// Column of the ScheduleExams.aspx table a header cell belongs to
+function getExamColumnField(headerText) {
+  const normalized = headerText.replace(/\s+/g, ' ').trim().toLowerCase();
+  if (/subject ?code|mã môn/.test(normalized)) return 'subjectCode';
+  if (/subject ?name|tên môn/.test(normalized)) return 'subjectName';
+  if (/publication|publish|công bố/.test(normalized)) return 'publishDate';
+  if (/^(date|ngày|ngày thi)$/.test(normalized)) return 'date';
+  if (/room|phòng/.test(normalized)) return 'room';
+  if (/^(time|giờ|giờ thi)$/.test(normalized)) return 'time';
+  if (/exam ?form|hình thức/.test(normalized)) return 'examForm';
+  if (/^(exam|type|exam ?type|loại|loại thi)$/.test(normalized)) return 'examType';
+  return null;
+}
+
+// Parse a DD/MM/YYYY date to YYYY-MM-DD (null if the cell holds something else)
+function parseFullDate(dateStr) {
+  const match = dateStr.match(/(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (!match) return null;
+  return `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+}
+
+// Parse exam time like "07h30-09h00" or "7:30 - 9:00"
+function parseExamTime(timeStr) {
+  const match = timeStr.match(/(\d{1,2})[h:](\d{2})\s*-\s*(\d{1,2})[h:](\d{2})/i);
+  if (!match) return null;
+  return {
+    start: `${match[1].padStart(2, '0')}:${match[2]}`,
+    end: `${match[3].padStart(2, '0')}:${match[4]}`
+  };
+}
+
+/**
+ * Extract exams from the exam schedule page (Exam/ScheduleExams.aspx)
+ * @param {Document} doc - Exam schedule page
+ * @returns {Array} Exam records: { recordType: 'exam', subjectCode, subjectName, date, time,
+ *   location, examForm, examType, publishDate }. Rows without a date or time (not scheduled yet)
+ *   are skipped.
+ */
+function extractExamData(doc) {
+  const exams = [];
+  
+  try {
+    // The exam table is the one with a subject code column
+    const table = Array.from(doc.querySelectorAll('table')).find(candidate => {
+      const firstRow = candidate.querySelector('tr');
+      return firstRow && Array.from(firstRow.querySelectorAll('th, td'))
+        .some(cell => getExamColumnField(cell.textContent) === 'subjectCode');
+    });
+    if (!table) {
+      console.log('Exam table not found');
+      return exams;
+    }
+    
+    const rows = Array.from(table.querySelectorAll('tr'));
+    const columns = {};
+    Array.from(rows[0].querySelectorAll('th, td')).forEach((cell, index) => {
+      const field = getExamColumnField(cell.textContent);
+      if (field && columns[field] === undefined) {
+        columns[field] = index;
+      }
+    });
+    
+    rows.slice(1).forEach((row, rowIndex) => {
+      const cells = row.querySelectorAll('td');
+      const cellText = (field) => {
+        const index = columns[field];
+        return index !== undefined && cells[index] ? cells[index].textContent.replace(/\s+/g, ' ').trim() : '';
+      };
+      
+      const subjectCode = cellText('subjectCode');
+      const date = parseFullDate(cellText('date'));
+      const time = parseExamTime(cellText('time'));
+      if (!subjectCode || !date || !time) {
+        if (subjectCode) {
+          console.log(`Exam row ${rowIndex + 1} (${subjectCode}) has no date/time yet, skipping`);
+        }
+        return;
+      }
+      
+      exams.push({
+        recordType: 'exam',
+        subjectCode,
+        subjectName: cellText('subjectName'),
+        date,
+        time,
+        location: cellText('room'),
+        examForm: cellText('examForm'),
+        examType: cellText('examType'),
+        publishDate: parseFullDate(cellText('publishDate'))
+      });
+    });
+    
+    console.log(`Total extracted: ${exams.length} exams`);
+    return exams;
+  } catch (error) {
+    console.error('Error extracting exam data:', error);
+    return exams;
+  }
+}
+
+// Subject code, name and group from an attendance report course link,
+// e.g. "Mathematics for Engineering(MAE101)(SE1801,start 05/01/2026)"
+function parseAttendanceCourseText(text) {
+  const normalized = text.replace(/\s+/g, ' ').trim();
+  const codeMatch = normalized.match(/\(([A-Za-z]{2,}\d{3}[A-Za-z]?)\)/);
+  if (!codeMatch) return null;
+  const groupMatch = normalized.match(/\(([^(),]+),\s*start/i);
+  return {
+    subjectCode: codeMatch[1].toUpperCase(),
+    subjectName: normalized.slice(0, codeMatch.index).trim(),
+    groupName: groupMatch ? groupMatch[1].trim() : ''
+  };
+}
+
+/**
+ * Extract the courses of the selected term from the attendance report (Report/ViewAttendstudent.aspx)
+ * @param {Document} doc - Attendance report page (links must resolve against FAP)
+ * @returns {Array} { subjectCode, subjectName, groupName, url } for every course link;
+ *   the course currently shown on the page has no link and gets url null
+ */
+function extractAttendanceCourses(doc) {
+  const courses = [];
+  const seen = new Set();
+  
+  doc.querySelectorAll('a[href*="course="]').forEach(link => {
+    const course = parseAttendanceCourseText(link.textContent);
+    if (!course || seen.has(course.subjectCode)) return;
+    seen.add(course.subjectCode);
+    courses.push({ ...course, url: link.href });
+  });
+  
+  // The selected course is rendered in bold instead of as a link
+  const courseContainer = doc.querySelector('#ctl00_mainContent_divCourse');
+  if (courseContainer) {
+    courseContainer.querySelectorAll('b').forEach(bold => {
+      const course = parseAttendanceCourseText(bold.textContent);
+      if (!course || seen.has(course.subjectCode)) return;
+      seen.add(course.subjectCode);
+      courses.push({ ...course, url: null });
+    });
+  }
+  
+  return courses;
+}
+
+/**
+ * Count sessions of the course shown on an attendance report page
+ * @param {Document} doc - Attendance report page with a course selected
+ * @returns {Object|null} { totalSessions, attended, absent, notYet }, or null when no
+ *   attendance table is shown
+ */
+function extractAttendanceReport(doc) {
+  // The attendance table is the one with an "Attendance status" column
+  let statusColumn = -1;
+  const table = Array.from(doc.querySelectorAll('table')).find(candidate => {
+    const headerCells = Array.from(candidate.querySelectorAll('tr:first-child th, thead th'));
+    statusColumn = headerCells.findIndex(cell => /attendance status|trạng thái|điểm danh/i.test(cell.textContent));
+    return statusColumn >= 0;
+  });
+  if (!table) {
+    return null;
+  }
+  
+  const report = { totalSessions: 0, attended: 0, absent: 0, notYet: 0 };
+  table.querySelectorAll('tbody tr').forEach(row => {
+    const cells = row.querySelectorAll('td');
+    if (cells.length <= statusColumn) return;
+    
+    const status = cells[statusColumn].textContent.trim().toLowerCase();
+    report.totalSessions++;
+    if (/absent|vắng/.test(status)) {
+      report.absent++;
+    } else if (/present|attended|có mặt/.test(status)) {
+      report.attended++;
+    } else {
+      report.notYet++;
+    }
+  });
+  
+  return report;
+}
+
+// Export for use in other modules (if using modules)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    parseTime,
+    extractSlotNumber,
+    parseDate,
+    extractScheduleData,
+    extractActivityDetail,
+    extractExamData,
+    extractAttendanceCourses,
+    extractAttendanceReport
+  };
+}
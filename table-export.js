@@ -0,0 +1,250 @@
+// CSV and XLSX (spreadsheet) export utility for FPTU Study Calendar
+// One row per session, for Google Sheets, Excel and other spreadsheet applications
+// Uses getIcsMessage, createZipFile and downloadBlob from ics-export.js (loaded first)
+
+// Columns the user can choose from, in output order
+// - labelKey: i18n key of the header
+// - value: cell value for a class or exam record (strings, numbers or booleans)
+const TABLE_EXPORT_COLUMNS = [
+  { key: 'date', labelKey: 'tableColumnDate', value: record => record.date },
+  { key: 'weekday', labelKey: 'tableColumnWeekday', value: record => getTableWeekday(record.date) },
+  { key: 'slot', labelKey: 'tableColumnSlot', value: record => (record.slot === undefined || record.slot === null ? '' : Number(record.slot)) },
+  { key: 'start', labelKey: 'tableColumnStart', value: record => (record.time && record.time.start) || '' },
+  { key: 'end', labelKey: 'tableColumnEnd', value: record => (record.time && record.time.end) || '' },
+  { key: 'subjectCode', labelKey: 'tableColumnSubjectCode', value: record => record.subjectCode || '' },
+  { key: 'type', labelKey: 'tableColumnType', value: record => getIcsMessage(record.recordType === 'exam' ? 'tableTypeExam' : 'tableTypeClass') },
+  { key: 'location', labelKey: 'tableColumnLocation', value: record => record.location || '' },
+  { key: 'online', labelKey: 'tableColumnOnline', value: record => record.recordType !== 'exam' && record.isOnline === true },
+  { key: 'relocated', labelKey: 'tableColumnRelocated', value: record => record.isRelocated === true },
+  { key: 'status', labelKey: 'tableColumnStatus', value: record => getTableStatus(record) },
+  { key: 'meetUrl', labelKey: 'tableColumnMeetUrl', value: record => record.meetUrl || '' },
+  { key: 'edunextUrl', labelKey: 'tableColumnEdunextUrl', value: record => record.edunextUrl || '' },
+  { key: 'materialsUrl', labelKey: 'tableColumnMaterialsUrl', value: record => record.materialsUrl || '' }
+];
+
+/**
+ * Localized weekday of a date
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @returns {string} Weekday name
+ */
+function getTableWeekday(dateStr) {
+  if (!dateStr) {
+    return '';
+  }
+  const dayKeys = ['daySunday', 'dayMonday', 'dayTuesday', 'dayWednesday', 'dayThursday', 'dayFriday', 'daySaturday'];
+  return getIcsMessage(dayKeys[new Date(dateStr + 'T00:00:00').getDay()]);
+}
+
+/**
+ * Localized attendance status of a class (empty for exams)
+ * @param {Object} record - Class or exam record
+ * @returns {string} Status label
+ */
+function getTableStatus(record) {
+  if (record.recordType === 'exam') {
+    return '';
+  }
+  if (record.status === 'attended') return getIcsMessage('statusAttended');
+  if (record.status === 'absent') return getIcsMessage('statusAbsent');
+  return getIcsMessage('statusNotYet');
+}
+
+/**
+ * Build the header and rows for the chosen columns, sorted by date and start time
+ * @param {Array} records - Class and exam records
+ * @param {Array<string>} [columnKeys] - Keys from TABLE_EXPORT_COLUMNS (default: all)
+ * @returns {Object} { header: Array<string>, rows: Array<Array> }
+ */
+function buildTableRows(records, columnKeys) {
+  const columns = columnKeys
+    ? TABLE_EXPORT_COLUMNS.filter(column => columnKeys.includes(column.key))
+    : TABLE_EXPORT_COLUMNS;
+  
+  const sorted = [...records].sort((a, b) => {
+    const keyA = `${a.date}T${(a.time && a.time.start) || ''}`;
+    const keyB = `${b.date}T${(b.time && b.time.start) || ''}`;
+    return keyA.localeCompare(keyB);
+  });
+  
+  return {
+    header: columns.map(column => getIcsMessage(column.labelKey)),
+    rows: sorted.map(record => columns.map(column => column.value(record)))
+  };
+}
+
+/**
+ * Escape a value for CSV (RFC 4180)
+ * Text starting with =, +, - or @ gets a leading ' so spreadsheet apps don't run it as a formula.
+ * @param {*} value - Cell value
+ * @returns {string} CSV field
+ */
+function escapeCsvValue(value) {
+  let text = typeof value === 'boolean' ? (value ? 'TRUE' : 'FALSE') : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Generate CSV content
+ * Starts with a UTF-8 BOM so Excel reads Vietnamese text correctly.
+ * @param {Array} records - Class and exam records
+ * @param {Array<string>} [columnKeys] - Keys from TABLE_EXPORT_COLUMNS (default: all)
+ * @returns {string} CSV content
+ */
+function generateCsvFile(records, columnKeys) {
+  const { header, rows } = buildTableRows(records, columnKeys);
+  const lines = [header].concat(rows).map(row => row.map(escapeCsvValue).join(','));
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Escape text for XML, dropping characters XML doesn't allow
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXmlText(text) {
+  return String(text)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Spreadsheet column name of a zero-based index (0 → A, 26 → AA)
+ * @param {number} index - Column index
+ * @returns {string} Column name
+ */
+function getXlsxColumnName(index) {
+  let name = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    name = String.fromCharCode(65 + remainder) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+}
+
+/**
+ * Generate the worksheet XML, with numbers and booleans as typed cells
+ * Text is written as inline strings, which are never evaluated as formulas (no escaping needed).
+ * @param {Array<Array>} rows - Rows including the header
+ * @returns {string} Worksheet XML
+ */
+function generateXlsxSheet(rows) {
+  const rowXml = rows.map((row, rowIndex) => {
+    const cells = row.map((value, columnIndex) => {
+      const ref = `${getXlsxColumnName(columnIndex)}${rowIndex + 1}`;
+      if (typeof value === 'number') {
+        return `<c r="${ref}"><v>${value}</v></c>`;
+      }
+      if (typeof value === 'boolean') {
+        return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+      }
+      if (value === '') {
+        return '';
+      }
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXmlText(value)}</t></is></c>`;
+    });
+    return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+  });
+  
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetData>${rowXml.join('')}</sheetData>` +
+    '</worksheet>';
+}
+
+/**
+ * Generate an XLSX workbook with a single sheet
+ * @param {Array} records - Class and exam records
+ * @param {Array<string>} [columnKeys] - Keys from TABLE_EXPORT_COLUMNS (default: all)
+ * @returns {Uint8Array} XLSX file bytes
+ */
+function generateXlsxFile(records, columnKeys) {
+  const { header, rows } = buildTableRows(records, columnKeys);
+  const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+  
+  return createZipFile([
+    {
+      name: '[Content_Types].xml',
+      content: xmlHeader +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: xmlHeader +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: xmlHeader +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        '<sheets><sheet name="Timetable" sheetId="1" r:id="rId1"/></sheets>' +
+        '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: xmlHeader +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      content: generateXlsxSheet([header].concat(rows))
+    }
+  ]);
+}
+
+/**
+ * Export records as a CSV or XLSX file
+ * @param {Array} records - Class and exam records
+ * @param {string} format - 'csv' or 'xlsx'
+ * @param {Array<string>} [columnKeys] - Keys from TABLE_EXPORT_COLUMNS (default: all)
+ */
+function exportToTable(records, format, columnKeys) {
+  if (!Array.isArray(records) || records.length === 0) {
+    throw new Error('No classes to export');
+  }
+  if (columnKeys && columnKeys.length === 0) {
+    throw new Error('No columns selected');
+  }
+  
+  const dates = records.map(r => r.date).sort();
+  const basename = `fptu-timetable-${dates[0]}-to-${dates[dates.length - 1]}`;
+  
+  if (format === 'xlsx') {
+    const blob = new Blob([generateXlsxFile(records, columnKeys)], {
+      type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    });
+    downloadBlob(blob, `${basename}.xlsx`);
+  } else {
+    downloadBlob(new Blob([generateCsvFile(records, columnKeys)], { type: 'text/csv;charset=utf-8' }), `${basename}.csv`);
+  }
+}
+
+// Export functions for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TABLE_EXPORT_COLUMNS,
+    buildTableRows,
+    generateCsvFile,
+    generateXlsxFile,
+    exportToTable
+  };
+}